@@ -0,0 +1,123 @@
+// ---------- TEXT ANCHORING ----------
+// A passage is stored as a text-quote selector { exact, prefix, suffix }
+// (the Web Annotation model) instead of DOM offsets, so it can be found
+// again after the surrounding markup or other parts of the text change.
+// rangeToTextQuote() describes a selection; textQuoteToRange() finds it
+// again, using the prefix/suffix to choose between repeated quotes.
+
+const ANCHOR_CONTEXT_CHARS = 32;
+
+// character offset of a boundary point within root's text
+function textOffsetOf(root, container, offset) {
+    const range = document.createRange();
+    range.selectNodeContents(root);
+    range.setEnd(container, offset);
+    return range.toString().length;
+}
+
+function rangeToTextQuote(root, range) {
+    const text = root.textContent;
+    const start = textOffsetOf(root, range.startContainer, range.startOffset);
+    const end = textOffsetOf(root, range.endContainer, range.endOffset);
+    const exact = text.slice(start, end);
+    if (!exact.trim()) return null;
+    return {
+        exact,
+        prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT_CHARS), start),
+        suffix: text.slice(end, end + ANCHOR_CONTEXT_CHARS),
+    };
+}
+
+// length of the common run at the end of a / start of b
+function commonSuffixLength(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+    return n;
+}
+
+function commonPrefixLength(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[n] === b[n]) n++;
+    return n;
+}
+
+function textQuoteToRange(root, selector) {
+    if (!selector?.exact) return null;
+    const text = root.textContent;
+
+    let best = -1;
+    let bestScore = -1;
+    for (let i = text.indexOf(selector.exact); i !== -1; i = text.indexOf(selector.exact, i + 1)) {
+        const before = text.slice(Math.max(0, i - ANCHOR_CONTEXT_CHARS), i);
+        const after = text.slice(i + selector.exact.length, i + selector.exact.length + ANCHOR_CONTEXT_CHARS);
+        const score = commonSuffixLength(before, selector.prefix || '') + commonPrefixLength(after, selector.suffix || '');
+        if (score > bestScore) {
+            best = i;
+            bestScore = score;
+        }
+    }
+    if (best === -1) return null;
+
+    const start = pointAtTextOffset(root, best);
+    const end = pointAtTextOffset(root, best + selector.exact.length);
+    if (!start || !end) return null;
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    return range;
+}
+
+function pointAtTextOffset(root, offset) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let seen = 0;
+    let last = null;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (offset <= seen + node.length) return { node, offset: offset - seen };
+        seen += node.length;
+        last = node;
+    }
+    return last ? { node: last, offset: last.length } : null;
+}
+
+// Wrap the text a range covers in elements made by makeWrapper(), one per
+// text node, so a passage crossing paragraphs or inline markup still leaves
+// valid HTML. Whitespace-only nodes (between list items, say) are left
+// alone. Returns the wrappers in document order.
+function wrapRange(range, makeWrapper) {
+    const root = range.commonAncestorContainer;
+    const nodes = [];
+    if (root.nodeType === Node.TEXT_NODE) {
+        nodes.push(root);
+    } else {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (range.intersectsNode(node)) nodes.push(node);
+        }
+    }
+
+    const wrappers = [];
+    nodes.forEach(node => {
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        if (start >= end || !node.data.slice(start, end).trim()) return;
+        let target = node;
+        if (end < target.length) target.splitText(end);
+        if (start > 0) target = target.splitText(start);
+        const wrapper = makeWrapper();
+        target.parentNode.insertBefore(wrapper, target);
+        wrapper.appendChild(target);
+        wrappers.push(wrapper);
+    });
+    return wrappers;
+}
+
+// undo wrapRange(): put the wrapped text back and merge the split nodes
+function unwrapElements(wrappers) {
+    wrappers.forEach(wrapper => {
+        const parent = wrapper.parentNode;
+        if (!parent) return;
+        while (wrapper.firstChild) parent.insertBefore(wrapper.firstChild, wrapper);
+        wrapper.remove();
+        parent.normalize();
+    });
+}
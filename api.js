@@ -0,0 +1,279 @@
+// ---------- API CLIENT ----------
+// Every backend call goes through api(). It attaches the access token, puts
+// a timeout on each attempt, retries idempotent GETs with backoff, renews
+// an expired access token once with the refresh token (flask-jwt-extended's
+// refresh flow) and turns every failure into one of the error types below.
+//
+// Requests sharing a cancelKey supersede each other: starting one aborts the
+// one before, whose promise rejects with CancelledError. Screens that load
+// on click use this so a slow earlier response can never render over a
+// later one.
+const DEFAULT_API_BASE = "https://imeneee.pythonanywhere.com";
+const API_TIMEOUT_MS = 15000;
+const API_GET_RETRIES = 2;
+const API_RETRY_DELAY_MS = 500;
+// worth another try: the server or a proxy is busy or briefly down
+const API_RETRY_STATUSES = [408, 429, 502, 503, 504];
+// where ?api= may point anywhere: a developer's own machine
+const API_LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class ApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+class NetworkError extends ApiError {}      // no response at all
+class TimeoutError extends ApiError {}      // no response within the timeout
+class CancelledError extends ApiError {}    // superseded or aborted by the caller
+class AuthError extends ApiError {}         // 401
+class PermissionError extends ApiError {}   // 403
+class NotFoundError extends ApiError {}     // 404
+class ServerError extends ApiError {}       // 5xx
+
+let API_BASE = DEFAULT_API_BASE;
+const apiInflight = new Map();  // cancelKey -> AbortController
+let tokenRefresh = null;        // the refresh in progress, shared by concurrent 401s
+
+// ---------- API CONFIG ----------
+// The backend is chosen at start-up; the first of these that is set wins:
+//   ?api=https://staging.example.com          query string, for a one-off
+//   <meta name="api-base" content="...">      per deployment, in index.html
+//   config.json { "apiBase": "..." }          per deployment, next to index.html
+//   DEFAULT_API_BASE
+// An empty value means "same origin". Credentials go wherever the base
+// points, so a link can't pick it: ?api= only counts on localhost, for this
+// page's own origin, or for an origin listed in
+// <meta name="api-allowed" content="https://a https://b"> or
+// config.json { "apiAllowed": ["https://a"] }. ?mock=1, <meta name="api-mock"
+// content="true"> or { "mock": true } answer /api/ requests in the browser
+// instead (mock-backend.js), for demos, offline work and tests.
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+// 'https://a.example/v1/' -> 'https://a.example'; relative values resolve
+// against this page; null when it isn't a URL
+function apiOrigin(value) {
+    try {
+        return new URL(value, location.href).origin;
+    } catch {
+        return null;
+    }
+}
+
+async function loadApiConfig() {
+    const params = new URLSearchParams(location.search);
+    const meta = name => document.querySelector(`meta[name="${name}"]`)?.content.trim() ?? null;
+    let file = {};
+    try {
+        const res = await fetch('config.json', { cache: 'no-store' });
+        if (res.ok) file = await res.json();
+    } catch {
+        // no config.json (or opened from file://): use the defaults
+    }
+
+    const allowed = [
+        ...(meta('api-allowed') || '').split(/[\s,]+/),
+        ...(Array.isArray(file.apiAllowed) ? file.apiAllowed : []),
+    ].filter(Boolean).map(apiOrigin).filter(Boolean);
+    allowed.push(location.origin);
+    let override = params.get('api');
+    if (override !== null && !API_LOCAL_HOSTS.includes(location.hostname) && !allowed.includes(apiOrigin(override))) {
+        console.error(`Ignoring ?api=${override}: not an allowed API origin`);
+        override = null;
+    }
+    const base = override ?? meta('api-base') ?? file.apiBase ?? DEFAULT_API_BASE;
+    API_BASE = String(base).replace(/\/+$/, '');
+
+    const mock = String(params.get('mock') ?? meta('api-mock') ?? file.mock ?? '');
+    if (mock === '1' || mock === 'true') {
+        try {
+            await loadScript('mock-backend.js');
+            installMockBackend();
+            showToast('Demo mode: data comes from the built-in mock backend and stays in this browser.', 'info');
+        } catch (err) {
+            console.error(err);
+        }
+    }
+}
+
+function apiUrl(path) {
+    if (path.startsWith("http://") || path.startsWith("https://")) return path;
+    return `${API_BASE}${path}`;
+}
+
+function apiHeaders(auth = true) {
+    const token = auth && sessionStorage.getItem('jwt');
+    return token
+        ? { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` }
+        : { 'Content-Type': 'application/json' };
+}
+
+// login and refresh responses: { access_token, refresh_token } (older
+// backends send a single `token`)
+function storeTokens(data) {
+    const access = data.access_token || data.token;
+    if (access) sessionStorage.setItem('jwt', access);
+    if (data.refresh_token) sessionStorage.setItem('jwtRefresh', data.refresh_token);
+}
+
+function clearTokens() {
+    sessionStorage.removeItem('jwt');
+    sessionStorage.removeItem('jwtRefresh');
+}
+
+function cancelledError() {
+    return new CancelledError('Request cancelled.');
+}
+
+async function fetchAttempt(url, options, timeout, signal) {
+    if (signal?.aborted) throw cancelledError();
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch {
+        if (timedOut) throw new TimeoutError('The server took too long to respond.');
+        if (signal?.aborted) throw cancelledError();
+        throw new NetworkError('Could not reach the server. Check your connection.');
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+async function responseError(res) {
+    const text = await res.text().catch(() => '');
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        // not JSON
+    }
+    // flask-jwt-extended reports token problems as { msg }
+    const message = data?.message || data?.msg || text || `HTTP ${res.status}`;
+    const Type = res.status === 401 ? AuthError
+        : res.status === 403 ? PermissionError
+        : res.status === 404 ? NotFoundError
+        : res.status >= 500 ? ServerError
+        : ApiError;
+    return new Type(message, res.status, data);
+}
+
+// exponential backoff with jitter; rejects early if the request is cancelled
+function retryDelay(attempt, signal) {
+    const delay = API_RETRY_DELAY_MS * 2 ** (attempt - 1) * (0.75 + Math.random() / 2);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function refreshAccessToken() {
+    const refreshToken = sessionStorage.getItem('jwtRefresh');
+    if (!refreshToken) return Promise.resolve(false);
+    if (!tokenRefresh) {
+        tokenRefresh = fetchAttempt(apiUrl('/api/refresh'), {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${refreshToken}` },
+        }, API_TIMEOUT_MS)
+            .then(async res => {
+                if (!res.ok) return false;
+                storeTokens(await res.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                tokenRefresh = null;
+            });
+    }
+    return tokenRefresh;
+}
+
+async function apiRequest(url, init, settings, refreshed = false) {
+    const { timeout, attempts, auth, signal } = settings;
+    for (let attempt = 1; ; attempt++) {
+        let res;
+        try {
+            res = await fetchAttempt(url, { ...init, headers: { ...apiHeaders(auth), ...init.headers } }, timeout, signal);
+        } catch (err) {
+            // retrying is pointless while the browser knows it is offline
+            if (err instanceof CancelledError || attempt >= attempts || !navigator.onLine) throw err;
+            await retryDelay(attempt, signal);
+            continue;
+        }
+
+        if (res.ok) {
+            const data = res.status === 204 ? {} : await res.json().catch(() => {
+                if (signal?.aborted) throw cancelledError();
+                throw new ApiError('The server sent an unreadable response.', res.status);
+            });
+            // superseded while the body was arriving
+            if (signal?.aborted) throw cancelledError();
+            return data;
+        }
+        if (res.status === 401 && auth) {
+            if (!refreshed && await refreshAccessToken()) return apiRequest(url, init, settings, true);
+            const err = await responseError(res);
+            handleSessionExpired();
+            throw err;
+        }
+        if (API_RETRY_STATUSES.includes(res.status) && attempt < attempts) {
+            await retryDelay(attempt, signal);
+            continue;
+        }
+        throw await responseError(res);
+    }
+}
+
+// opts: the usual fetch options, plus
+//   timeout    ms per attempt (API_TIMEOUT_MS)
+//   retries    extra attempts (API_GET_RETRIES for GETs, 0 otherwise)
+//   cancelKey  abort the previous request made with the same key
+//   auth       false: send no token and treat 401 as a plain error (login)
+async function api(path, opts = {}) {
+    const { timeout = API_TIMEOUT_MS, retries, cancelKey, auth = true, signal, ...init } = opts;
+    const method = (init.method || 'GET').toUpperCase();
+    const attempts = 1 + (retries ?? (method === 'GET' ? API_GET_RETRIES : 0));
+
+    let controller = null;
+    if (cancelKey) {
+        apiInflight.get(cancelKey)?.abort();
+        controller = new AbortController();
+        signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        apiInflight.set(cancelKey, controller);
+    }
+    try {
+        return await apiRequest(apiUrl(path), init, {
+            timeout,
+            attempts,
+            auth,
+            signal: controller ? controller.signal : signal,
+        });
+    } finally {
+        if (cancelKey && apiInflight.get(cancelKey) === controller) apiInflight.delete(cancelKey);
+    }
+}
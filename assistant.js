@@ -0,0 +1,191 @@
+// ---------- ASSISTANT ----------
+// Answers questions from our own published notes and nothing else. Notes
+// are cut into passages (one per section, long sections split by
+// paragraph); askAssistant() ranks them against the question with BM25 and
+// hands the best few to a provider, which writes the answer. When the
+// passages don't cover the question the assistant says so rather than
+// guessing, and no provider is asked.
+//
+// A provider is { label, answer({ question, passages, history }) } and
+// resolves to { text, citations, covered }: passages are numbered from 1,
+// text cites them as [1], [2], citations lists the numbers it used, and
+// covered is false when the passages don't answer the question. Built in:
+//   extractive  no model: quotes the sentences that best match (used in
+//               development, tests and whenever no server model is set up)
+//   server      POST /api/assistant, for a backend that wraps a model
+// registerAssistantProvider() adds others, such as a small local model.
+
+const ASSISTANT_TOP_PASSAGES = 5;
+const ASSISTANT_PASSAGE_CHARS = 800;
+// share of the question's terms the passages must contain to count as covered
+const ASSISTANT_MIN_COVERAGE = 0.5;
+const ASSISTANT_QUOTED_PASSAGES = 3;
+
+const ASSISTANT_STOPWORDS = new Set((
+    'a an and are as at be been but by can could do does for from has have how i if in into is it its ' +
+    'me my of on or should so than that the their them then there these they this to use used was ' +
+    'we what when where which who whom why will with would you your about after before during give ' +
+    'given tell explain describe list please much many'
+).split(' '));
+
+const assistantProviders = new Map();
+
+// lower-case words without stopwords, with plurals folded ("lesions" -> "lesion")
+function assistantTerms(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !ASSISTANT_STOPWORDS.has(word))
+        .map(word => word.length > 3 && !word.endsWith('ss')
+            ? word.replace(/ies$/, 'y').replace(/s$/, '')
+            : word);
+}
+
+// notes: [{ id, title, content }] with HTML content
+function buildAssistantPassages(notes) {
+    const passages = [];
+    notes.forEach(note => {
+        const body = new DOMParser().parseFromString(note.content || '', 'text/html').body;
+        let heading = '';
+        let text = '';
+        const flush = () => {
+            if (text.trim()) passages.push({ noteId: note.id, title: note.title || '', heading, text: text.trim() });
+            text = '';
+        };
+        [...body.children].forEach(block => {
+            if (/^H[1-6]$/.test(block.tagName)) {
+                flush();
+                heading = block.textContent.trim();
+                return;
+            }
+            const blockText = block.tagName === 'UL' || block.tagName === 'OL'
+                ? [...block.querySelectorAll('li')].map(li => li.textContent.trim()).join('. ')
+                : block.textContent.trim();
+            if (text.length + blockText.length > ASSISTANT_PASSAGE_CHARS) flush();
+            text += (text ? ' ' : '') + blockText.replace(/([^.!?])$/, '$1.');
+        });
+        // loose text outside any block
+        if (!body.children.length) text = body.textContent;
+        flush();
+    });
+    passages.forEach(p => {
+        p.terms = assistantTerms(`${p.title} ${p.heading} ${p.text}`);
+    });
+    return passages;
+}
+
+// BM25 over the passages; returns [{ passage, score }] best first
+function rankAssistantPassages(question, passages) {
+    const terms = [...new Set(assistantTerms(question))];
+    if (!terms.length || !passages.length) return [];
+    const k1 = 1.2;
+    const b = 0.75;
+    const averageLength = passages.reduce((sum, p) => sum + p.terms.length, 0) / passages.length;
+    const idf = new Map(terms.map(t => {
+        const containing = passages.filter(p => p.terms.includes(t)).length;
+        return [t, Math.log(1 + (passages.length - containing + 0.5) / (containing + 0.5))];
+    }));
+    return passages
+        .map(passage => {
+            const score = terms.reduce((sum, t) => {
+                const tf = passage.terms.filter(term => term === t).length;
+                if (!tf) return sum;
+                return sum + idf.get(t) * tf * (k1 + 1) / (tf + k1 * (1 - b + b * passage.terms.length / averageLength));
+            }, 0);
+            return { passage, score };
+        })
+        .filter(r => r.score > 0)
+        .sort((x, y) => y.score - x.score);
+}
+
+function assistantCoverage(question, passages) {
+    const terms = [...new Set(assistantTerms(question))];
+    if (!terms.length) return 0;
+    const found = new Set(passages.flatMap(p => p.terms));
+    return terms.filter(t => found.has(t)).length / terms.length;
+}
+
+function registerAssistantProvider(name, provider) {
+    assistantProviders.set(name, provider);
+}
+
+function assistantProvider(name) {
+    return assistantProviders.get(name) || null;
+}
+
+// resolves to { text, citations: [passage], covered, provider }
+async function askAssistant(question, passages, { provider = 'extractive', history = [] } = {}) {
+    const ranked = rankAssistantPassages(question, passages).slice(0, ASSISTANT_TOP_PASSAGES).map(r => r.passage);
+    if (!ranked.length || assistantCoverage(question, ranked) < ASSISTANT_MIN_COVERAGE) {
+        return {
+            text: "I couldn't find this in the ClinicalRoots notes, so I can't answer it. Try rephrasing, or search the library for a related topic.",
+            citations: [],
+            covered: false,
+            provider,
+        };
+    }
+    const impl = assistantProvider(provider);
+    if (!impl) throw new Error(`Unknown assistant provider "${provider}"`);
+    const numbered = ranked.map((p, i) => ({ ...p, n: i + 1 }));
+    const reply = await impl.answer({ question, passages: numbered, history });
+    const cited = [...new Set(reply.citations || [])]
+        .filter(n => Number.isInteger(n) && n >= 1 && n <= numbered.length)
+        .sort((x, y) => x - y);
+    return {
+        text: reply.text,
+        citations: cited.map(n => numbered[n - 1]),
+        // an answer that cites nothing isn't grounded, whatever it claims
+        covered: reply.covered !== false && cited.length > 0,
+        provider,
+    };
+}
+
+function assistantSentences(text) {
+    return text.match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g)?.map(s => s.trim()).filter(Boolean) || [];
+}
+
+// only passages that match the question as well as the best one does are
+// quoted; a section found by its heading alone is quoted from the start
+registerAssistantProvider('extractive', {
+    label: 'Quoted from the notes (no language model)',
+    async answer({ question, passages }) {
+        const terms = new Set(assistantTerms(question));
+        const matched = passages.map(p => new Set(p.terms.filter(t => terms.has(t))).size);
+        const best = Math.max(...matched);
+        const parts = [];
+        const citations = [];
+        passages.forEach((p, i) => {
+            if (matched[i] < best || parts.length >= ASSISTANT_QUOTED_PASSAGES) return;
+            const sentences = assistantSentences(p.text);
+            const scored = sentences
+                .map(sentence => ({ sentence, score: assistantTerms(sentence).filter(t => terms.has(t)).length }))
+                .sort((x, y) => y.score - x.score);
+            const quote = scored[0]?.score ? scored[0].sentence : sentences.slice(0, 2).join(' ');
+            if (!quote) return;
+            parts.push(`${quote} [${p.n}]`);
+            citations.push(p.n);
+        });
+        return parts.length
+            ? { text: parts.join(' '), citations, covered: true }
+            : { text: "The closest notes don't say this directly.", citations: [], covered: false };
+    },
+});
+
+// the backend gets the numbered passages and must cite them; it answers
+// { answer, citations: [n], covered }
+registerAssistantProvider('server', {
+    label: 'ClinicalRoots assistant',
+    async answer({ question, passages, history }) {
+        const res = await api('/api/assistant', {
+            method: 'POST',
+            cancelKey: 'assistant',
+            timeout: 60000,
+            body: JSON.stringify({
+                question,
+                passages: passages.map(p => ({ n: p.n, note_id: p.noteId, title: p.title, heading: p.heading, text: p.text })),
+                history,
+            }),
+        });
+        return { text: String(res.answer || ''), citations: (res.citations || []).map(Number), covered: res.covered };
+    },
+});
@@ -0,0 +1,125 @@
+// ---------- CHARTS ----------
+// Small charts for the analytics page, drawn in the browser without a
+// charting library: an SVG line chart for time series and an HTML bar list
+// for rankings. Colours come from the .chart-* classes in index.html, so
+// both follow the theme. Every point and bar carries its exact value as a
+// tooltip.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 12, right: 16, bottom: 32, left: 44 };
+const CHART_GRID_LINES = 4;
+const CHART_MAX_X_LABELS = 8;
+const CHART_SERIES_CLASSES = 5;
+
+function svgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+// round an axis maximum up to 1, 2 or 5 times a power of ten
+function niceAxisMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+// labels: x-axis labels; series: [{ name, values }] with one value per label
+function renderLineChart(container, labels, series) {
+    container.innerHTML = '';
+    if (!labels.length || !series.length) {
+        container.innerHTML = '<p class="note-meta">No data for this period.</p>';
+        return;
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const max = niceAxisMax(Math.max(...series.flatMap(s => s.values)));
+    const x = i => CHART_PADDING.left + (labels.length === 1 ? plotWidth / 2 : i * plotWidth / (labels.length - 1));
+    const y = v => CHART_PADDING.top + plotHeight - (v / max) * plotHeight;
+
+    const svg = svgElement('svg', {
+        class: 'chart',
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        role: 'img',
+        'aria-label': series.map(s => s.name).join(', '),
+    });
+
+    for (let i = 0; i <= CHART_GRID_LINES; i++) {
+        const value = max * i / CHART_GRID_LINES;
+        svg.appendChild(svgElement('line', {
+            class: 'chart-grid',
+            x1: CHART_PADDING.left,
+            x2: CHART_WIDTH - CHART_PADDING.right,
+            y1: y(value),
+            y2: y(value),
+        }));
+        const label = svgElement('text', { class: 'chart-axis', x: CHART_PADDING.left - 6, y: y(value) + 4, 'text-anchor': 'end' });
+        label.textContent = Number.isInteger(value) ? value : value.toFixed(1);
+        svg.appendChild(label);
+    }
+
+    const every = Math.ceil(labels.length / CHART_MAX_X_LABELS);
+    labels.forEach((text, i) => {
+        if (i % every && i !== labels.length - 1) return;
+        const label = svgElement('text', { class: 'chart-axis', x: x(i), y: CHART_HEIGHT - 10, 'text-anchor': 'middle' });
+        label.textContent = text;
+        svg.appendChild(label);
+    });
+
+    series.forEach((s, index) => {
+        const group = svgElement('g', { class: `chart-series-${index % CHART_SERIES_CLASSES}` });
+        group.appendChild(svgElement('polyline', {
+            class: 'chart-line',
+            points: s.values.map((v, i) => `${x(i)},${y(v)}`).join(' '),
+        }));
+        s.values.forEach((v, i) => {
+            const point = svgElement('circle', { class: 'chart-point', cx: x(i), cy: y(v), r: 3 });
+            const title = svgElement('title');
+            title.textContent = `${s.name}, ${labels[i]}: ${v}`;
+            point.appendChild(title);
+            group.appendChild(point);
+        });
+        svg.appendChild(group);
+    });
+    container.appendChild(svg);
+
+    if (series.length > 1) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        series.forEach((s, index) => {
+            const item = document.createElement('span');
+            item.className = `chart-series-${index % CHART_SERIES_CLASSES}`;
+            item.innerHTML = '<i class="chart-swatch"></i>';
+            item.appendChild(document.createTextNode(s.name));
+            legend.appendChild(item);
+        });
+        container.appendChild(legend);
+    }
+}
+
+// items: [{ label, value, display? }], drawn longest first as given
+function renderBarChart(container, items) {
+    container.innerHTML = '';
+    if (!items.length) {
+        container.innerHTML = '<p class="note-meta">No data for this period.</p>';
+        return;
+    }
+    const max = Math.max(...items.map(item => item.value)) || 1;
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'chart-bar-row';
+        row.title = `${item.label}: ${item.display ?? item.value}`;
+        row.innerHTML = `
+            <span class="chart-bar-label"></span>
+            <span class="chart-bar-track"><span class="chart-bar" style="width: ${(item.value / max) * 100}%"></span></span>
+            <span class="chart-bar-value"></span>
+        `;
+        row.querySelector('.chart-bar-label').textContent = item.label;
+        row.querySelector('.chart-bar-value').textContent = item.display ?? item.value;
+        container.appendChild(row);
+    });
+}
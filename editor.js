@@ -0,0 +1,1029 @@
+// ---------- RICH TEXT EDITOR ----------
+// createRichEditor(surface, toolbar) turns a contenteditable div into the
+// editor used by both the note form and the about page. The surface keeps
+// a flat list of blocks (paragraphs, headings, lists, quotes, code, tables,
+// callouts, images, rules) described by parseEditorBlocks(); every command
+// edits that structure through Range/DOM calls rather than execCommand, and
+// the editor keeps its own undo history of snapshots.
+
+const EDITOR_HISTORY_LIMIT = 100;
+const EDITOR_SNAPSHOT_DELAY_MS = 400;
+
+const EDITOR_TOOLS = [
+    { cmd: 'bold', icon: 'fa-bold', title: 'Bold (Ctrl+B)' },
+    { cmd: 'italic', icon: 'fa-italic', title: 'Italic (Ctrl+I)' },
+    { cmd: 'underline', icon: 'fa-underline', title: 'Underline (Ctrl+U)' },
+    { cmd: 'superscript', icon: 'fa-superscript', title: 'Superscript' },
+    { cmd: 'subscript', icon: 'fa-subscript', title: 'Subscript' },
+    { cmd: 'cloze', icon: 'fa-highlighter', title: 'Key fact (becomes a flashcard cloze)' },
+    { cmd: 'block' },
+    { cmd: 'bulletList', icon: 'fa-list-ul', title: 'Bulleted list' },
+    { cmd: 'orderedList', icon: 'fa-list-ol', title: 'Numbered list' },
+    { cmd: 'quote', icon: 'fa-quote-right', title: 'Quote' },
+    { cmd: 'codeBlock', icon: 'fa-code', title: 'Code block' },
+    { cmd: 'link', icon: 'fa-link', title: 'Insert link (Ctrl+K)' },
+    { cmd: 'image', icon: 'fa-image', title: 'Insert image' },
+    { cmd: 'hr', icon: 'fa-minus', title: 'Horizontal rule' },
+    { cmd: 'table', icon: 'fa-table', title: 'Insert table' },
+    { cmd: 'addRow', label: '+Row', title: 'Add table row' },
+    { cmd: 'addColumn', label: '+Col', title: 'Add table column' },
+    { cmd: 'deleteRow', label: '−Row', title: 'Delete table row' },
+    { cmd: 'deleteColumn', label: '−Col', title: 'Delete table column' },
+    { cmd: 'callout', arg: 'red-flag', icon: 'fa-triangle-exclamation', title: 'Red flag box' },
+    { cmd: 'callout', arg: 'pearl', icon: 'fa-gem', title: 'Clinical pearl box' },
+    { cmd: 'callout', arg: 'mnemonic', icon: 'fa-lightbulb', title: 'Mnemonic box' },
+    { cmd: 'undo', icon: 'fa-rotate-left', title: 'Undo (Ctrl+Z)' },
+    { cmd: 'redo', icon: 'fa-rotate-right', title: 'Redo (Ctrl+Shift+Z)' },
+    { cmd: 'markdown', icon: 'fa-brands fa-markdown', title: 'Edit as Markdown' },
+];
+
+const EDITOR_BLOCK_FORMATS = [
+    { tag: 'p', label: 'Paragraph' },
+    { tag: 'h2', label: 'Heading 2' },
+    { tag: 'h3', label: 'Heading 3' },
+    { tag: 'h4', label: 'Heading 4' },
+];
+
+const EDITOR_INLINE_TAGS = {
+    bold: 'strong',
+    italic: 'em',
+    underline: 'u',
+    superscript: 'sup',
+    subscript: 'sub',
+    cloze: 'mark',
+};
+
+// equivalent tags a toggle must recognise, e.g. pasted <b> counts as bold
+const EDITOR_INLINE_ALIASES = {
+    strong: 'strong, b',
+    em: 'em, i',
+    u: 'u',
+    sup: 'sup',
+    sub: 'sub',
+    mark: 'mark',
+};
+
+const EDITOR_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR', 'DIV', 'FIGURE'];
+const EDITOR_ATOMIC_TAGS = ['BR', 'IMG', 'HR'];
+
+// ---------- Document model ----------
+// The editor's content as plain objects. Inline runs stay as (sanitised)
+// HTML strings; block structure is explicit.
+function parseEditorBlocks(container) {
+    const blocks = [];
+    let loose = null;
+    const flush = () => {
+        if (loose && (loose.textContent.trim() || loose.querySelector('img'))) {
+            blocks.push({ type: 'paragraph', html: loose.innerHTML.trim() });
+        }
+        loose = null;
+    };
+
+    container.childNodes.forEach(node => {
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.nodeName : null;
+        if (!tag || !EDITOR_BLOCK_TAGS.includes(tag)) {
+            // stray text and inline elements are gathered into a paragraph
+            if (node.nodeType === Node.TEXT_NODE || tag) {
+                loose = loose || document.createElement('p');
+                loose.appendChild(node.cloneNode(true));
+            }
+            return;
+        }
+        flush();
+
+        if (tag === 'P') {
+            blocks.push({ type: 'paragraph', html: node.innerHTML.trim() });
+        } else if (/^H[1-6]$/.test(tag)) {
+            // h1 is the note title, and deeper than h4 is not offered
+            const level = Math.min(4, Math.max(2, Number(tag[1])));
+            blocks.push({ type: 'heading', level, html: node.innerHTML.trim() });
+        } else if (tag === 'UL' || tag === 'OL') {
+            blocks.push({ type: 'list', ordered: tag === 'OL', html: node.innerHTML.trim() });
+        } else if (tag === 'BLOCKQUOTE') {
+            blocks.push({ type: 'quote', html: node.innerHTML.trim() });
+        } else if (tag === 'PRE') {
+            blocks.push({ type: 'code', text: node.textContent.replace(/\n$/, '') });
+        } else if (tag === 'TABLE') {
+            const rows = [...node.querySelectorAll('tr')].map(tr =>
+                [...tr.children].map(cell => ({ header: cell.nodeName === 'TH', html: cell.innerHTML.trim() })));
+            if (rows.length) blocks.push({ type: 'table', rows });
+        } else if (tag === 'HR') {
+            blocks.push({ type: 'hr' });
+        } else if (tag === 'FIGURE') {
+            const img = node.querySelector('img');
+            if (img) blocks.push({ type: 'paragraph', html: img.outerHTML });
+        } else {
+            const variant = Object.keys(CALLOUT_TYPES).find(t => node.classList.contains(`callout-${t}`));
+            if (variant) {
+                blocks.push({ type: 'callout', variant, blocks: parseEditorBlocks(node) });
+            } else {
+                // generic wrappers (pasted <div>s) are flattened into their blocks
+                blocks.push(...parseEditorBlocks(node));
+            }
+        }
+    });
+    flush();
+    return blocks;
+}
+
+function renderEditorBlocks(blocks) {
+    const empty = '<br>';
+    return blocks.map(b => {
+        switch (b.type) {
+            case 'heading':
+                return `<h${b.level}>${b.html || empty}</h${b.level}>`;
+            case 'list':
+                return b.ordered ? `<ol>${b.html}</ol>` : `<ul>${b.html}</ul>`;
+            case 'quote':
+                return `<blockquote>${b.html || empty}</blockquote>`;
+            case 'code':
+                return `<pre><code>${escapeHtml(b.text)}\n</code></pre>`;
+            case 'table': {
+                const head = b.rows[0].every(c => c.header) ? [b.rows[0]] : [];
+                const body = b.rows.slice(head.length);
+                const row = cells => `<tr>${cells.map(c => c.header
+                    ? `<th>${c.html || empty}</th>`
+                    : `<td>${c.html || empty}</td>`).join('')}</tr>`;
+                return `<table>${head.length ? `<thead>${head.map(row).join('')}</thead>` : ''}<tbody>${body.map(row).join('')}</tbody></table>`;
+            }
+            case 'hr':
+                return '<hr>';
+            case 'callout':
+                return `<div class="callout callout-${b.variant}">${renderEditorBlocks(b.blocks.length ? b.blocks : [{ type: 'paragraph', html: '' }])}</div>`;
+            default:
+                return `<p>${b.html || empty}</p>`;
+        }
+    }).join('');
+}
+
+// ---------- Paste cleanup ----------
+// Word and Google Docs put formatting in inline styles and wrap everything
+// in vendor markup. Styles that carry meaning become real tags; the rest is
+// left for sanitizeHtml() to strip.
+function cleanPastedHtml(html) {
+    const doc = new DOMParser().parseFromString(
+        String(html).replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi, ''), 'text/html');
+
+    doc.querySelectorAll('o\\:p, xml, style, meta, link').forEach(el => el.remove());
+
+    // Google Docs wraps the whole clipboard in <b style="font-weight:normal">
+    doc.querySelectorAll('b[id^="docs-internal-guid"]').forEach(el => el.replaceWith(...el.childNodes));
+
+    // Word list paragraphs carry their bullet in a mso-list:Ignore span
+    let list = null;
+    doc.querySelectorAll('p').forEach(p => {
+        const style = p.getAttribute('style') || '';
+        if (!/mso-list/i.test(style) && !/MsoListParagraph/.test(p.className)) {
+            list = null;
+            return;
+        }
+        const bullet = [...p.querySelectorAll('span')].find(s => /mso-list:\s*ignore/i.test(s.getAttribute('style') || ''));
+        const ordered = bullet ? /^\s*[\da-z]+[.)]/i.test(bullet.textContent) : false;
+        if (bullet) bullet.remove();
+        if (!list || list.nodeName !== (ordered ? 'OL' : 'UL') || list.nextElementSibling !== p) {
+            list = doc.createElement(ordered ? 'ol' : 'ul');
+            p.before(list);
+        }
+        const li = doc.createElement('li');
+        li.append(...p.childNodes);
+        list.appendChild(li);
+        p.remove();
+    });
+
+    doc.querySelectorAll('[style]').forEach(el => {
+        const style = el.getAttribute('style').toLowerCase();
+        let inner = el;
+        const wrap = tag => {
+            const w = doc.createElement(tag);
+            w.append(...inner.childNodes);
+            inner.appendChild(w);
+            inner = w;
+        };
+        if (el.nodeName !== 'B' && el.nodeName !== 'STRONG' && /font-weight:\s*(bold|[6-9]00)/.test(style)) wrap('strong');
+        if (/font-style:\s*italic/.test(style)) wrap('em');
+        if (/text-decoration[^;]*underline/.test(style) && el.nodeName !== 'A') wrap('u');
+        if (/vertical-align:\s*super/.test(style)) wrap('sup');
+        if (/vertical-align:\s*sub/.test(style)) wrap('sub');
+    });
+
+    // Google Docs marks non-bold runs with <b style="font-weight:normal">
+    doc.querySelectorAll('b, strong').forEach(el => {
+        if (/font-weight:\s*(normal|[1-5]00)/i.test(el.getAttribute('style') || '')) el.replaceWith(...el.childNodes);
+    });
+
+    // vendor class names (MsoNormal, c12, ...) mean nothing here, and with
+    // their styles gone the spans that carried them are empty wrappers
+    doc.querySelectorAll('[class]').forEach(el => {
+        if (!el.classList.contains('callout')) el.removeAttribute('class');
+    });
+    doc.querySelectorAll('span').forEach(el => el.replaceWith(...el.childNodes));
+
+    return sanitizeHtml(doc.body.innerHTML);
+}
+
+function plainTextToHtml(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/)
+        .map(para => para.trim())
+        .filter(Boolean)
+        .map(para => `<p>${escapeHtml(para).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// ---------- Editor ----------
+function createRichEditor(surface, toolbar, { onChange } = {}) {
+    let history = [];
+    let future = [];
+    let snapshotTimer = null;
+    let savedRange = null;
+    let markdownArea = null;
+
+    // ----- selection helpers -----
+    function currentRange() {
+        const sel = window.getSelection();
+        if (sel.rangeCount) {
+            const range = sel.getRangeAt(0);
+            if (surface.contains(range.commonAncestorContainer)) return range;
+        }
+        // toolbar <select>s and prompts take focus away; use the last known range
+        if (savedRange) {
+            surface.focus();
+            sel.removeAllRanges();
+            sel.addRange(savedRange);
+            return savedRange;
+        }
+        return null;
+    }
+
+    function rememberRange() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return;
+        const range = sel.getRangeAt(0);
+        if (surface.contains(range.commonAncestorContainer)) savedRange = range.cloneRange();
+    }
+
+    function placeCaret(node, offset = 0) {
+        const range = document.createRange();
+        range.setStart(node, offset);
+        range.collapse(true);
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+        savedRange = range.cloneRange();
+    }
+
+    function closestInSurface(node, selector) {
+        const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const found = el ? el.closest(selector) : null;
+        return found && surface.contains(found) && found !== surface ? found : null;
+    }
+
+    // Blocks live directly in the surface or inside a callout box
+    function isBlockContainer(el) {
+        return el === surface || (el.nodeName === 'DIV' && el.classList.contains('callout'));
+    }
+
+    function blockOf(node) {
+        let n = node;
+        while (n && n !== surface && !(n.parentNode && isBlockContainer(n.parentNode))) n = n.parentNode;
+        return n && n !== surface ? n : null;
+    }
+
+    function selectedBlocks(range) {
+        const first = blockOf(range.startContainer);
+        const last = blockOf(range.endContainer);
+        if (!first) return [];
+        if (!last || first.parentNode !== last.parentNode) return [first];
+        const blocks = [];
+        for (let b = first; b; b = b.nextSibling) {
+            if (b.nodeType === Node.ELEMENT_NODE) blocks.push(b);
+            if (b === last) break;
+        }
+        return blocks;
+    }
+
+    // ----- caret bookkeeping for snapshots and normalisation -----
+    // A caret position is a count of characters, atomic elements and block
+    // starts from the top of the surface, so it survives re-rendering.
+    function countUnits(root) {
+        let units = 0;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+            if (n.nodeType === Node.TEXT_NODE) units += n.textContent.length;
+            else if (EDITOR_BLOCK_TAGS.includes(n.nodeName) || n.nodeName === 'LI' || n.nodeName === 'TD' || n.nodeName === 'TH') units += 1;
+            else if (EDITOR_ATOMIC_TAGS.includes(n.nodeName)) units += 1;
+        }
+        return units;
+    }
+
+    function saveCaret() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !surface.contains(sel.getRangeAt(0).startContainer)) return null;
+        const range = sel.getRangeAt(0);
+        const before = document.createRange();
+        before.selectNodeContents(surface);
+        before.setEnd(range.startContainer, range.startOffset);
+        const box = document.createElement('div');
+        box.appendChild(before.cloneContents());
+        return countUnits(box);
+    }
+
+    function restoreCaret(target) {
+        if (target === null || target === undefined) return;
+        let units = 0;
+        const walker = document.createTreeWalker(surface, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+            if (n.nodeType === Node.TEXT_NODE) {
+                if (units + n.textContent.length >= target) return placeCaret(n, target - units);
+                units += n.textContent.length;
+            } else if (EDITOR_BLOCK_TAGS.includes(n.nodeName) || ['LI', 'TD', 'TH'].includes(n.nodeName)) {
+                units += 1;
+                if (units >= target && !['UL', 'OL', 'TABLE', 'DIV'].includes(n.nodeName)) return placeCaret(n, 0);
+            } else if (EDITOR_ATOMIC_TAGS.includes(n.nodeName)) {
+                if (units >= target) return placeCaret(n.parentNode, [...n.parentNode.childNodes].indexOf(n));
+                units += 1;
+            }
+        }
+        const last = surface.lastElementChild;
+        if (last) placeCaret(last, last.childNodes.length);
+    }
+
+    // ----- history -----
+    function snapshot() {
+        clearTimeout(snapshotTimer);
+        snapshotTimer = null;
+        const state = { html: surface.innerHTML, caret: saveCaret() };
+        const top = history[history.length - 1];
+        if (top && top.html === state.html) return;
+        history.push(state);
+        if (history.length > EDITOR_HISTORY_LIMIT) history.shift();
+        future = [];
+    }
+
+    // one undo step per burst of typing: snapshot only when a burst starts
+    function scheduleSnapshot() {
+        if (!snapshotTimer) snapshot();
+        clearTimeout(snapshotTimer);
+        snapshotTimer = setTimeout(() => { snapshotTimer = null; }, EDITOR_SNAPSHOT_DELAY_MS);
+    }
+
+    function restoreState(state) {
+        surface.innerHTML = state.html;
+        surface.focus();
+        restoreCaret(state.caret);
+        changed();
+    }
+
+    function undo() {
+        clearTimeout(snapshotTimer);
+        snapshotTimer = null;
+        const current = { html: surface.innerHTML, caret: saveCaret() };
+        let prev = history.pop();
+        while (prev && prev.html === current.html) prev = history.pop();
+        if (!prev) return;
+        future.push(current);
+        restoreState(prev);
+    }
+
+    function redo() {
+        const next = future.pop();
+        if (!next) return;
+        history.push({ html: surface.innerHTML, caret: saveCaret() });
+        restoreState(next);
+    }
+
+    function changed() {
+        updateToolbarState();
+        if (onChange) onChange();
+    }
+
+    // ----- structure -----
+    function normalise() {
+        const caret = saveCaret();
+        const blocks = parseEditorBlocks(surface);
+        surface.innerHTML = sanitizeHtml(renderEditorBlocks(blocks.length ? blocks : [{ type: 'paragraph', html: '' }]));
+        restoreCaret(caret);
+    }
+
+    // Browsers create <div>s (or bare text) when Enter is pressed after a
+    // heading; only re-render when such stray nodes appear, so ordinary
+    // typing never moves the caret.
+    function fixStrayNodes() {
+        const stray = [...surface.childNodes].some(n =>
+            (n.nodeType === Node.TEXT_NODE && n.textContent.trim()) ||
+            (n.nodeType === Node.ELEMENT_NODE && (!EDITOR_BLOCK_TAGS.includes(n.nodeName) ||
+                (n.nodeName === 'DIV' && !n.classList.contains('callout')))));
+        if (stray || !surface.firstElementChild) normalise();
+    }
+
+    function runCommand(fn) {
+        const range = currentRange();
+        snapshot();
+        fn(range);
+        changed();
+    }
+
+    function textNodesIn(range) {
+        // split partially selected text nodes so only the selection is affected
+        if (range.endContainer.nodeType === Node.TEXT_NODE && range.endOffset < range.endContainer.length) {
+            range.endContainer.splitText(range.endOffset);
+        }
+        if (range.startContainer.nodeType === Node.TEXT_NODE && range.startOffset > 0) {
+            const sameNode = range.startContainer === range.endContainer;
+            const startOffset = range.startOffset;
+            const endOffset = range.endOffset;
+            const tail = range.startContainer.splitText(startOffset);
+            range.setStart(tail, 0);
+            if (sameNode) range.setEnd(tail, endOffset - startOffset);
+        }
+        const root = range.commonAncestorContainer;
+        if (root.nodeType === Node.TEXT_NODE) return root.textContent ? [root] : [];
+        const nodes = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+            if (n.textContent && range.intersectsNode(n) && !closestInSurface(n, 'pre')) nodes.push(n);
+        }
+        return nodes;
+    }
+
+    function unwrap(el) {
+        el.replaceWith(...el.childNodes);
+    }
+
+    function toggleInline(tag, range) {
+        if (!range || range.collapsed) return;
+        const selector = EDITOR_INLINE_ALIASES[tag];
+        const nodes = textNodesIn(range);
+        if (!nodes.length) return;
+
+        if (nodes.every(n => closestInSurface(n, selector))) {
+            new Set(nodes.map(n => closestInSurface(n, selector))).forEach(unwrap);
+        } else {
+            nodes.filter(n => !closestInSurface(n, selector)).forEach(n => {
+                const el = document.createElement(tag);
+                n.replaceWith(el);
+                el.appendChild(n);
+            });
+        }
+        const sel = window.getSelection();
+        const r = document.createRange();
+        r.setStartBefore(nodes[0].parentNode.nodeName.toLowerCase() === tag ? nodes[0].parentNode : nodes[0]);
+        const last = nodes[nodes.length - 1];
+        r.setEndAfter(last.parentNode.nodeName.toLowerCase() === tag ? last.parentNode : last);
+        sel.removeAllRanges();
+        sel.addRange(r);
+    }
+
+    function setBlockType(tag, range) {
+        if (!range) return;
+        const blocks = selectedBlocks(range);
+        const caret = saveCaret();
+        blocks.forEach(block => {
+            if (block.nodeName === 'UL' || block.nodeName === 'OL') {
+                [...block.children].forEach(li => {
+                    const el = document.createElement(tag);
+                    el.append(...[...li.childNodes].filter(c => c.nodeName !== 'UL' && c.nodeName !== 'OL'));
+                    block.before(el);
+                });
+                block.remove();
+                return;
+            }
+            if (['TABLE', 'HR', 'DIV', 'FIGURE'].includes(block.nodeName)) return;
+            const el = document.createElement(tag);
+            if (tag === 'pre') {
+                el.textContent = block.textContent + '\n';
+            } else if (block.nodeName === 'PRE') {
+                el.textContent = block.textContent.replace(/\n$/, '');
+            } else {
+                el.append(...block.childNodes);
+            }
+            if (!el.firstChild) el.innerHTML = '<br>';
+            block.replaceWith(el);
+        });
+        restoreCaret(caret);
+    }
+
+    function toggleBlock(tag, range) {
+        if (!range) return;
+        const blocks = selectedBlocks(range);
+        const target = tag.toUpperCase();
+        setBlockType(blocks.length && blocks.every(b => b.nodeName === target) ? 'p' : tag, range);
+    }
+
+    function toggleList(ordered, range) {
+        if (!range) return;
+        const blocks = selectedBlocks(range).filter(b => !['TABLE', 'HR', 'DIV', 'PRE', 'FIGURE'].includes(b.nodeName));
+        if (!blocks.length) return;
+        const listTag = ordered ? 'OL' : 'UL';
+        const caret = saveCaret();
+
+        if (blocks.every(b => b.nodeName === listTag)) {
+            setBlockType('p', range);
+            return;
+        }
+        const list = document.createElement(listTag.toLowerCase());
+        blocks[0].before(list);
+        blocks.forEach(block => {
+            if (block.nodeName === 'UL' || block.nodeName === 'OL') {
+                list.append(...block.children);
+            } else {
+                const li = document.createElement('li');
+                li.append(...block.childNodes);
+                if (!li.firstChild) li.innerHTML = '<br>';
+                list.appendChild(li);
+            }
+            block.remove();
+        });
+        restoreCaret(caret);
+    }
+
+    function indentListItem(li, outdent) {
+        const list = li.parentNode;
+        if (outdent) {
+            const parentLi = list.parentNode.closest('li');
+            if (!parentLi || !surface.contains(parentLi)) return false;
+            // following siblings become children of the moved item
+            const rest = [];
+            for (let n = li.nextElementSibling; n; n = n.nextElementSibling) rest.push(n);
+            if (rest.length) {
+                const sub = document.createElement(list.nodeName.toLowerCase());
+                sub.append(...rest);
+                li.appendChild(sub);
+            }
+            parentLi.after(li);
+            if (!list.children.length) list.remove();
+            return true;
+        }
+        const prev = li.previousElementSibling;
+        if (!prev) return false;
+        let sub = [...prev.children].find(c => c.nodeName === list.nodeName);
+        if (!sub) {
+            sub = document.createElement(list.nodeName.toLowerCase());
+            prev.appendChild(sub);
+        }
+        sub.appendChild(li);
+        return true;
+    }
+
+    // block inserted after the caret's block, with an empty paragraph to
+    // keep typing in when it lands at the end of its container
+    function insertBlockAfterCaret(el, range) {
+        const block = range && blockOf(range.startContainer);
+        if (block && block.nodeName === 'P' && !block.textContent.trim() && !block.querySelector('img')) {
+            block.replaceWith(el);
+        } else if (block) {
+            block.after(el);
+        } else {
+            surface.appendChild(el);
+        }
+        if (!el.nextElementSibling) {
+            const p = document.createElement('p');
+            p.innerHTML = '<br>';
+            el.after(p);
+        }
+        return el;
+    }
+
+    function insertLink(range) {
+        if (!range) return;
+        const existing = closestInSurface(range.startContainer, 'a');
+        const url = prompt('Enter URL (leave empty to remove the link):', existing ? existing.getAttribute('href') : 'https://');
+        if (url === null) return;
+        if (existing && !url.trim()) {
+            unwrap(existing);
+            return;
+        }
+        const href = sanitizeUrl(url.trim(), SANITIZE_LINK_PROTOCOLS);
+        if (!href) {
+            showToast('Links must start with http://, https://, mailto: or tel:', 'error');
+            return;
+        }
+        if (existing) {
+            existing.setAttribute('href', href);
+            return;
+        }
+        if (range.collapsed) {
+            const a = document.createElement('a');
+            a.href = href;
+            a.textContent = href;
+            range.insertNode(a);
+            placeCaret(a.parentNode, [...a.parentNode.childNodes].indexOf(a) + 1);
+            return;
+        }
+        textNodesIn(range).forEach(n => {
+            const a = document.createElement('a');
+            a.setAttribute('href', href);
+            n.replaceWith(a);
+            a.appendChild(n);
+        });
+    }
+
+    function insertImage(range) {
+        const url = prompt('Enter image URL:');
+        if (!url) return;
+        const src = sanitizeUrl(url.trim(), SANITIZE_IMG_PROTOCOLS);
+        if (!src) {
+            showToast('Images must use an http:// or https:// URL.', 'error');
+            return;
+        }
+        const alt = prompt('Describe the image (alt text):') || '';
+        const p = document.createElement('p');
+        const img = document.createElement('img');
+        img.setAttribute('src', src);
+        img.setAttribute('alt', alt);
+        p.appendChild(img);
+        insertBlockAfterCaret(p, range);
+    }
+
+    function insertTable(range) {
+        const size = prompt('Table size (rows x columns):', '3x3');
+        if (!size) return;
+        const m = size.match(/(\d+)\s*[x×,]\s*(\d+)/i);
+        const rows = Math.min(50, Math.max(1, m ? Number(m[1]) : 3));
+        const cols = Math.min(12, Math.max(1, m ? Number(m[2]) : 3));
+        const table = document.createElement('table');
+        const cells = (tag) => Array.from({ length: cols }, () => `<${tag}><br></${tag}>`).join('');
+        table.innerHTML = `<thead><tr>${cells('th')}</tr></thead><tbody>${Array.from({ length: Math.max(1, rows - 1) }, () => `<tr>${cells('td')}</tr>`).join('')}</tbody>`;
+        insertBlockAfterCaret(table, range);
+        placeCaret(table.querySelector('th'), 0);
+    }
+
+    function tableOp(op, range) {
+        const cell = range && closestInSurface(range.startContainer, 'td, th');
+        if (!cell) {
+            showToast('Place the cursor inside a table first.', 'error');
+            return;
+        }
+        const row = cell.parentNode;
+        const table = cell.closest('table');
+        const index = [...row.children].indexOf(cell);
+
+        if (op === 'addRow') {
+            const tr = document.createElement('tr');
+            tr.innerHTML = [...row.children].map(() => '<td><br></td>').join('');
+            if (row.parentNode.nodeName === 'THEAD') {
+                const body = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+                body.prepend(tr);
+            } else {
+                row.after(tr);
+            }
+            placeCaret(tr.firstChild, 0);
+        } else if (op === 'addColumn') {
+            table.querySelectorAll('tr').forEach(tr => {
+                const ref = tr.children[index];
+                const c = document.createElement(tr.parentNode.nodeName === 'THEAD' ? 'th' : 'td');
+                c.innerHTML = '<br>';
+                if (ref) ref.after(c);
+                else tr.appendChild(c);
+            });
+        } else if (op === 'deleteRow') {
+            const next = row.nextElementSibling || row.previousElementSibling;
+            row.remove();
+            if (!table.querySelector('tr')) table.remove();
+            else if (next) placeCaret(next.firstChild, 0);
+        } else if (op === 'deleteColumn') {
+            table.querySelectorAll('tr').forEach(tr => tr.children[index]?.remove());
+            if (!table.querySelector('td, th')) table.remove();
+        }
+    }
+
+    function moveToCell(cell, backwards) {
+        const cells = [...cell.closest('table').querySelectorAll('td, th')];
+        const i = cells.indexOf(cell) + (backwards ? -1 : 1);
+        if (i < 0) return;
+        if (i >= cells.length) {
+            // Tab in the last cell grows the table
+            tableOp('addRow', (() => {
+                const r = document.createRange();
+                r.setStart(cell, 0);
+                return r;
+            })());
+            return;
+        }
+        const target = cells[i];
+        const r = document.createRange();
+        r.selectNodeContents(target);
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(r);
+    }
+
+    function toggleCallout(variant, range) {
+        if (!range) return;
+        const existing = closestInSurface(range.startContainer, 'div.callout');
+        if (existing) {
+            const caret = saveCaret();
+            if (existing.classList.contains(`callout-${variant}`)) {
+                unwrap(existing);
+            } else {
+                existing.className = `callout callout-${variant}`;
+            }
+            restoreCaret(caret);
+            return;
+        }
+        const blocks = selectedBlocks(range).filter(b => b.nodeName !== 'HR');
+        const box = document.createElement('div');
+        box.className = `callout callout-${variant}`;
+        const usable = blocks.filter(b => b.textContent.trim() || b.querySelector('img'));
+        if (usable.length && !range.collapsed) {
+            usable[0].before(box);
+            box.append(...usable);
+            placeCaret(box.lastElementChild, 0);
+        } else {
+            box.innerHTML = '<p><br></p>';
+            insertBlockAfterCaret(box, range);
+            placeCaret(box.firstChild, 0);
+        }
+    }
+
+    function insertRule(range) {
+        insertBlockAfterCaret(document.createElement('hr'), range);
+    }
+
+    function insertPastedHtml(html, range) {
+        if (!range) return;
+        range.deleteContents();
+        const tmp = document.createElement('div');
+        tmp.innerHTML = html;
+
+        // a single paragraph pastes inline, at the caret
+        const only = tmp.children.length === 1 && tmp.firstElementChild.nodeName === 'P' ? tmp.firstElementChild : null;
+        if (only || !tmp.children.length) {
+            const frag = document.createDocumentFragment();
+            frag.append(...(only ? only.childNodes : tmp.childNodes));
+            const last = frag.lastChild;
+            range.insertNode(frag);
+            if (last) placeCaret(last.parentNode, [...last.parentNode.childNodes].indexOf(last) + 1);
+            return;
+        }
+        let anchor = blockOf(range.startContainer);
+        const blocks = [...tmp.childNodes];
+        if (anchor && anchor.nodeName === 'P' && !anchor.textContent.trim()) {
+            anchor.replaceWith(...blocks);
+        } else if (anchor) {
+            anchor.after(...blocks);
+        } else {
+            surface.append(...blocks);
+        }
+        const last = blocks[blocks.length - 1];
+        placeCaret(last, last.childNodes.length);
+    }
+
+    // ----- Markdown mode -----
+    function toggleMarkdown() {
+        const btn = toolbar && toolbar.querySelector('[data-cmd="markdown"]');
+        if (!markdownArea) {
+            markdownArea = document.createElement('textarea');
+            markdownArea.className = 'form-input markdown-source';
+            markdownArea.value = htmlToMarkdown(getHTML());
+            markdownArea.addEventListener('input', () => { if (onChange) onChange(); });
+            surface.after(markdownArea);
+            surface.classList.add('hidden');
+            if (btn) btn.classList.add('active');
+            markdownArea.focus();
+        } else {
+            const md = markdownArea.value;
+            markdownArea.remove();
+            markdownArea = null;
+            surface.classList.remove('hidden');
+            if (btn) btn.classList.remove('active');
+            snapshot();
+            setContent(markdownToHtml(md));
+            snapshot();
+            changed();
+        }
+        toolbar?.querySelectorAll('[data-cmd], select').forEach(el => {
+            if (el.dataset.cmd !== 'markdown') el.disabled = !!markdownArea;
+        });
+    }
+
+    // ----- commands -----
+    function exec(cmd, arg) {
+        if (markdownArea && cmd !== 'markdown') return;
+        if (cmd === 'undo') return undo();
+        if (cmd === 'redo') return redo();
+        if (cmd === 'markdown') return toggleMarkdown();
+
+        runCommand(range => {
+            if (EDITOR_INLINE_TAGS[cmd]) toggleInline(EDITOR_INLINE_TAGS[cmd], range);
+            else if (cmd === 'block') setBlockType(arg, range);
+            else if (cmd === 'bulletList') toggleList(false, range);
+            else if (cmd === 'orderedList') toggleList(true, range);
+            else if (cmd === 'quote') toggleBlock('blockquote', range);
+            else if (cmd === 'codeBlock') toggleBlock('pre', range);
+            else if (cmd === 'link') insertLink(range);
+            else if (cmd === 'image') insertImage(range);
+            else if (cmd === 'hr') insertRule(range);
+            else if (cmd === 'table') insertTable(range);
+            else if (['addRow', 'addColumn', 'deleteRow', 'deleteColumn'].includes(cmd)) tableOp(cmd, range);
+            else if (cmd === 'callout') toggleCallout(arg, range);
+        });
+        fixStrayNodes();
+        rememberRange();
+    }
+
+    function updateToolbarState() {
+        if (!toolbar) return;
+        const range = (() => {
+            const sel = window.getSelection();
+            return sel.rangeCount && surface.contains(sel.getRangeAt(0).commonAncestorContainer) ? sel.getRangeAt(0) : null;
+        })();
+        if (!range) return;
+        Object.entries(EDITOR_INLINE_TAGS).forEach(([cmd, tag]) => {
+            const btn = toolbar.querySelector(`[data-cmd="${cmd}"]`);
+            if (btn) btn.classList.toggle('active', !!closestInSurface(range.startContainer, EDITOR_INLINE_ALIASES[tag]));
+        });
+        const select = toolbar.querySelector('select[data-block]');
+        const block = blockOf(range.startContainer);
+        if (select && block) {
+            const tag = block.nodeName.toLowerCase();
+            select.value = EDITOR_BLOCK_FORMATS.some(f => f.tag === tag) ? tag : '';
+        }
+    }
+
+    function renderToolbar() {
+        if (!toolbar) return;
+        toolbar.innerHTML = '';
+        EDITOR_TOOLS.forEach(tool => {
+            if (tool.cmd === 'block') {
+                const select = document.createElement('select');
+                select.className = 'editor-select';
+                select.dataset.block = '';
+                select.title = 'Paragraph style';
+                select.innerHTML = `<option value="" disabled>Style</option>` +
+                    EDITOR_BLOCK_FORMATS.map(f => `<option value="${f.tag}">${f.label}</option>`).join('');
+                select.onchange = () => exec('block', select.value);
+                toolbar.appendChild(select);
+                return;
+            }
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'editor-btn';
+            btn.title = tool.title;
+            btn.dataset.cmd = tool.cmd;
+            if (tool.arg) btn.dataset.arg = tool.arg;
+            btn.innerHTML = tool.icon
+                ? `<i class="${tool.icon.startsWith('fa-brands') ? tool.icon : `fas ${tool.icon}`}"></i>`
+                : escapeHtml(tool.label);
+            // keep the selection in the surface while clicking
+            btn.addEventListener('mousedown', e => e.preventDefault());
+            btn.addEventListener('click', () => exec(tool.cmd, tool.arg));
+            toolbar.appendChild(btn);
+        });
+    }
+
+    // ----- events -----
+    function onKeydown(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        const key = e.key.toLowerCase();
+        if (mod && !e.altKey) {
+            const shortcuts = { b: 'bold', i: 'italic', u: 'underline', k: 'link' };
+            if (key === 'z') {
+                e.preventDefault();
+                return e.shiftKey ? redo() : undo();
+            }
+            if (key === 'y') {
+                e.preventDefault();
+                return redo();
+            }
+            if (shortcuts[key]) {
+                e.preventDefault();
+                return exec(shortcuts[key]);
+            }
+        }
+
+        const range = currentRange();
+        if (!range) return;
+
+        if (e.key === 'Tab') {
+            const cell = closestInSurface(range.startContainer, 'td, th');
+            const li = closestInSurface(range.startContainer, 'li');
+            if (cell) {
+                e.preventDefault();
+                snapshot();
+                moveToCell(cell, e.shiftKey);
+            } else if (li) {
+                e.preventDefault();
+                snapshot();
+                const caret = saveCaret();
+                if (indentListItem(li, e.shiftKey)) restoreCaret(caret);
+            }
+            return;
+        }
+
+        if (e.key !== 'Enter' || e.shiftKey) return;
+
+        const pre = closestInSurface(range.startContainer, 'pre');
+        if (pre) {
+            // newlines stay inside the code block; Shift+Enter leaves it.
+            // A trailing newline is only rendered if another follows it.
+            e.preventDefault();
+            scheduleSnapshot();
+            range.deleteContents();
+            const nl = document.createTextNode('\n');
+            range.insertNode(nl);
+            if (!pre.textContent.endsWith('\n')) pre.appendChild(document.createTextNode('\n'));
+            placeCaret(nl, 1);
+            changed();
+            return;
+        }
+
+        // Enter on an empty last line of a callout steps out of the box
+        const block = blockOf(range.startContainer);
+        const box = block && block.parentNode !== surface ? block.parentNode : null;
+        if (box && block === box.lastElementChild && block.nodeName === 'P' && !block.textContent.trim()) {
+            e.preventDefault();
+            snapshot();
+            box.after(block);
+            if (!box.children.length) box.remove();
+            placeCaret(block, 0);
+            changed();
+        }
+    }
+
+    function onBeforeInput(e) {
+        // OS menus and touch keyboards send these instead of key presses
+        const map = { historyUndo: 'undo', historyRedo: 'redo', formatBold: 'bold', formatItalic: 'italic', formatUnderline: 'underline' };
+        if (map[e.inputType]) {
+            e.preventDefault();
+            exec(map[e.inputType]);
+            return;
+        }
+        scheduleSnapshot();
+    }
+
+    function onPaste(e) {
+        const data = e.clipboardData;
+        if (!data) return;
+        e.preventDefault();
+        const html = data.getData('text/html');
+        const clean = html ? cleanPastedHtml(html) : plainTextToHtml(data.getData('text/plain'));
+        runCommand(range => insertPastedHtml(clean, range));
+        normalise();
+    }
+
+    // ----- content -----
+    function setContent(html) {
+        surface.innerHTML = sanitizeHtml(html || '');
+        const blocks = parseEditorBlocks(surface);
+        surface.innerHTML = sanitizeHtml(renderEditorBlocks(blocks.length ? blocks : [{ type: 'paragraph', html: '' }]));
+    }
+
+    // empty paragraphs are editing scaffolding, not content
+    function pruneEmpty(blocks) {
+        return blocks
+            .filter(b => !(b.type === 'paragraph' && !b.html.replace(/<br\s*\/?>/gi, '').trim()))
+            .map(b => b.type === 'callout' ? { ...b, blocks: pruneEmpty(b.blocks) } : b);
+    }
+
+    function getHTML() {
+        if (markdownArea) return sanitizeHtml(markdownToHtml(markdownArea.value));
+        return sanitizeHtml(renderEditorBlocks(pruneEmpty(parseEditorBlocks(surface)))
+            .replace(/<br><\/(t[dh]|h\d|blockquote)>/g, '</$1>')
+            .replace(/\n<\/code><\/pre>/g, '</code></pre>'));
+    }
+
+    function setHTML(html) {
+        if (markdownArea) toggleMarkdown();
+        setContent(html);
+        history = [];
+        future = [];
+        savedRange = null;
+    }
+
+    renderToolbar();
+    surface.addEventListener('keydown', onKeydown);
+    surface.addEventListener('beforeinput', onBeforeInput);
+    surface.addEventListener('input', () => {
+        fixStrayNodes();
+        changed();
+    });
+    surface.addEventListener('paste', onPaste);
+    surface.addEventListener('keyup', rememberRange);
+    surface.addEventListener('mouseup', rememberRange);
+    document.addEventListener('selectionchange', () => {
+        rememberRange();
+        updateToolbarState();
+    });
+    setContent(surface.innerHTML);
+
+    return {
+        getHTML,
+        setHTML,
+        getMarkdown: () => htmlToMarkdown(getHTML()),
+        setMarkdown: md => setHTML(markdownToHtml(md)),
+        getDocument: () => parseEditorBlocks(surface),
+        setDocument: blocks => setHTML(renderEditorBlocks(blocks)),
+        isEmpty: () => {
+            const html = getHTML();
+            const box = document.createElement('div');
+            box.innerHTML = html;
+            return !box.textContent.trim() && !box.querySelector('img, hr, table');
+        },
+        focus: () => surface.focus(),
+        exec,
+        undo,
+        redo,
+    };
+}
@@ -1,39 +1,38 @@
-// ---------- BACKEND BASE ----------
-const API_BASE = "https://imeneee.pythonanywhere.com";
+// ---------- Small helpers ----------
+function qs(id) { return document.getElementById(id); }
 
-function apiUrl(path) {
-    if (path.startsWith("http://") || path.startsWith("https://")) return path;
-    return `${API_BASE}${path}`;
+// small non-cryptographic hash (djb2) for stable ids derived from text
+function hashString(str) {
+    let h = 5381;
+    for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) >>> 0;
+    return h.toString(36);
 }
 
-// ---------- Small helpers ----------
-function apiHeaders() {
-    const token = sessionStorage.getItem('jwt');
-    return token
-        ? { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` }
-        : { 'Content-Type': 'application/json' };
+function downloadFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
 }
 
-async function api(path, opts = {}) {
-    const url = apiUrl(path);
-    const options = { headers: apiHeaders(), ...opts };
+// localStorage key scoped to the signed-in user, or to guests
+function userStorageKey(prefix, user = currentUser) {
+    return prefix + (user ? (user.id ?? user.email) : 'guest');
+}
 
-    const res = await fetch(url, options);
-    if (!res.ok) {
-        if (res.status === 401) {
-            alert("Session expired. Please log in again.");
-            handleLogout(false);
-            openLogin();
-            throw new Error("Unauthorized");
-        }
-        const text = await res.text().catch(() => null);
-        throw new Error(text || `HTTP ${res.status}`);
-    }
-    if (res.status === 204) return {};
-    return res.json();
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function qs(id) { return document.getElementById(id); }
+// plain text of an HTML fragment; DOMParser documents never run scripts
+function htmlToText(html) {
+    if (!html) return '';
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+}
 
 // ---------- Elements ----------
 const elements = {
@@ -49,6 +48,19 @@ const elements = {
         tools: qs('toolsPage'),
         ia: qs('iaPage'),
         about: qs('aboutPage'),
+        search: qs('searchPage'),
+        account: qs('accountPage'),
+        accountFlow: qs('accountFlowPage'),
+        quiz: qs('quizPage'),
+        flashcards: qs('flashcardsPage'),
+        studyGuide: qs('studyGuidePage'),
+        progress: qs('progressPage'),
+        collections: qs('collectionsPage'),
+        collection: qs('collectionPage'),
+        annotations: qs('annotationsPage'),
+        manageCategories: qs('manageCategoriesPage'),
+        analytics: qs('analyticsPage'),
+        libraryTransfer: qs('libraryTransferPage'),
     },
     subcategoriesGrid: qs('subcategoriesContainer'),
     notesContainer: qs('notesContainer'),
@@ -56,8 +68,12 @@ const elements = {
     noteTitle: qs('noteTitle'),
     noteBody: qs('noteBody'),
     noteMeta: qs('noteMeta'),
+    searchInput: qs('searchInput'),
+    searchSuggestions: qs('searchSuggestions'),
     loginForm: qs('loginForm'),
     loginModal: qs('loginModal'),
+    signupModal: qs('signupModal'),
+    forgotPasswordModal: qs('forgotPasswordModal'),
     loginBtn: qs('loginBtn'),
     signupBtn: qs('signupBtn'),
     userMenu: qs('userMenu'),
@@ -68,10 +84,15 @@ const elements = {
     noteFormSubcategory: qs('noteFormSubcategory'),
     noteFormContent: qs('noteFormContent'),
     noteFormSources: qs('noteFormSources'),
+    noteFormQuestions: qs('noteFormQuestions'),
+    noteFormFlashcards: qs('noteFormFlashcards'),
     noteFormTags: qs('noteFormTags'),
     publishedCount: qs('publishedCount'),
     draftsCount: qs('draftsCount'),
     deletedCount: qs('deletedCount'),
+    inReviewCount: qs('inReviewCount'),
+    changesRequestedCount: qs('changesRequestedCount'),
+    approvedCount: qs('approvedCount'),
     totalViews: qs('totalViews'),
 };
 
@@ -81,6 +102,12 @@ let currentCategoryPath = "";
 let categoriesTree = [];
 let flatCategories = [];
 let editingNoteId = null;
+let currentCategoryNotes = [];
+let categoryNotesOffline = false;
+let currentTagFilter = null;
+let noteFormTagList = [];
+let knownTags = null;
+let resumeAfterLogin = null;
 
 // ---------- AUTH ----------
 async function handleLogin(e) {
@@ -89,55 +116,83 @@ async function handleLogin(e) {
     const password = qs('loginPassword').value;
 
     try {
-        const res = await fetch(apiUrl('/api/login'), {
+        const data = await api('/api/login', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            auth: false,
             body: JSON.stringify({ email, password })
         });
-        const data = await res.json();
-        if (!res.ok) {
-            alert(data.message || "Login failed");
-            return;
-        }
 
-        sessionStorage.setItem('jwt', data.token);
+        storeTokens(data);
         sessionStorage.setItem('user', JSON.stringify(data.user));
         currentUser = data.user;
         updateLoginUI();
         closeLogin();
-        showHome();
+        adoptGuestProgress();
+        syncProgressFromServer().catch(console.error);
+        adoptGuestCollections().catch(console.error);
+        if (resumeAfterLogin) {
+            const resume = resumeAfterLogin;
+            resumeAfterLogin = null;
+            resume();
+        } else {
+            showHome();
+        }
 
     } catch (err) {
         console.error(err);
-        alert("Login error: " + err.message);
+        // 400/401 carry the server's reason ("Bad email or password")
+        showToast(err instanceof AuthError || err.status === 400 ? err.message : 'Login error: ' + err.message, 'error');
     }
 }
 
 function updateLoginUI() {
     const stored = sessionStorage.getItem('user');
     currentUser = stored ? JSON.parse(stored) : null;
+    qs('guestCollectionsLink')?.classList.toggle('hidden', !!currentUser);
+    renderCollectionsMenu();
 
     if (!currentUser) {
         if (elements.loginBtn) elements.loginBtn.classList.remove('hidden');
         if (elements.signupBtn) elements.signupBtn.classList.remove('hidden');
         if (elements.userMenu) elements.userMenu.classList.add('hidden');
-        document.body.classList.remove('admin-logged-in');
+        applyPermissions();
         return;
     }
 
     if (elements.loginBtn) elements.loginBtn.classList.add('hidden');
     if (elements.signupBtn) elements.signupBtn.classList.add('hidden');
     if (elements.userMenu) elements.userMenu.classList.remove('hidden');
-    document.body.classList.add('admin-logged-in');
+    const name = qs('userMenuName');
+    if (name) name.textContent = currentUser.name || currentUser.email || 'Account';
+    applyPermissions();
 }
 
-function handleLogout(showAlert = true) {
-    sessionStorage.removeItem('jwt');
+function endSession() {
+    clearTokens();
     sessionStorage.removeItem('user');
     currentUser = null;
+    progressCache = null;
+    collectionsCache = null;
     updateLoginUI();
+}
+
+function handleLogout(showAlert = true) {
+    resumeAfterLogin = null;
+    endSession();
     showHome();
-    if (showAlert) alert("Logged out.");
+    if (showAlert) showToast("Logged out.", 'info');
+}
+
+// called by api() when a request is refused and the token can't be renewed
+function handleSessionExpired() {
+    showToast(currentUser ? 'Your session has expired. Please log in again.' : 'Please log in to continue.', 'error');
+    if (resumeAfterLogin) {
+        // stay on the interrupted screen; handleLogin picks the action back up
+        endSession();
+    } else {
+        handleLogout(false);
+    }
+    openLogin();
 }
 
 function openLogin() { if (elements.loginModal) elements.loginModal.style.display = 'flex'; }
@@ -149,6 +204,274 @@ function toggleUserMenu() {
     d.style.display = d.style.display === 'block' ? 'none' : 'block';
 }
 
+// ---------- ACCOUNT ----------
+// Sign-up, e-mail verification, password reset and the settings page. The
+// links in verification and reset e-mails point at #/verify-email/<token>
+// and #/reset-password/<token>.
+const PASSWORD_MIN_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let verifyEmailToken = null;
+let resetPasswordToken = null;
+
+function passwordProblem(password, confirmation) {
+    if (password.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+    if (!/[a-z]/i.test(password) || !/\d/.test(password)) return 'Password must contain both letters and numbers.';
+    if (password !== confirmation) return 'Passwords do not match.';
+    return null;
+}
+
+function showFormMessage(id, message, success = false) {
+    const el = qs(id);
+    if (!el) return;
+    el.textContent = message || '';
+    el.classList.toggle('hidden', !message);
+    el.classList.toggle('form-success', success);
+}
+
+function storeCurrentUser(user) {
+    sessionStorage.setItem('user', JSON.stringify(user));
+    updateLoginUI();
+}
+
+function showSignup() {
+    closeLogin();
+    qs('signupForm')?.reset();
+    showFormMessage('signupMessage', '');
+    if (elements.signupModal) elements.signupModal.style.display = 'flex';
+}
+
+function closeSignup() { if (elements.signupModal) elements.signupModal.style.display = 'none'; }
+
+async function handleSignup(e) {
+    e.preventDefault();
+    const name = qs('signupName').value.trim();
+    const email = qs('signupEmail').value.trim();
+    const password = qs('signupPassword').value;
+    const problem = !name ? 'Please enter your name.'
+        : !EMAIL_PATTERN.test(email) ? 'Please enter a valid email address.'
+        : passwordProblem(password, qs('signupConfirm').value);
+    if (problem) {
+        showFormMessage('signupMessage', problem);
+        return;
+    }
+
+    try {
+        await api('/api/register', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ name, email, password })
+        });
+        qs('signupForm').reset();
+        showFormMessage('signupMessage', `Account created. We sent a verification link to ${email}.`, true);
+    } catch (err) {
+        console.error(err);
+        showFormMessage('signupMessage', err.status === 409
+            ? 'An account with this email already exists.'
+            : 'Sign up failed: ' + err.message);
+    }
+}
+
+function showForgotPassword() {
+    closeLogin();
+    qs('forgotPasswordForm')?.reset();
+    showFormMessage('forgotPasswordMessage', '');
+    if (elements.forgotPasswordModal) elements.forgotPasswordModal.style.display = 'flex';
+}
+
+function closeForgotPassword() { if (elements.forgotPasswordModal) elements.forgotPasswordModal.style.display = 'none'; }
+
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    const email = qs('forgotEmail').value.trim();
+    if (!EMAIL_PATTERN.test(email)) {
+        showFormMessage('forgotPasswordMessage', 'Please enter a valid email address.');
+        return;
+    }
+    try {
+        await api('/api/forgot-password', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ email })
+        });
+        // same answer whether or not the address is registered
+        showFormMessage('forgotPasswordMessage', 'If an account exists for that address, a reset link is on its way.', true);
+    } catch (err) {
+        console.error(err);
+        showFormMessage('forgotPasswordMessage', 'Could not send the reset link: ' + err.message);
+    }
+}
+
+function showAccountFlow(panel) {
+    switchView('accountFlow');
+    qs('verifyEmailPanel').classList.toggle('hidden', panel !== 'verify');
+    qs('resetPasswordPanel').classList.toggle('hidden', panel !== 'reset');
+}
+
+async function showVerifyEmail(token) {
+    verifyEmailToken = token;
+    setRoute(`/verify-email/${encodeURIComponent(token)}`);
+    showAccountFlow('verify');
+    const message = qs('verifyEmailMessage');
+    message.textContent = 'Verifying your email address...';
+    qs('verifyLoginBtn').classList.add('hidden');
+    qs('resendVerificationBtn').classList.add('hidden');
+
+    try {
+        await api('/api/verify-email', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ token })
+        });
+        message.textContent = 'Your email address is verified. You can now log in.';
+        qs('verifyLoginBtn').classList.remove('hidden');
+    } catch (err) {
+        console.error(err);
+        message.textContent = 'This verification link is invalid or has expired.';
+        qs('resendVerificationBtn').classList.remove('hidden');
+    }
+}
+
+async function resendVerification() {
+    const email = prompt('Email address to send a new verification link to:');
+    if (!email) return;
+    try {
+        await api('/api/resend-verification', {
+            method: 'POST',
+            body: JSON.stringify({ email: email.trim() })
+        });
+        showToast('If that address is waiting for verification, a new link has been sent.', 'success');
+    } catch (err) {
+        console.error(err);
+        showToast('Could not resend the link: ' + err.message, 'error');
+    }
+}
+
+function showResetPassword(token) {
+    resetPasswordToken = token;
+    setRoute(`/reset-password/${encodeURIComponent(token)}`);
+    showAccountFlow('reset');
+    qs('resetPasswordForm').reset();
+    showFormMessage('resetPasswordMessage', '');
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+    const password = qs('resetPassword').value;
+    const problem = passwordProblem(password, qs('resetConfirm').value);
+    if (problem) {
+        showFormMessage('resetPasswordMessage', problem);
+        return;
+    }
+    try {
+        await api('/api/reset-password', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ token: resetPasswordToken, password })
+        });
+        showToast('Password changed. Please log in with your new password.', 'success');
+        showHome();
+        openLogin();
+    } catch (err) {
+        console.error(err);
+        showFormMessage('resetPasswordMessage', 'Could not reset the password: ' + err.message);
+    }
+}
+
+async function showAccount() {
+    if (!currentUser) {
+        resumeAfterLogin = () => showAccount();
+        openLogin();
+        return;
+    }
+    setRoute('/account');
+    switchView('account');
+    ['profileForm', 'passwordForm', 'deleteAccountForm'].forEach(id => qs(id).reset());
+    ['profileMessage', 'passwordMessage', 'deleteAccountMessage'].forEach(id => showFormMessage(id, ''));
+
+    let profile = currentUser;
+    try {
+        profile = { ...currentUser, ...await api('/api/account') };
+    } catch (err) {
+        // older backends have no profile endpoint; the login payload will do
+        console.error(err);
+        if (err.status === 401) return;
+    }
+    qs('accountEmail').textContent = profile.email || '';
+    qs('accountName').value = profile.name || '';
+}
+
+async function saveDisplayName(e) {
+    e.preventDefault();
+    const name = qs('accountName').value.trim();
+    if (!name) {
+        showFormMessage('profileMessage', 'Display name cannot be empty.');
+        return;
+    }
+    try {
+        await api('/api/account', {
+            method: 'PATCH',
+            body: JSON.stringify({ name })
+        });
+        storeCurrentUser({ ...currentUser, name });
+        showFormMessage('profileMessage', 'Display name saved.', true);
+    } catch (err) {
+        console.error(err);
+        showFormMessage('profileMessage', 'Could not save: ' + err.message);
+    }
+}
+
+async function changePassword(e) {
+    e.preventDefault();
+    const current = qs('currentPassword').value;
+    const password = qs('newPassword').value;
+    const problem = !current ? 'Enter your current password.' : passwordProblem(password, qs('newPasswordConfirm').value);
+    if (problem) {
+        showFormMessage('passwordMessage', problem);
+        return;
+    }
+    try {
+        await api('/api/account/password', {
+            method: 'POST',
+            body: JSON.stringify({ current_password: current, new_password: password })
+        });
+        qs('passwordForm').reset();
+        showFormMessage('passwordMessage', 'Password changed.', true);
+    } catch (err) {
+        console.error(err);
+        showFormMessage('passwordMessage', err.status === 403
+            ? 'Your current password is incorrect.'
+            : 'Could not change the password: ' + err.message);
+    }
+}
+
+async function deleteAccount(e) {
+    e.preventDefault();
+    const password = qs('deleteAccountPassword').value;
+    if (!password) {
+        showFormMessage('deleteAccountMessage', 'Enter your password to confirm.');
+        return;
+    }
+    if (!confirm('Delete your account permanently? This cannot be undone.')) return;
+    try {
+        await api('/api/account', {
+            method: 'DELETE',
+            body: JSON.stringify({ password })
+        });
+    } catch (err) {
+        console.error(err);
+        showFormMessage('deleteAccountMessage', err.status === 403
+            ? 'That password is incorrect.'
+            : 'Could not delete the account: ' + err.message);
+        return;
+    }
+    // the locally kept study data belongs to the account too
+    [PROGRESS_PREFIX, QUIZ_HISTORY_PREFIX, FLASHCARD_PREFIX, SRS_PREFIX, COLLECTIONS_PREFIX, ANNOTATIONS_PREFIX, ASSISTANT_PREFIX]
+        .forEach(prefix => localStorage.removeItem(userStorageKey(prefix)));
+    handleLogout(false);
+    showToast('Your account has been deleted.', 'info');
+}
+
 // ---------- THEME ----------
 function toggleTheme() {
     const current = document.documentElement.getAttribute('data-theme');
@@ -176,6 +499,7 @@ function hideAllPages() {
 }
 
 function switchView(name) {
+    if (name !== 'noteView') endNoteVisit();
     hideAllPages();
     if (elements.pages[name]) {
         elements.pages[name].classList.remove('hidden');
@@ -183,70 +507,207 @@ function switchView(name) {
 }
 
 function showHome() {
+    setRoute('/');
     switchView('home');
     fetchAndRenderTopCategories().catch(console.error);
 }
 
 function showLibrary() {
+    setRoute('/library');
     switchView('library');
     fetchAndRenderTopCategories().catch(console.error);
 }
 
 function showTools() {
+    setRoute('/tools');
     switchView('tools');
 }
 
 function showIA() {
+    setRoute('/ia');
     switchView('ia');
+    renderAssistantPage();
 }
 
 function showAbout() {
+    setRoute('/about');
     switchView('about');
 }
 
+async function showProgress() {
+    setRoute('/progress');
+    switchView('progress');
+    await renderProgressPage();
+}
+
+async function showQuiz() {
+    setRoute('/quiz');
+    switchView('quiz');
+    await renderQuizBuilder();
+}
+
+async function showFlashcards() {
+    setRoute('/flashcards');
+    switchView('flashcards');
+    await renderFlashcardSetup();
+}
+
+async function showStudyGuide() {
+    setRoute('/study-guide');
+    switchView('studyGuide');
+    await renderStudyGuideSetup();
+}
+
 function showAdminDashboard() {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+    if (!requirePermission('dashboard.view')) return;
+    setRoute('/admin');
     switchView('admin');
     fetchAdminStats().catch(console.error);
-    fetchTopNotes().catch(console.error);
 }
 
-function showAddNote() {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+async function showAddNote() {
+    if (!requirePermission('notes.edit')) return;
     editingNoteId = null;
     if (elements.addNoteTitle) elements.addNoteTitle = "Add New Note";
+    setRoute('/note/new');
     switchView('addNote');
-    populateNoteCategorySelect().catch(console.error);
     if (elements.noteFormTitle) elements.noteFormTitle.value = '';
     if (elements.noteFormSubcategory) elements.noteFormSubcategory.innerHTML = '<option value="">Select Subcategory</option>';
-    if (elements.noteFormContent) elements.noteFormContent.innerHTML = '';
-    if (elements.noteFormSources) elements.noteFormSources.value = '';
-    if (elements.noteFormTags) elements.noteFormTags.value = '';
+    if (noteEditor) noteEditor.setHTML('');
+    setNoteFormMeta([], []);
+    await populateNoteCategorySelect();
+    hideRevisions();
+    hideReview();
+    startNewNoteDraft();
 }
 
 function showAdminNotes(status) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
-    // Simple placeholder — can be extended
+    if (!requirePermission(ADMIN_NOTE_VIEWS[status]?.requires || 'dashboard.view')) return;
+    setRoute(`/admin/notes/${status}`);
     switchView('adminNotes');
+    const view = ADMIN_NOTE_VIEWS[status];
     const title = qs('adminNotesTitle');
     const desc = qs('adminNotesDescription');
-    if (title) title.textContent = `Notes (${status})`;
-    if (desc) desc.textContent = `Management view for ${status} notes coming soon.`;
+    if (title) title.textContent = view ? view.title : `Notes (${status})`;
+    if (desc) desc.textContent = view ? view.description : '';
+
+    if (adminNotesState.status !== status) {
+        adminNotesState.status = status;
+        adminNotesState.page = 1;
+    }
+    adminNotesState.selected.clear();
+    loadAdminNotes().catch(console.error);
+}
+
+// ---------- ROUTER ----------
+// Views live behind hash URLs (#/note/12) pushed with history.pushState, so a
+// reload, a bookmark or the browser back button lands on the same screen.
+// Every show* function records its own route; the router only dispatches.
+const routes = [
+    { pattern: /^\/$/, view: () => showHome() },
+    { pattern: /^\/library$/, view: () => showLibrary() },
+    { pattern: /^\/tools$/, view: () => showTools() },
+    { pattern: /^\/ia$/, view: () => showIA() },
+    { pattern: /^\/about$/, view: () => showAbout() },
+    { pattern: /^\/progress$/, view: () => showProgress() },
+    { pattern: /^\/collections$/, view: () => showCollections() },
+    { pattern: /^\/annotations$/, view: () => showAnnotations() },
+    { pattern: /^\/collection\/([\w-]+)$/, view: (id) => showCollection(id) },
+    { pattern: /^\/quiz$/, view: () => showQuiz() },
+    { pattern: /^\/flashcards$/, view: () => showFlashcards() },
+    { pattern: /^\/study-guide$/, view: () => showStudyGuide() },
+    { pattern: /^\/category\/(\d+)$/, view: (id) => openCategoryById(Number(id)) },
+    { pattern: /^\/note\/new$/, view: () => showAddNote() },
+    { pattern: /^\/note\/(\d+)$/, view: (id) => showNoteView(Number(id)) },
+    { pattern: /^\/note\/(\d+)\/edit$/, view: (id) => openEditNote(Number(id)) },
+    { pattern: /^\/admin$/, view: () => showAdminDashboard() },
+    { pattern: /^\/admin\/categories$/, view: () => showManageCategories() },
+    { pattern: /^\/admin\/analytics$/, view: () => showAnalytics() },
+    { pattern: /^\/admin\/import$/, view: () => showLibraryTransfer() },
+    { pattern: /^\/admin\/notes\/(published|drafts|review|bin)$/, view: (status) => showAdminNotes(status) },
+    { pattern: /^\/search\/(.+)$/, view: (q) => showSearchResults(decodeURIComponent(q)) },
+    { pattern: /^\/account$/, view: () => showAccount() },
+    { pattern: /^\/verify-email\/([^/]+)$/, view: (token) => showVerifyEmail(decodeURIComponent(token)) },
+    { pattern: /^\/reset-password\/([^/]+)$/, view: (token) => showResetPassword(decodeURIComponent(token)) },
+];
+
+// number of in-app entries behind the current one; 0 means "back" would leave the site
+let routeDepth = 0;
+
+function currentRoute() {
+    return location.hash.replace(/^#/, '') || '/';
+}
+
+function setRoute(path, replace = false) {
+    if (currentRoute() === path) return;
+    if (!replace) routeDepth++;
+    const state = { path, depth: routeDepth };
+    if (replace) {
+        history.replaceState(state, '', `#${path}`);
+    } else {
+        history.pushState(state, '', `#${path}`);
+    }
+}
+
+async function handleRoute() {
+    const path = currentRoute();
+    for (const r of routes) {
+        const m = path.match(r.pattern);
+        if (m) {
+            await r.view(...m.slice(1));
+            return;
+        }
+    }
+    setRoute('/', true);
+    showHome();
+}
+
+function onPopState(e) {
+    if (e.state) {
+        routeDepth = e.state.depth;
+    } else {
+        // plain <a href="#/..."> navigation: stamp the new entry so back works from it
+        routeDepth++;
+        history.replaceState({ path: currentRoute(), depth: routeDepth }, '', location.hash);
+    }
+    handleRoute().catch(console.error);
+}
+
+function goBack(fallback) {
+    if (routeDepth > 0) {
+        history.back();
+    } else {
+        fallback();
+    }
+}
+
+function noteBack() {
+    goBack(() => currentCategoryId ? openCategoryById(currentCategoryId) : showLibrary());
+}
+
+function subcategoryBack() {
+    goBack(() => {
+        const cat = flatCategories.find(c => c.id === currentCategoryId);
+        if (cat?.parent_id) {
+            openCategoryById(cat.parent_id);
+        } else {
+            showLibrary();
+        }
+    });
 }
 
 // ---------- CATEGORIES ----------
 async function fetchCategoriesTree() {
-    const tree = await api('/api/categories/tree');
-    categoriesTree = tree;
+    let tree;
+    try {
+        tree = await api('/api/categories/tree');
+        setOfflineMeta('categoriesTree', tree).catch(console.error);
+    } catch (err) {
+        // offline: the last tree we saw is good enough to browse saved notes
+        tree = isOfflineError(err) ? await offlineMeta('categoriesTree') : null;
+        if (!tree) throw err;
+    }
+    categoriesTree = sortCategoryNodes(tree);
     flatCategories = [];
 
     function walk(nodes, parentPath = '') {
@@ -264,9 +725,72 @@ async function fetchCategoriesTree() {
         });
     }
     walk(categoriesTree);
+    renderHomeCategories();
     return tree;
 }
 
+// siblings in their saved order; without positions the API order stands
+function sortCategoryNodes(nodes) {
+    nodes.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    nodes.forEach(n => sortCategoryNodes(n.children || []));
+    return nodes;
+}
+
+function findCategoryNode(catId, nodes = categoriesTree) {
+    for (const node of nodes) {
+        if (node.id === catId) return node;
+        const found = findCategoryNode(catId, node.children || []);
+        if (found) return found;
+    }
+    return null;
+}
+
+// by id, or by name (case-insensitive) for the links on static pages
+function resolveCategory(nameOrId) {
+    if (!isNaN(Number(nameOrId))) return findCategoryNode(Number(nameOrId));
+    const target = String(nameOrId).toLowerCase();
+    const match = flatCategories.find(c => c.name.toLowerCase() === target);
+    return match ? findCategoryNode(match.id) : null;
+}
+
+// icon and colour are free text on the backend; only well-formed values render
+function categoryIcon(node) {
+    return /^fa-[a-z0-9-]+$/.test(node?.icon || '') ? node.icon : 'fa-folder';
+}
+
+function categoryColorStyle(node) {
+    return /^#[0-9a-f]{6}$/i.test(node?.color || '') ? `color: ${node.color};` : '';
+}
+
+// the home page cards, one per top-level category
+function renderHomeCategories() {
+    const grid = qs('homeCategories');
+    if (!grid || !categoriesTree.length) return;
+    grid.innerHTML = '';
+    categoriesTree.forEach(node => {
+        const card = document.createElement('div');
+        card.className = 'category-card';
+        card.onclick = () => openCategoryById(node.id);
+        card.innerHTML = `
+            <div class="admin-controls" data-requires="categories.manage">
+                <button class="admin-btn edit" onclick="event.stopPropagation(); editCategory(${node.id})" title="Edit Category">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="admin-btn add" onclick="event.stopPropagation(); addSubcategory(${node.id})" title="Add Subcategory">
+                    <i class="fas fa-plus"></i>
+                </button>
+            </div>
+            <div class="category-icon" style="${categoryColorStyle(node)}">
+                <i class="fas ${categoryIcon(node)}"></i>
+            </div>
+            <h3>${escapeHtml(node.name)}</h3>
+            <p>${escapeHtml(node.description || '')}</p>
+        `;
+        grid.appendChild(card);
+    });
+    applyPermissions(grid);
+}
+
 async function fetchAndRenderTopCategories() {
     await fetchCategoriesTree();
     const grid = document.getElementById('subcategoriesGrid') || document.querySelector('.categories');
@@ -280,8 +804,8 @@ async function fetchAndRenderTopCategories() {
         div.style.cursor = 'pointer';
         div.onclick = () => openCategoryById(c.id);
         div.innerHTML = `
-            <h4>${c.name}</h4>
-            <p>${c.path}</p>
+            <h4>${escapeHtml(c.name)}</h4>
+            <p>${escapeHtml(c.path)}</p>
         `;
         grid.appendChild(div);
     });
@@ -289,6 +813,8 @@ async function fetchAndRenderTopCategories() {
 
 // open category by ID
 async function openCategoryById(catId) {
+    // deep links arrive before anything has loaded the tree
+    if (!flatCategories.length) await fetchCategoriesTree();
     currentCategoryId = catId;
     const cat = flatCategories.find(c => c.id === catId);
     currentCategoryPath = cat ? cat.path : '';
@@ -297,8 +823,9 @@ async function openCategoryById(catId) {
     const header = qs('categoryTitle');
     const desc = qs('categoryDescription');
     if (header) header.textContent = cat ? cat.name : 'Category';
-    if (desc) desc.textContent = cat ? cat.path : '';
+    if (desc) desc.textContent = cat ? (findCategoryNode(catId)?.description || cat.path) : '';
 
+    setRoute(`/category/${catId}`);
     switchView('category');
 
     // children categories
@@ -318,19 +845,21 @@ async function openCategoryById(catId) {
                 card.className = 'subcategory-card';
                 card.onclick = () => openCategoryById(ch.id);
                 card.innerHTML = `
-                    <h4>${ch.name}</h4>
-                    <p style="color: var(--text-light);">${ch.path}</p>
-                    <div class="admin-controls">
-                        <button class="admin-btn edit" title="Rename" onclick="event.stopPropagation(); editCategoryClient(${ch.id})"><i class="fas fa-pen"></i></button>
-                        <button class="admin-btn delete" title="Delete" onclick="event.stopPropagation(); deleteCategoryClient(${ch.id})"><i class="fas fa-trash-alt"></i></button>
-                    </div>
+                    <h4>${escapeHtml(ch.name)}</h4>
+                    <p style="color: var(--text-light);">${escapeHtml(ch.path)}</p>
+                    ${can('categories.manage') ? `
+                        <div class="admin-controls">
+                            <button class="admin-btn edit" title="Rename" onclick="event.stopPropagation(); editCategoryClient(${ch.id})"><i class="fas fa-pen"></i></button>
+                            <button class="admin-btn delete" title="Delete" onclick="event.stopPropagation(); deleteCategoryClient(${ch.id})"><i class="fas fa-trash-alt"></i></button>
+                        </div>
+                    ` : ''}
                 `;
                 subcontainer.appendChild(card);
             });
         }
 
-        // add subcategory button at bottom (admin)
-        if (currentUser?.role === 'admin') {
+        // add subcategory button at bottom
+        if (can('categories.manage')) {
             const btnRow = document.createElement('div');
             btnRow.style.marginTop = '1rem';
             btnRow.innerHTML = `
@@ -342,9 +871,27 @@ async function openCategoryById(catId) {
         }
     }
 
+    renderCategoryOfflineButton(catId).catch(console.error);
+
     // notes in this category
-    const notes = await api(`/api/notes?category=${catId}`);
-    const notesContainer = qs('notesContainer') || qs('subcategoryPage')?.querySelector('#notesContainer');
+    categoryNotesOffline = false;
+    try {
+        currentCategoryNotes = await api(`/api/notes?category=${catId}`, { cancelKey: 'categoryNotes' }) || [];
+    } catch (err) {
+        // another category was opened meanwhile and renders instead
+        if (err instanceof CancelledError) return;
+        if (!isOfflineError(err)) throw err;
+        currentCategoryNotes = await cachedCategoryNotes(catId);
+        categoryNotesOffline = true;
+        // a newer category may have been opened while IndexedDB answered
+        if (currentCategoryId !== catId) return;
+    }
+    currentTagFilter = null;
+    renderCategoryNotes(catId);
+}
+
+function renderCategoryNotes(catId) {
+    const notesContainer = qs('notesContainer');
     if (!notesContainer) return;
     notesContainer.innerHTML = '';
 
@@ -355,7 +902,7 @@ async function openCategoryById(catId) {
     headerDiv.style.marginBottom = '1rem';
     headerDiv.innerHTML = `<h3>Notes</h3>`;
 
-    if (currentUser?.role === 'admin') {
+    if (can('notes.edit')) {
         const btnNote = document.createElement('button');
         btnNote.className = 'btn btn-primary';
         btnNote.textContent = '+ Add Note';
@@ -365,34 +912,71 @@ async function openCategoryById(catId) {
 
     notesContainer.appendChild(headerDiv);
 
-    if (!notes || notes.length === 0) {
+    if (categoryNotesOffline) {
+        const notice = document.createElement('p');
+        notice.className = 'offline-notice';
+        notice.innerHTML = '<i class="fas fa-cloud-arrow-down"></i> You are offline. Showing the notes from this category saved on this device.';
+        notesContainer.appendChild(notice);
+    }
+
+    // tag filter, built from the tags actually used in this category
+    const allTags = [...new Set(currentCategoryNotes.flatMap(n => normaliseTags(n.tags)))].sort();
+    if (allTags.length) {
+        const filter = document.createElement('div');
+        filter.className = 'tag-filter';
+        allTags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip' + (tag === currentTagFilter ? ' active' : '');
+            chip.textContent = tag;
+            chip.onclick = () => {
+                currentTagFilter = currentTagFilter === tag ? null : tag;
+                renderCategoryNotes(catId);
+            };
+            filter.appendChild(chip);
+        });
+        notesContainer.appendChild(filter);
+    }
+
+    const notes = currentTagFilter
+        ? currentCategoryNotes.filter(n => normaliseTags(n.tags).includes(currentTagFilter))
+        : currentCategoryNotes;
+
+    if (notes.length === 0) {
         const empty = document.createElement('div');
         empty.className = 'empty-state';
-        empty.innerHTML = `<div class="empty-state-icon">📄</div><p>No notes yet in this category.</p>`;
+        empty.innerHTML = `<div class="empty-state-icon">📄</div><p>${categoryNotesOffline
+            ? 'No notes from this category are saved for offline reading.'
+            : 'No notes yet in this category.'}</p>`;
         notesContainer.appendChild(empty);
     } else {
-        notes.forEach(n => {
-            const card = document.createElement('div');
-            card.className = 'note-item';
-            card.onclick = () => showNoteView(n.id);
-            card.innerHTML = `
-                <div class="note-info">
-                    <h4>${n.title}</h4>
-                    <div class="note-meta">${currentCategoryPath}</div>
-                </div>
-                <div class="note-views">${n.views} views</div>
-                ${currentUser?.role === 'admin' ? `
-                    <div class="admin-controls">
-                        <button class="admin-btn edit" title="Edit" onclick="event.stopPropagation(); openEditNote(${n.id})"><i class="fas fa-pen"></i></button>
-                        <button class="admin-btn delete" title="Delete" onclick="event.stopPropagation(); deleteNoteClient(${n.id})"><i class="fas fa-trash-alt"></i></button>
-                    </div>
-                ` : ''}
-            `;
-            notesContainer.appendChild(card);
-        });
+        notes.forEach(n => notesContainer.appendChild(createNoteItem(n, currentCategoryPath)));
     }
 }
 
+// note card used by category and collection pages
+function createNoteItem(n, path) {
+    const tags = normaliseTags(n.tags);
+    const card = document.createElement('div');
+    card.className = 'note-item';
+    card.onclick = () => showNoteView(n.id);
+    card.innerHTML = `
+        <div class="note-info">
+            <h4>${escapeHtml(n.title)}</h4>
+            <div class="note-meta">${escapeHtml(path)}</div>
+            ${tags.length ? `<div class="note-tags">${tags.map(t => `<span class="tag-chip">${escapeHtml(t)}</span>`).join('')}</div>` : ''}
+        </div>
+        <div class="note-views">${Number(n.views) || 0} views ${progressBadge(n.id)}</div>
+        ${can('notes.edit') ? `
+            <div class="admin-controls">
+                <button class="admin-btn edit" title="Edit" onclick="event.stopPropagation(); openEditNote(${n.id})"><i class="fas fa-pen"></i></button>
+                ${can('notes.delete') ? `<button class="admin-btn delete" title="Delete" onclick="event.stopPropagation(); deleteNoteClient(${n.id})"><i class="fas fa-trash-alt"></i></button>` : ''}
+            </div>
+        ` : ''}
+    `;
+    return card;
+}
+
 // open category by name (for home cards)
 async function showCategory(nameOrId) {
     await fetchCategoriesTree();
@@ -402,21 +986,9 @@ async function showCategory(nameOrId) {
         return openCategoryById(Number(nameOrId));
     }
 
-    const target = String(nameOrId).toLowerCase();
-    let found = null;
-    function search(nodes) {
-        for (const n of nodes) {
-            if (n.name.toLowerCase() === target) return n;
-            if (n.children && n.children.length) {
-                const f = search(n.children);
-                if (f) return f;
-            }
-        }
-        return null;
-    }
-    found = search(categoriesTree);
+    const found = resolveCategory(nameOrId);
     if (!found) {
-        alert(`Category "${nameOrId}" not found`);
+        showToast(`Category "${nameOrId}" not found`, 'error');
         return;
     }
     openCategoryById(found.id);
@@ -424,10 +996,7 @@ async function showCategory(nameOrId) {
 
 // ---------- CATEGORY ADMIN ----------
 async function promptAddSubcategory(parentId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+    if (!requirePermission('categories.manage')) return;
     const name = prompt('Name for new subcategory:');
     if (!name || !name.trim()) return;
 
@@ -438,18 +1007,15 @@ async function promptAddSubcategory(parentId) {
         });
         await fetchCategoriesTree();
         openCategoryById(parentId);
-        alert('Subcategory created.');
+        showToast('Subcategory created.', 'success');
     } catch (err) {
         console.error(err);
-        alert('Error creating subcategory: ' + err.message);
+        showToast('Error creating subcategory: ' + err.message, 'error');
     }
 }
 
 async function editCategoryClient(catId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+    if (!requirePermission('categories.manage')) return;
     const newName = prompt('New category name:');
     if (!newName) return;
 
@@ -465,23 +1031,20 @@ async function editCategoryClient(catId) {
         } else {
             fetchAndRenderTopCategories();
         }
-        alert('Category renamed.');
+        showToast('Category renamed.', 'success');
     } catch (err) {
         console.error(err);
-        alert('Error updating category: ' + err.message);
+        showToast('Error updating category: ' + err.message, 'error');
     }
 }
 
 async function deleteCategoryClient(catId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+    if (!requirePermission('categories.manage')) return;
     if (!confirm('Delete this category? (Only empty categories can be deleted.)')) return;
 
     try {
         const res = await api(`/api/category/${catId}`, { method: 'DELETE' });
-        alert(res.message || 'Category deleted.');
+        showToast(res.message || 'Category deleted.', 'success');
         await fetchCategoriesTree();
         const cat = flatCategories.find(c => c.id === catId);
         if (cat?.parent_id) {
@@ -492,19 +1055,970 @@ async function deleteCategoryClient(catId) {
         }
     } catch (err) {
         console.error(err);
-        alert('Delete failed: ' + err.message);
+        // not empty: the manager can move what is in it first
+        if (err.status === 400 && confirm(`${err.message}\n\nOpen the category manager to move its contents and delete it there?`)) {
+            await showManageCategories(catId);
+            deleteManagedCategory();
+            return;
+        }
+        showToast('Delete failed: ' + err.message, 'error');
     }
 }
 
-// ---------- NOTES ADMIN ----------
-async function populateNoteCategorySelect() {
+// entry points used by the home page cards
+async function editCategory(nameOrId) {
+    if (!requirePermission('categories.manage')) return;
     await fetchCategoriesTree();
-    const select = elements.noteFormCategory;
-    const subSelect = elements.noteFormSubcategory;
+    showManageCategories(resolveCategory(nameOrId)?.id ?? null);
+}
 
-    if (!select || !subSelect) return;
+async function addSubcategory(nameOrId) {
+    if (!requirePermission('categories.manage')) return;
+    await fetchCategoriesTree();
+    const parent = resolveCategory(nameOrId);
+    if (!parent) {
+        showToast(`Category "${nameOrId}" not found`, 'error');
+        return;
+    }
+    promptAddSubcategory(parent.id);
+}
 
-    select.innerHTML = `<option value="">Select Category</option>`;
+// ---------- CATEGORY MANAGER ----------
+// Tree editor over categoriesTree at #/admin/categories. A row dropped on
+// the top or bottom edge of another row becomes its sibling; dropped on the
+// middle it moves, with its subtree, inside that category. Every move sends
+// the new order of the affected sibling lists to /api/categories/order as
+// [{ id, parent_id, position }]. The panel beside the tree edits the
+// selected category's details and moves its notes.
+let managedCategoryId = null;
+let managedCategoryNotes = [];
+// false until the selected category's notes have loaded; deleting waits for it
+let managedCategoryNotesLoaded = false;
+let draggedCategoryId = null;
+
+async function showManageCategories(selectId = managedCategoryId) {
+    if (!requirePermission('categories.manage')) return;
+    setRoute('/admin/categories');
+    switchView('manageCategories');
+    try {
+        await fetchCategoriesTree();
+    } catch (err) {
+        console.error(err);
+        showToast('Could not load categories: ' + err.message, 'error');
+        return;
+    }
+    await selectManagedCategory(findCategoryNode(selectId) ? selectId : null);
+}
+
+async function selectManagedCategory(catId) {
+    managedCategoryId = catId;
+    managedCategoryNotes = [];
+    managedCategoryNotesLoaded = false;
+    renderCategoryTree();
+    renderCategoryDetails();
+    if (catId === null) return;
+    try {
+        managedCategoryNotes = await fetchAllAdminNotes('managedCategoryNotes', { category: catId });
+        managedCategoryNotesLoaded = true;
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        showToast('Could not load the notes in this category: ' + err.message, 'error');
+    }
+    renderManagedCategoryNotes();
+}
+
+function categoryChildren(parentId) {
+    return parentId === null ? categoriesTree : findCategoryNode(parentId)?.children || [];
+}
+
+// true if catId is ancestorId or somewhere below it
+function isCategoryWithin(catId, ancestorId) {
+    for (let id = catId; id !== null && id !== undefined; id = flatCategories.find(c => c.id === id)?.parent_id ?? null) {
+        if (id === ancestorId) return true;
+    }
+    return false;
+}
+
+// every category a subtree could be moved under, as <option>s
+function categoryOptions(excludeSubtreeOf = null, selected = null) {
+    return flatCategories
+        .filter(c => excludeSubtreeOf === null || !isCategoryWithin(c.id, excludeSubtreeOf))
+        .map(c => `<option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(c.path.replace(/::/g, ' › '))}</option>`)
+        .join('');
+}
+
+function renderCategoryTree() {
+    const container = qs('categoryTree');
+    if (!container) return;
+    container.innerHTML = '';
+    container.appendChild(buildCategoryTreeList(categoriesTree));
+    container.onclick = onCategoryTreeClick;
+    container.ondragstart = onCategoryDragStart;
+    container.ondragover = onCategoryDragOver;
+    container.ondragleave = (e) => e.target.closest?.('.category-tree-row')?.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    container.ondrop = onCategoryDrop;
+    container.ondragend = clearCategoryDrag;
+}
+
+function buildCategoryTreeList(nodes) {
+    const list = document.createElement('ul');
+    list.className = 'category-tree';
+    nodes.forEach(node => {
+        const item = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = 'category-tree-row' + (node.id === managedCategoryId ? ' selected' : '');
+        row.draggable = true;
+        row.dataset.id = node.id;
+        row.innerHTML = `
+            <span class="drag-handle" title="Drag to move"><i class="fas fa-grip-vertical"></i></span>
+            <i class="fas ${categoryIcon(node)}" style="${categoryColorStyle(node)}"></i>
+            <span class="category-tree-name" title="Double-click to rename">${escapeHtml(node.name)}</span>
+            <span class="category-tree-actions">
+                <button class="admin-btn add" title="Add subcategory" data-add><i class="fas fa-plus"></i></button>
+                <button class="admin-btn edit" title="Rename" data-rename><i class="fas fa-pen"></i></button>
+                <button class="admin-btn delete" title="Delete" data-delete><i class="fas fa-trash-alt"></i></button>
+            </span>
+        `;
+        row.ondblclick = () => startCategoryRename(row, node);
+        item.appendChild(row);
+        if (node.children?.length) item.appendChild(buildCategoryTreeList(node.children));
+        list.appendChild(item);
+    });
+    return list;
+}
+
+function onCategoryTreeClick(e) {
+    const row = e.target.closest('.category-tree-row');
+    if (!row || e.target.closest('input')) return;
+    const node = findCategoryNode(Number(row.dataset.id));
+    const btn = e.target.closest('button');
+    if (btn?.hasAttribute('data-add')) {
+        addManagedCategory(node.id);
+    } else if (btn?.hasAttribute('data-rename')) {
+        startCategoryRename(row, node);
+    } else if (btn?.hasAttribute('data-delete')) {
+        selectManagedCategory(node.id).then(deleteManagedCategory);
+    } else if (node.id !== managedCategoryId) {
+        selectManagedCategory(node.id);
+    }
+}
+
+function startCategoryRename(row, node) {
+    const name = row.querySelector('.category-tree-name');
+    if (!name || row.querySelector('input')) return;
+    const input = document.createElement('input');
+    input.className = 'form-input category-rename-input';
+    input.value = node.name;
+    name.replaceWith(input);
+    row.draggable = false;
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        const value = input.value.trim();
+        if (save && value && value !== node.name) {
+            updateCategory(node.id, { name: value });
+        } else {
+            renderCategoryTree();
+        }
+    };
+    input.onkeydown = (e) => {
+        if (e.key === 'Enter') finish(true);
+        else if (e.key === 'Escape') finish(false);
+    };
+    input.onblur = () => finish(true);
+}
+
+async function updateCategory(catId, fields) {
+    try {
+        await api(`/api/category/${catId}`, {
+            method: 'PUT',
+            body: JSON.stringify(fields)
+        });
+        showToast('Category saved.', 'success');
+        return true;
+    } catch (err) {
+        console.error(err);
+        showToast('Error updating category: ' + err.message, 'error');
+        return false;
+    } finally {
+        await reloadCategoryManager();
+    }
+}
+
+async function reloadCategoryManager() {
+    try {
+        await fetchCategoriesTree();
+    } catch (err) {
+        console.error(err);
+    }
+    if (managedCategoryId !== null && !findCategoryNode(managedCategoryId)) managedCategoryId = null;
+    renderCategoryTree();
+    renderCategoryDetails();
+    renderManagedCategoryNotes();
+}
+
+async function addManagedCategory(parentId = null) {
+    const name = prompt(parentId === null ? 'Name for the new top-level category:' : 'Name for new subcategory:');
+    if (!name?.trim()) return;
+    try {
+        const created = await api('/api/category', {
+            method: 'POST',
+            body: JSON.stringify({ name: name.trim(), parent_id: parentId })
+        });
+        await fetchCategoriesTree();
+        showToast('Category created.', 'success');
+        await selectManagedCategory(created?.id ?? managedCategoryId);
+    } catch (err) {
+        console.error(err);
+        showToast('Error creating category: ' + err.message, 'error');
+    }
+}
+
+// ----- drag and drop -----
+function categoryDropZone(row, e) {
+    const rect = row.getBoundingClientRect();
+    const y = rect.height ? (e.clientY - rect.top) / rect.height : 0.5;
+    return y < 0.25 ? 'before' : y > 0.75 ? 'after' : 'inside';
+}
+
+function onCategoryDragStart(e) {
+    const row = e.target.closest?.('.category-tree-row');
+    if (!row) return;
+    draggedCategoryId = Number(row.dataset.id);
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.dataset.id);
+}
+
+function onCategoryDragOver(e) {
+    const row = e.target.closest?.('.category-tree-row');
+    if (!row || draggedCategoryId === null) return;
+    const targetId = Number(row.dataset.id);
+    // a category can't go inside itself or its own subcategories
+    if (isCategoryWithin(targetId, draggedCategoryId)) return;
+    e.preventDefault();
+    const zone = categoryDropZone(row, e);
+    row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    row.classList.add(`drop-${zone}`);
+}
+
+function onCategoryDrop(e) {
+    const row = e.target.closest?.('.category-tree-row');
+    const id = draggedCategoryId;
+    clearCategoryDrag();
+    if (!row || id === null) return;
+    e.preventDefault();
+    const target = findCategoryNode(Number(row.dataset.id));
+    if (!target || isCategoryWithin(target.id, id)) return;
+
+    const zone = categoryDropZone(row, e);
+    if (zone === 'inside') {
+        moveCategory(id, target.id, categoryChildren(target.id).filter(n => n.id !== id).length);
+        return;
+    }
+    const parentId = target.parent_id ?? null;
+    const siblings = categoryChildren(parentId).filter(n => n.id !== id);
+    moveCategory(id, parentId, siblings.indexOf(target) + (zone === 'after' ? 1 : 0));
+}
+
+function clearCategoryDrag() {
+    draggedCategoryId = null;
+    document.querySelectorAll('.category-tree-row.dragging, .category-tree-row[class*="drop-"]')
+        .forEach(row => row.classList.remove('dragging', 'drop-before', 'drop-after', 'drop-inside'));
+}
+
+// put category id at index among parentId's children
+async function moveCategory(id, parentId, index) {
+    const node = findCategoryNode(id);
+    if (!node || (parentId !== null && isCategoryWithin(parentId, id))) return false;
+    const oldParentId = node.parent_id ?? null;
+
+    const siblings = categoryChildren(parentId).filter(n => n.id !== id).map(n => n.id);
+    siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, id);
+    const items = siblings.map((sid, position) => ({ id: sid, parent_id: parentId, position }));
+    if (oldParentId !== parentId) {
+        categoryChildren(oldParentId)
+            .filter(n => n.id !== id)
+            .forEach((n, position) => items.push({ id: n.id, parent_id: oldParentId, position }));
+    }
+    return saveCategoryOrder(items);
+}
+
+async function saveCategoryOrder(items) {
+    try {
+        await api('/api/categories/order', {
+            method: 'PUT',
+            body: JSON.stringify({ items })
+        });
+        return true;
+    } catch (err) {
+        console.error(err);
+        showToast('Could not move the category: ' + err.message, 'error');
+        return false;
+    } finally {
+        await reloadCategoryManager();
+    }
+}
+
+// ----- details panel -----
+function renderCategoryDetails() {
+    const panel = qs('categoryDetails');
+    if (!panel) return;
+    const node = managedCategoryId === null ? null : findCategoryNode(managedCategoryId);
+    if (!node) {
+        panel.innerHTML = '<p class="note-meta">Select a category to edit it. Drag categories in the tree to reorder them or move them under another category.</p>';
+        return;
+    }
+    panel.innerHTML = `
+        <h3><i class="fas ${categoryIcon(node)}" style="${categoryColorStyle(node)}"></i> ${escapeHtml(node.name)}</h3>
+        <div class="form-group">
+            <label class="form-label" for="categoryEditName">Name</label>
+            <input type="text" class="form-input" id="categoryEditName">
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="categoryEditParent">Inside</label>
+            <select class="form-select" id="categoryEditParent">
+                <option value="">(Top level)</option>
+                ${categoryOptions(node.id, node.parent_id ?? null)}
+            </select>
+        </div>
+        <div class="category-style-fields">
+            <div class="form-group">
+                <label class="form-label" for="categoryEditIcon">Icon</label>
+                <input type="text" class="form-input" id="categoryEditIcon" placeholder="fa-heart-pulse">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="categoryEditColor">Colour</label>
+                <input type="color" class="form-input" id="categoryEditColor">
+            </div>
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="categoryEditDescription">Description</label>
+            <textarea class="form-input" id="categoryEditDescription" rows="3"></textarea>
+        </div>
+        <div class="category-details-actions">
+            <button class="btn btn-primary" onclick="saveCategoryDetails()">Save</button>
+            <button class="btn btn-secondary" onclick="addManagedCategory(${node.id})">+ Add Subcategory</button>
+            <button class="btn btn-danger" onclick="deleteManagedCategory()">Delete</button>
+        </div>
+        <div class="category-delete-panel hidden" id="categoryDeletePanel"></div>
+        <h4>Notes</h4>
+        <div id="managedCategoryNotes"><p class="note-meta">Loading...</p></div>
+    `;
+    qs('categoryEditName').value = node.name;
+    qs('categoryEditIcon').value = node.icon || '';
+    qs('categoryEditColor').value = categoryColorStyle(node) ? node.color : '#193e37';
+    qs('categoryEditDescription').value = node.description || '';
+}
+
+async function saveCategoryDetails() {
+    const node = findCategoryNode(managedCategoryId);
+    if (!node) return;
+    const name = qs('categoryEditName').value.trim();
+    const icon = qs('categoryEditIcon').value.trim();
+    if (!name) {
+        showToast('A category needs a name.', 'error');
+        return;
+    }
+    if (icon && !/^fa-[a-z0-9-]+$/.test(icon)) {
+        showToast('Icons are Font Awesome names such as "fa-heart-pulse".', 'error');
+        return;
+    }
+    // read everything first: moving re-renders this panel
+    const fields = {
+        name,
+        icon,
+        color: qs('categoryEditColor').value,
+        description: qs('categoryEditDescription').value.trim(),
+    };
+    const parentValue = qs('categoryEditParent').value;
+    const parentId = parentValue ? Number(parentValue) : null;
+    if (parentId !== (node.parent_id ?? null)) {
+        if (!await moveCategory(node.id, parentId, categoryChildren(parentId).length)) return;
+    }
+    await updateCategory(node.id, fields);
+}
+
+function renderManagedCategoryNotes() {
+    const container = qs('managedCategoryNotes');
+    if (!container) return;
+    if (!managedCategoryNotesLoaded) {
+        container.innerHTML = '<p class="note-meta">The notes in this category could not be loaded.</p>';
+        return;
+    }
+    if (!managedCategoryNotes.length) {
+        container.innerHTML = '<p class="note-meta">No notes in this category.</p>';
+        return;
+    }
+    container.innerHTML = `
+        <div class="managed-notes-list">
+            ${managedCategoryNotes.map(n => `
+                <label class="managed-note">
+                    <input type="checkbox" value="${n.id}">
+                    ${escapeHtml(n.title)} ${statusBadge(noteStatus(n))}
+                </label>
+            `).join('')}
+        </div>
+        <div class="category-move-notes">
+            <select class="form-select" id="moveNotesTarget">
+                ${categoryOptions(null, null)}
+            </select>
+            <button class="btn btn-secondary" onclick="moveSelectedNotes()">Move selected</button>
+        </div>
+    `;
+    const target = qs('moveNotesTarget');
+    target.querySelector(`option[value="${managedCategoryId}"]`)?.remove();
+}
+
+async function moveNotes(ids, categoryId) {
+    await api('/api/notes/move', {
+        method: 'POST',
+        body: JSON.stringify({ ids, category_id: categoryId })
+    });
+    // the category lists cached for search and offline reading are stale now
+    searchNotesCache = null;
+}
+
+async function moveSelectedNotes() {
+    const ids = [...document.querySelectorAll('#managedCategoryNotes input[type="checkbox"]:checked')].map(box => Number(box.value));
+    const target = Number(qs('moveNotesTarget')?.value);
+    if (!ids.length || !target) {
+        showToast('Tick the notes to move and choose where they go.', 'info');
+        return;
+    }
+    try {
+        await moveNotes(ids, target);
+        showToast(`Moved ${ids.length} note${ids.length === 1 ? '' : 's'}.`, 'success');
+    } catch (err) {
+        console.error(err);
+        showToast('Could not move notes: ' + err.message, 'error');
+    }
+    await selectManagedCategory(managedCategoryId);
+}
+
+// empty categories go straight away; others first offer to move what is in
+// them. Until the notes have loaded, an empty-looking category may not be
+function deleteManagedCategory() {
+    const node = findCategoryNode(managedCategoryId);
+    if (!node) return;
+    if (!managedCategoryNotesLoaded) {
+        showToast(`The notes in "${node.name}" haven't loaded, so it can't be deleted yet.`, 'error');
+        return;
+    }
+    const children = node.children || [];
+    if (!children.length && !managedCategoryNotes.length) {
+        if (confirm(`Delete the category "${node.name}"?`)) removeManagedCategory(node);
+        return;
+    }
+
+    const panel = qs('categoryDeletePanel');
+    if (!panel) return;
+    const contents = [
+        children.length && `${children.length} subcategor${children.length === 1 ? 'y' : 'ies'}`,
+        managedCategoryNotes.length && `${managedCategoryNotes.length} note${managedCategoryNotes.length === 1 ? '' : 's'}`,
+    ].filter(Boolean).join(' and ');
+    panel.innerHTML = `
+        <p><strong>${escapeHtml(node.name)}</strong> still contains ${contents}. Move ${children.length + managedCategoryNotes.length === 1 ? 'it' : 'them'} to:</p>
+        <select class="form-select" id="deleteCategoryTarget">${categoryOptions(node.id, node.parent_id ?? null)}</select>
+        <div class="category-details-actions">
+            <button class="btn btn-danger" onclick="moveContentsAndDeleteCategory()">Move and delete</button>
+            <button class="btn btn-secondary" onclick="qs('categoryDeletePanel').classList.add('hidden')">Cancel</button>
+        </div>
+    `;
+    panel.classList.remove('hidden');
+    if (!qs('deleteCategoryTarget').options.length) {
+        panel.querySelector('p').textContent = `"${node.name}" is the only category, so there is nowhere to move its contents.`;
+        panel.querySelector('select').remove();
+        panel.querySelector('.btn-danger').remove();
+    }
+}
+
+async function moveContentsAndDeleteCategory() {
+    const node = findCategoryNode(managedCategoryId);
+    const target = Number(qs('deleteCategoryTarget')?.value);
+    if (!node || !target) return;
+    try {
+        if (managedCategoryNotes.length) await moveNotes(managedCategoryNotes.map(n => n.id), target);
+        const children = node.children || [];
+        if (children.length) {
+            // appended after the target's own subcategories, in their current order
+            const existing = categoryChildren(target).map(n => n.id);
+            await api('/api/categories/order', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    items: [...existing, ...children.map(n => n.id)].map((id, position) => ({ id, parent_id: target, position }))
+                })
+            });
+        }
+    } catch (err) {
+        console.error(err);
+        showToast('Could not move the contents: ' + err.message, 'error');
+        await reloadCategoryManager();
+        return;
+    }
+    managedCategoryNotes = [];
+    await removeManagedCategory(node);
+}
+
+async function removeManagedCategory(node) {
+    try {
+        const res = await api(`/api/category/${node.id}`, { method: 'DELETE' });
+        showToast(res.message || 'Category deleted.', 'success');
+        managedCategoryId = node.parent_id ?? null;
+    } catch (err) {
+        console.error(err);
+        showToast('Delete failed: ' + err.message, 'error');
+    }
+    await fetchCategoriesTree().catch(console.error);
+    await selectManagedCategory(managedCategoryId);
+}
+
+// ---------- LIBRARY IMPORT & EXPORT ----------
+// #/admin/import. An import is a zip (or loose files) of Markdown or HTML
+// notes, each starting with front matter (markdown.js):
+//   title, category ("Medical::Respiratory", the path fetchCategoriesTree
+//   builds; the file's folders when missing), tags, sources, questions,
+//   flashcards, status or draft (a new note is a draft unless it says
+//   draft: false; an update keeps its status), and id / updated_at when
+//   the file came from an export.
+// An optional categories.json ([{ path, icon, color, description }]) adds
+// empty categories and styles the ones the import creates. Nothing is
+// written until the dry-run plan has been shown: a file updates the note
+// with its id (or the one note of that title in its category) and creates
+// a note otherwise. A note changed on the site after the file was exported,
+// an id whose note on the site has another title or category, a title
+// shared by several notes and a note twice in the batch are conflicts, and
+// are left alone. The export writes the same format.
+const IMPORT_NOTE_FILE = /\.(md|markdown|html?)$/i;
+const CATEGORIES_MANIFEST = 'categories.json';
+const IMPORT_ACTIONS = {
+    create: 'Create',
+    update: 'Update',
+    unchanged: 'Unchanged',
+    conflict: 'Conflict',
+    error: 'Error',
+};
+
+let importPlan = null;
+
+function showLibraryTransfer() {
+    if (!requirePermission('library.transfer')) return;
+    setRoute('/admin/import');
+    switchView('libraryTransfer');
+    importPlan = null;
+    const input = qs('importFiles');
+    if (input) input.value = '';
+    renderImportPlan();
+}
+
+// File objects -> [{ name, text }], opening zips; unreadable files come back
+// with an error instead of text
+async function readImportFiles(files) {
+    const decoder = new TextDecoder();
+    const out = [];
+    for (const file of files) {
+        if (!/\.zip$/i.test(file.name)) {
+            out.push({ name: file.name, text: await file.text() });
+            continue;
+        }
+        try {
+            const entries = await readZip(await file.arrayBuffer());
+            entries
+                // macOS resource forks and hidden files
+                .filter(e => !e.name.startsWith('__MACOSX/') && !e.name.split('/').pop().startsWith('.'))
+                .forEach(e => out.push({ name: e.name, text: decoder.decode(e.data) }));
+        } catch (err) {
+            out.push({ name: file.name, error: err.message });
+        }
+    }
+    return out;
+}
+
+function categoryPathKey(path) {
+    return String(path).split('::').map(part => part.trim().toLowerCase()).join('::');
+}
+
+// a file -> { file, note } or { file, error }
+function parseImportFile({ name, text, error }) {
+    if (error) return { file: name, error };
+    if (!IMPORT_NOTE_FILE.test(name)) return { file: name, error: 'Not a Markdown or HTML file.' };
+    let parsed;
+    try {
+        parsed = parseFrontMatter(text);
+    } catch (err) {
+        return { file: name, error: err.message };
+    }
+    const { data, body } = parsed;
+    const title = String(data.title ?? '').trim();
+    const folders = name.split('/').slice(0, -1);
+    const category = String(data.category ?? folders.join('::'))
+        .split('::').map(part => part.trim()).filter(Boolean).join('::');
+    const content = sanitizeHtml(/\.html?$/i.test(name) ? body : markdownToHtml(body)).trim();
+    if (!title) return { file: name, error: 'The front matter has no title.' };
+    if (!category) return { file: name, error: 'The front matter has no category.' };
+    if (!htmlToText(content).trim()) return { file: name, error: 'The note has no content.' };
+
+    const draft = String(data.draft ?? '').toLowerCase();
+    const status = NOTE_STATUSES[data.status] ? data.status
+        : draft === 'true' ? 'draft'
+        : draft === 'false' ? 'published'
+        : null;
+    return {
+        file: name,
+        note: {
+            id: Number.isInteger(data.id) ? data.id : null,
+            updatedAt: data.updated_at || null,
+            title,
+            category,
+            content,
+            status,
+            tags: normaliseTags(data.tags),
+            sources: normaliseSources(data.sources),
+            questions: normaliseQuestions(data.questions),
+            flashcards: normaliseFlashcards(data.flashcards),
+        },
+    };
+}
+
+function parseCategoriesManifest(files) {
+    const file = files.find(f => f.name.split('/').pop() === CATEGORIES_MANIFEST && f.text);
+    if (!file) return { categories: [] };
+    try {
+        const list = JSON.parse(file.text);
+        if (!Array.isArray(list)) throw new Error('expected a list of categories');
+        return { categories: list.filter(c => c?.path).map(c => ({ ...c, path: String(c.path) })) };
+    } catch (err) {
+        return { categories: [], error: `${file.name}: ${err.message}` };
+    }
+}
+
+// markup compared without the whitespace between tags, which a trip
+// through Markdown adds or drops
+function importContentKey(html) {
+    return sanitizeHtml(html || '').replace(/>\s+</g, '><').trim();
+}
+
+function importIsUnchanged(note, existing) {
+    return existing.title === note.title &&
+        categoryPathKey(categoryPathFor(existing.category_id)) === categoryPathKey(note.category) &&
+        noteStatus(existing) === note.status &&
+        importContentKey(existing.content) === importContentKey(note.content) &&
+        JSON.stringify(normaliseTags(existing.tags)) === JSON.stringify(note.tags) &&
+        JSON.stringify(normaliseSources(existing.sources)) === JSON.stringify(note.sources) &&
+        JSON.stringify(normaliseQuestions(existing.questions)) === JSON.stringify(note.questions) &&
+        JSON.stringify(normaliseFlashcards(existing.flashcards)) === JSON.stringify(note.flashcards);
+}
+
+function planImportItem(parsed, existingNotes, seen) {
+    if (parsed.error) return { ...parsed, action: 'error', message: parsed.error };
+    const { note } = parsed;
+    const key = `${categoryPathKey(note.category)}|${note.title.toLowerCase()}`;
+    if (seen.has(key)) return { ...parsed, action: 'conflict', message: `${seen.get(key)} has the same title and category.` };
+    seen.set(key, parsed.file);
+
+    let existing = note.id ? existingNotes.find(n => n.id === note.id) : null;
+    // an id from another site's export can land on an unrelated note
+    if (existing && ((existing.title || '').toLowerCase() !== note.title.toLowerCase() ||
+        categoryPathKey(categoryPathFor(existing.category_id)) !== categoryPathKey(note.category))) {
+        return {
+            ...parsed,
+            existing,
+            action: 'conflict',
+            message: `Note ${existing.id} on the site is "${existing.title}" in ${categoryPathFor(existing.category_id).replace(/::/g, ' › ') || 'no category'}.`,
+        };
+    }
+    if (!existing) {
+        const sameTitle = existingNotes.filter(n => (n.title || '').toLowerCase() === note.title.toLowerCase() &&
+            categoryPathKey(categoryPathFor(n.category_id)) === categoryPathKey(note.category));
+        if (sameTitle.length > 1) return { ...parsed, action: 'conflict', message: `${sameTitle.length} notes in this category have this title.` };
+        existing = sameTitle[0] || null;
+    }
+    if (!existing) {
+        return {
+            file: parsed.file,
+            note: { ...note, status: note.status || 'draft' },
+            action: 'create',
+            message: note.id ? `No note ${note.id} on the site; a new one will be made.` : '',
+        };
+    }
+    const planned = { file: parsed.file, existing, note: { ...note, status: note.status || noteStatus(existing) } };
+    if (importIsUnchanged(planned.note, existing)) return { ...planned, action: 'unchanged', message: '' };
+    if (note.updatedAt && existing.updated_at && new Date(existing.updated_at) > new Date(note.updatedAt)) {
+        return { ...planned, action: 'conflict', message: `Changed on the site (${new Date(existing.updated_at).toLocaleString()}) after this file was exported.` };
+    }
+    return { ...planned, action: 'update', message: `Replaces note ${existing.id}, "${existing.title}".` };
+}
+
+// every category path the plan needs that the site doesn't have, parents first
+function missingCategoryPaths(paths) {
+    const known = new Set(flatCategories.map(c => categoryPathKey(c.path)));
+    const missing = new Map();
+    paths.forEach(path => {
+        const parts = path.split('::').map(part => part.trim()).filter(Boolean);
+        parts.forEach((part, i) => {
+            const partial = parts.slice(0, i + 1).join('::');
+            if (!known.has(categoryPathKey(partial)) && !missing.has(categoryPathKey(partial))) {
+                missing.set(categoryPathKey(partial), partial);
+            }
+        });
+    });
+    return [...missing.values()].sort((a, b) => a.split('::').length - b.split('::').length);
+}
+
+async function previewImport(files) {
+    const status = qs('importStatus');
+    importPlan = null;
+    renderImportPlan();
+    if (!files?.length) return;
+    if (status) status.textContent = 'Reading files...';
+    try {
+        await fetchCategoriesTree();
+        const [read, existing] = await Promise.all([
+            readImportFiles([...files]),
+            fetchAllAdminNotes('importNotes'),
+        ]);
+        const manifest = parseCategoriesManifest(read);
+        const seen = new Map();
+        const items = read
+            .filter(f => f.name.split('/').pop() !== CATEGORIES_MANIFEST)
+            .map(f => planImportItem(parseImportFile(f), existing, seen));
+        if (manifest.error) items.unshift({ file: CATEGORIES_MANIFEST, action: 'error', message: manifest.error });
+        importPlan = {
+            items,
+            manifest: manifest.categories,
+            newCategories: missingCategoryPaths([
+                ...manifest.categories.map(c => c.path),
+                ...items.filter(i => i.action === 'create' || i.action === 'update').map(i => i.note.category),
+            ]),
+            results: null,
+        };
+        if (status) status.textContent = '';
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        if (status) status.textContent = 'Could not read the import: ' + err.message;
+    }
+    renderImportPlan();
+}
+
+function renderImportPlan() {
+    const container = qs('importPlan');
+    const applyBtn = qs('importApplyBtn');
+    if (!container) return;
+    if (!importPlan) {
+        container.innerHTML = '';
+        applyBtn?.classList.add('hidden');
+        return;
+    }
+    const { items, newCategories, results } = importPlan;
+    const count = action => items.filter(i => i.action === action).length;
+    const pending = count('create') + count('update');
+    const failed = results ? results.filter(r => r && !r.ok).length : 0;
+    const summary = results
+        ? [`${pending - failed} imported`, failed && `${failed} failed`, items.length - pending && `${items.length - pending} skipped`]
+            .filter(Boolean).join(' · ')
+        : Object.keys(IMPORT_ACTIONS)
+            .filter(action => count(action))
+            .map(action => `${count(action)} ${IMPORT_ACTIONS[action].toLowerCase()}`)
+            .join(' · ');
+    container.innerHTML = `
+        <p><strong>${results ? 'Import finished' : 'Dry run'}:</strong> ${escapeHtml(summary || 'no files')}${newCategories.length ? ` · ${newCategories.length} new categor${newCategories.length === 1 ? 'y' : 'ies'}` : ''}</p>
+        ${newCategories.length ? `
+            <p class="note-meta">${results ? 'Categories created' : 'Categories to create'}: ${newCategories.map(p => escapeHtml(p.replace(/::/g, ' › '))).join(', ')}</p>
+        ` : ''}
+        <table class="admin-table">
+            <thead>
+                <tr><th>File</th><th>${results ? 'Result' : 'Action'}</th><th>Title</th><th>Category</th><th>Details</th></tr>
+            </thead>
+            <tbody>
+                ${items.map((item, i) => {
+                    const result = results?.[i];
+                    const label = result ? (result.ok ? 'Done' : 'Failed') : IMPORT_ACTIONS[item.action];
+                    const detail = result && !result.ok ? result.message : item.message;
+                    return `
+                        <tr class="import-${result ? (result.ok ? 'done' : 'failed') : item.action}">
+                            <td>${escapeHtml(item.file)}</td>
+                            <td><span class="import-action">${escapeHtml(label)}</span></td>
+                            <td>${escapeHtml(item.note?.title || '—')}</td>
+                            <td>${escapeHtml(item.note?.category.replace(/::/g, ' › ') || '—')}</td>
+                            <td>${escapeHtml(detail || '')}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    if (applyBtn) {
+        applyBtn.classList.toggle('hidden', !!results || !(pending || newCategories.length));
+        applyBtn.textContent = `Import ${pending} note${pending === 1 ? '' : 's'}`;
+    }
+}
+
+// creates the plan's missing categories; resolves to path key -> id for
+// every category, and the paths that failed
+async function createImportCategories(plan) {
+    const ids = new Map(flatCategories.map(c => [categoryPathKey(c.path), c.id]));
+    const failed = new Map();
+    const styles = new Map(plan.manifest.map(c => [categoryPathKey(c.path), c]));
+    for (const path of plan.newCategories) {
+        const parts = path.split('::');
+        const parentKey = categoryPathKey(parts.slice(0, -1).join('::'));
+        if (parts.length > 1 && !ids.has(parentKey)) {
+            failed.set(categoryPathKey(path), failed.get(parentKey) || 'Its parent category could not be created.');
+            continue;
+        }
+        try {
+            const created = await api('/api/category', {
+                method: 'POST',
+                body: JSON.stringify({ name: parts[parts.length - 1], parent_id: parts.length > 1 ? ids.get(parentKey) : null }),
+            });
+            ids.set(categoryPathKey(path), created.id);
+            const style = styles.get(categoryPathKey(path));
+            const fields = Object.fromEntries(['icon', 'color', 'description']
+                .filter(key => style?.[key])
+                .map(key => [key, style[key]]));
+            if (Object.keys(fields).length) {
+                await api(`/api/category/${created.id}`, { method: 'PUT', body: JSON.stringify(fields) });
+            }
+        } catch (err) {
+            console.error(err);
+            failed.set(categoryPathKey(path), `Category "${path}" could not be created: ${err.message}`);
+        }
+    }
+    return { ids, failed };
+}
+
+async function applyImportPlan() {
+    const plan = importPlan;
+    if (!plan || plan.results || !requirePermission('library.transfer')) return;
+    const status = qs('importStatus');
+    const applyBtn = qs('importApplyBtn');
+    if (applyBtn) applyBtn.disabled = true;
+    try {
+        if (status) status.textContent = 'Creating categories...';
+        const { ids, failed } = await createImportCategories(plan);
+        const todo = plan.items.filter(i => i.action === 'create' || i.action === 'update');
+        let done = 0;
+        const results = [];
+        for (const item of plan.items) {
+            if (item.action !== 'create' && item.action !== 'update') {
+                // not imported: the row keeps its plan label
+                results.push(null);
+                continue;
+            }
+            if (status) status.textContent = `Importing ${++done} of ${todo.length}...`;
+            const key = categoryPathKey(item.note.category);
+            if (!ids.has(key)) {
+                results.push({ ok: false, message: failed.get(key) || 'The category could not be created.' });
+                continue;
+            }
+            const { title, content, status: noteState, tags, sources, questions, flashcards } = item.note;
+            const payload = {
+                title,
+                content,
+                category: ids.get(key),
+                status: noteState,
+                is_draft: noteState !== 'published',
+                tags,
+                sources,
+                questions,
+                flashcards,
+            };
+            try {
+                if (item.action === 'create') {
+                    await api('/api/note', { method: 'POST', body: JSON.stringify(payload) });
+                } else {
+                    await api(`/api/note/${item.existing.id}`, { method: 'PUT', body: JSON.stringify(payload) });
+                }
+                results.push({ ok: true });
+            } catch (err) {
+                console.error(err);
+                results.push({ ok: false, message: err.message });
+            }
+        }
+        plan.results = results;
+        const failures = results.filter(r => r && !r.ok).length;
+        showToast(failures
+            ? `Imported ${todo.length - failures} of ${todo.length} notes. See the table for what failed.`
+            : `Imported ${todo.length} note${todo.length === 1 ? '' : 's'}.`, failures ? 'error' : 'success');
+        if (status) status.textContent = '';
+    } finally {
+        if (applyBtn) applyBtn.disabled = false;
+        searchNotesCache = null;
+        knownTags = null;
+        await fetchCategoriesTree().catch(console.error);
+        renderImportPlan();
+    }
+}
+
+// ----- export -----
+function exportFileName(text) {
+    return String(text).trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'untitled';
+}
+
+async function exportLibrary() {
+    if (!requirePermission('library.transfer')) return;
+    const status = qs('exportStatus');
+    if (status) status.textContent = 'Collecting notes...';
+    try {
+        await fetchCategoriesTree();
+        const notes = await fetchAllAdminNotes('exportNotes');
+        const files = [{
+            name: CATEGORIES_MANIFEST,
+            data: JSON.stringify(flatCategories.map(c => {
+                const node = findCategoryNode(c.id) || {};
+                return { path: c.path, icon: node.icon || undefined, color: node.color || undefined, description: node.description || undefined };
+            }), null, 2) + '\n',
+        }];
+        const used = new Set();
+        for (const listed of notes) {
+            // lists may leave the body out
+            const note = listed.content === undefined ? await api(`/api/note/${listed.id}`) : listed;
+            const path = categoryPathFor(note.category_id);
+            const folder = path ? path.split('::').map(exportFileName).join('/') + '/' : '';
+            let name = `${folder}${exportFileName(note.title)}.md`;
+            if (used.has(name.toLowerCase())) name = `${folder}${exportFileName(note.title)}-${note.id}.md`;
+            used.add(name.toLowerCase());
+            const state = noteStatus(note);
+            files.push({
+                name,
+                data: formatFrontMatter({
+                    id: note.id,
+                    title: note.title,
+                    category: path || undefined,
+                    status: state,
+                    draft: state !== 'published',
+                    tags: normaliseTags(note.tags),
+                    sources: normaliseSources(note.sources),
+                    questions: normaliseQuestions(note.questions),
+                    flashcards: normaliseFlashcards(note.flashcards),
+                    updated_at: note.updated_at,
+                }) + '\n' + htmlToMarkdown(note.content || '') + '\n',
+            });
+        }
+        downloadFile(`clinicalroots-export-${new Date().toISOString().slice(0, 10)}.zip`, createZip(files), 'application/zip');
+        if (status) status.textContent = `Exported ${files.length - 1} note${files.length === 2 ? '' : 's'} and ${flatCategories.length} categories.`;
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        if (status) status.textContent = 'Export failed: ' + err.message;
+    }
+}
+
+// ---------- NOTES ADMIN ----------
+async function populateNoteCategorySelect() {
+    await fetchCategoriesTree();
+    const select = elements.noteFormCategory;
+    const subSelect = elements.noteFormSubcategory;
+
+    if (!select || !subSelect) return;
+
+    select.innerHTML = `<option value="">Select Category</option>`;
     flatCategories
         .filter(c => !c.parent_id) // top level
         .forEach(c => {
@@ -529,164 +2043,3936 @@ async function populateNoteCategorySelect() {
     };
 }
 
-function getSelectedCategoryForNote() {
-    const rootVal = elements.noteFormCategory?.value;
-    const subVal = elements.noteFormSubcategory?.value;
-    if (subVal) return Number(subVal);
-    if (rootVal) return Number(rootVal);
-    return null;
+// the form only has two levels: pick the top-level ancestor, then the category itself
+function selectNoteCategory(catId) {
+    const cat = flatCategories.find(c => c.id === catId);
+    if (!cat) return;
+    let root = cat;
+    while (root.parent_id) {
+        root = flatCategories.find(c => c.id === root.parent_id) || root;
+    }
+    elements.noteFormCategory.value = String(root.id);
+    elements.noteFormCategory.dispatchEvent(new Event('change'));
+    if (cat.id !== root.id) {
+        elements.noteFormSubcategory.value = String(cat.id);
+    }
+}
+
+function getSelectedCategoryForNote() {
+    const rootVal = elements.noteFormCategory?.value;
+    const subVal = elements.noteFormSubcategory?.value;
+    if (subVal) return Number(subVal);
+    if (rootVal) return Number(rootVal);
+    return null;
+}
+
+async function openAddNoteForCategory(catId) {
+    if (!requirePermission('notes.edit')) return;
+    editingNoteId = null;
+    setRoute('/note/new');
+    switchView('addNote');
+    await populateNoteCategorySelect();
+    selectNoteCategory(catId);
+
+    elements.noteFormTitle.value = '';
+    noteEditor.setHTML('');
+    setNoteFormMeta([], []);
+    hideRevisions();
+    hideReview();
+    startNewNoteDraft();
+}
+
+async function openEditNote(noteId) {
+    if (!requirePermission('notes.edit')) return;
+    try {
+        const note = await api(`/api/note/${noteId}`);
+        editingNoteId = noteId;
+        setRoute(`/note/${noteId}/edit`);
+        switchView('addNote');
+        await populateNoteCategorySelect();
+
+        elements.noteFormTitle.value = note.title;
+        selectNoteCategory(note.category_id);
+        noteEditor.setHTML(note.content);
+        setNoteFormMeta(normaliseTags(note.tags), normaliseSources(note.sources),
+            normaliseQuestions(note.questions), normaliseFlashcards(note.flashcards));
+        startEditNoteDraft(note);
+        loadRevisions(noteId).catch(console.error);
+        showReview(note);
+    } catch (err) {
+        console.error(err);
+        showToast("Error loading note: " + err.message, 'error');
+    }
+}
+
+async function deleteNoteClient(noteId) {
+    if (!requirePermission('notes.delete')) return;
+    if (!confirm('Delete this note?')) return;
+    try {
+        await api(`/api/note/${noteId}`, { method: 'DELETE' });
+        searchNotesCache = null;
+        showToast('Note deleted.', 'success');
+        if (currentCategoryId) openCategoryById(currentCategoryId);
+    } catch (err) {
+        console.error(err);
+        showToast('Delete error: ' + err.message, 'error');
+    }
+}
+
+// status is 'draft' (keep working) or 'in_review' (hand over to a reviewer);
+// publishing only happens from the review queue after approval.
+async function saveNote(status = 'draft') {
+    if (!requirePermission('notes.edit')) return;
+    const title = elements.noteFormTitle.value.trim();
+    const categoryId = getSelectedCategoryForNote();
+    const content = noteEditor.getHTML().trim();
+    // a tag typed but not yet confirmed with Enter still counts
+    if (elements.noteFormTags?.value.trim()) {
+        addNoteFormTag(elements.noteFormTags.value);
+        elements.noteFormTags.value = '';
+    }
+
+    if (!title || !categoryId || !content) {
+        showToast('Title, category, and content are required.', 'error');
+        return;
+    }
+
+    const questions = readQuestionRows();
+    const incomplete = questions.findIndex(q => questionProblem(q));
+    if (incomplete !== -1) {
+        showToast(`Quiz question ${incomplete + 1}: ${questionProblem(questions[incomplete])}`, 'error');
+        return;
+    }
+
+    if (editingNoteId && reviewNote && noteStatus(reviewNote) === 'published' &&
+        !confirm('This note is published. Saving takes it off the site until the changes are reviewed and published again. Continue?')) {
+        return;
+    }
+
+    const payload = {
+        title,
+        content,
+        category: categoryId,
+        status,
+        is_draft: true,
+        tags: noteFormTagList,
+        sources: readSourceRows(),
+        questions,
+        flashcards: readFlashcardRows(),
+    };
+
+    // if the session has expired, logging in again re-runs this save
+    resumeAfterLogin = () => resumeSaveNote(status);
+    try {
+        if (!editingNoteId) {
+            await api('/api/note', {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+            showToast(status === 'in_review' ? 'Note submitted for review.' : 'Draft saved.', 'success');
+        } else {
+            await api(`/api/note/${editingNoteId}`, {
+                method: 'PUT',
+                body: JSON.stringify(payload)
+            });
+            showToast(status === 'in_review' ? 'Changes submitted for review.' : 'Draft updated.', 'success');
+        }
+        resumeAfterLogin = null;
+        clearNoteDraft();
+        searchNotesCache = null;
+        knownTags = null;
+
+        if (currentCategoryId) {
+            openCategoryById(currentCategoryId);
+        } else {
+            showAdminDashboard();
+        }
+    } catch (err) {
+        console.error(err);
+        // 401: the form and its local draft are kept until the user logs back in
+        if (err.status === 401) return;
+        resumeAfterLogin = null;
+        showToast('Error saving note: ' + err.message, 'error');
+    }
+}
+
+function resumeSaveNote(status) {
+    setRoute(editingNoteId ? `/note/${editingNoteId}/edit` : '/note/new');
+    switchView('addNote');
+    saveNote(status);
+}
+
+// ---------- NOTE DRAFT AUTOSAVE ----------
+// The note form is copied to localStorage while it is edited, keyed by the
+// note id (or a generated id for new notes), so a crash, a closed tab or an
+// expired session never costs more than the last second of typing.
+const NOTE_DRAFT_PREFIX = 'noteDraft:';
+const NOTE_AUTOSAVE_DELAY_MS = 1000;
+
+let noteDraftKey = null;
+let noteFormDirty = false;
+let noteAutosaveTimer = null;
+
+function readNoteForm() {
+    return {
+        title: elements.noteFormTitle.value,
+        categoryId: getSelectedCategoryForNote(),
+        content: noteEditor.getHTML(),
+        tags: [...noteFormTagList],
+        sources: readSourceRows(),
+        questions: readQuestionRows(),
+        flashcards: readFlashcardRows(),
+    };
+}
+
+function applyNoteForm(draft) {
+    elements.noteFormTitle.value = draft.title || '';
+    if (draft.categoryId) selectNoteCategory(draft.categoryId);
+    noteEditor.setHTML(draft.content || '');
+    setNoteFormMeta(draft.tags || [], draft.sources || [], draft.questions || [], draft.flashcards || []);
+}
+
+function readNoteDraft(key) {
+    try {
+        return JSON.parse(localStorage.getItem(NOTE_DRAFT_PREFIX + key));
+    } catch {
+        return null;
+    }
+}
+
+function saveNoteDraft() {
+    clearTimeout(noteAutosaveTimer);
+    noteAutosaveTimer = null;
+    if (!noteDraftKey || !noteFormDirty) return;
+    const draft = { ...readNoteForm(), noteId: editingNoteId, savedAt: Date.now() };
+    try {
+        localStorage.setItem(NOTE_DRAFT_PREFIX + noteDraftKey, JSON.stringify(draft));
+    } catch (err) {
+        // quota exceeded (large pasted images): keep editing, just without a local copy
+        console.error(err);
+    }
+}
+
+function clearNoteDraft() {
+    clearTimeout(noteAutosaveTimer);
+    noteAutosaveTimer = null;
+    if (noteDraftKey) localStorage.removeItem(NOTE_DRAFT_PREFIX + noteDraftKey);
+    noteDraftKey = null;
+    noteFormDirty = false;
+}
+
+function markNoteFormDirty() {
+    if (!noteDraftKey) return;
+    noteFormDirty = true;
+    clearTimeout(noteAutosaveTimer);
+    noteAutosaveTimer = setTimeout(saveNoteDraft, NOTE_AUTOSAVE_DELAY_MS);
+}
+
+function describeDraft(draft) {
+    const when = new Date(draft.savedAt).toLocaleString();
+    return `${draft.title ? `"${draft.title}"` : 'an untitled note'} (saved ${when})`;
+}
+
+// New notes: offer the most recent unsaved new-note draft, else start a fresh one
+function startNewNoteDraft() {
+    const keys = Object.keys(localStorage)
+        .filter(k => k.startsWith(NOTE_DRAFT_PREFIX + 'new-'))
+        .map(k => k.slice(NOTE_DRAFT_PREFIX.length));
+    const latest = keys
+        .map(key => ({ key, draft: readNoteDraft(key) }))
+        .filter(d => d.draft)
+        .sort((a, b) => b.draft.savedAt - a.draft.savedAt)[0];
+
+    noteFormDirty = false;
+    if (latest && confirm(`You have unsaved work on ${describeDraft(latest.draft)}. Restore it?`)) {
+        noteDraftKey = latest.key;
+        applyNoteForm(latest.draft);
+        return;
+    }
+    keys.forEach(key => localStorage.removeItem(NOTE_DRAFT_PREFIX + key));
+    noteDraftKey = `new-${Date.now()}`;
+}
+
+// Existing notes: offer the local copy only if it differs from what the server has
+function startEditNoteDraft(note) {
+    noteDraftKey = `note-${note.id ?? editingNoteId}`;
+    noteFormDirty = false;
+    const draft = readNoteDraft(noteDraftKey);
+    if (!draft) return;
+
+    const server = readNoteForm();
+    const differs = draft.title !== server.title || draft.content !== server.content ||
+        JSON.stringify(draft.tags) !== JSON.stringify(server.tags) ||
+        JSON.stringify(draft.sources) !== JSON.stringify(server.sources) ||
+        JSON.stringify(draft.questions || []) !== JSON.stringify(server.questions) ||
+        JSON.stringify(draft.flashcards || []) !== JSON.stringify(server.flashcards) ||
+        draft.categoryId !== server.categoryId;
+    if (!differs) {
+        localStorage.removeItem(NOTE_DRAFT_PREFIX + noteDraftKey);
+        return;
+    }
+    const newer = note.updated_at && new Date(note.updated_at).getTime() > draft.savedAt
+        ? '\n\nNote: the published version was changed after this copy was saved.'
+        : '';
+    if (confirm(`This note has unsaved changes from ${new Date(draft.savedAt).toLocaleString()}. Restore them?${newer}`)) {
+        applyNoteForm(draft);
+        noteFormDirty = true;
+    } else {
+        localStorage.removeItem(NOTE_DRAFT_PREFIX + noteDraftKey);
+    }
+}
+
+function initNoteAutosave() {
+    if (elements.addNoteForm) {
+        elements.addNoteForm.addEventListener('input', markNoteFormDirty);
+        elements.addNoteForm.addEventListener('change', markNoteFormDirty);
+        // chip and row removal buttons change the form without an input event
+        elements.addNoteForm.addEventListener('click', (e) => {
+            if (e.target.closest('.tag-remove, .admin-btn.delete')) markNoteFormDirty();
+        });
+    }
+    window.addEventListener('beforeunload', (e) => {
+        if (!noteFormDirty || elements.pages.addNote.classList.contains('hidden')) return;
+        saveNoteDraft();
+        e.preventDefault();
+        e.returnValue = '';
+    });
+}
+
+// ---------- ADMIN NOTES TABLE ----------
+// Notes move draft -> in review -> (changes requested -> in review ...) ->
+// approved -> published. Older notes only carry is_draft, which maps onto
+// the two ends of that chain.
+const NOTE_STATUSES = {
+    draft: 'Draft',
+    in_review: 'In review',
+    changes_requested: 'Changes requested',
+    approved: 'Approved',
+    published: 'Published',
+};
+
+function noteStatus(note) {
+    if (note && NOTE_STATUSES[note.status]) return note.status;
+    return note?.is_draft ? 'draft' : 'published';
+}
+
+function statusBadge(status) {
+    return `<span class="status-badge status-${status}">${NOTE_STATUSES[status] || status}</span>`;
+}
+
+const ADMIN_NOTE_VIEWS = {
+    published: {
+        title: 'Published Notes',
+        description: 'View, edit and unpublish live content.',
+        actions: ['unpublish', 'delete'],
+    },
+    drafts: {
+        title: 'Drafts',
+        description: 'Finish drafts and notes sent back by a reviewer, then submit them for review.',
+        actions: ['submit', 'delete'],
+    },
+    review: {
+        title: 'Review Queue',
+        description: 'Review submitted notes, then publish the approved ones.',
+        actions: ['approve', 'request_changes', 'publish'],
+        requires: 'notes.publish',
+    },
+    bin: {
+        title: 'Recycle Bin',
+        description: 'Restore deleted notes or remove them permanently.',
+        actions: ['restore', 'purge'],
+        requires: 'notes.delete',
+    },
+};
+
+// Workflow actions set `status` and are only offered for notes in one of
+// the `from` states; `comment` asks the reviewer for a note to the author.
+const NOTE_ACTIONS = {
+    submit: {
+        label: 'Submit for review',
+        icon: 'fa-paper-plane',
+        cls: 'add',
+        done: 'submitted for review',
+        requires: 'notes.edit',
+        status: 'in_review',
+        from: ['draft', 'changes_requested'],
+    },
+    approve: {
+        label: 'Approve',
+        icon: 'fa-check',
+        cls: 'add',
+        done: 'approved',
+        requires: 'notes.publish',
+        status: 'approved',
+        from: ['in_review'],
+    },
+    request_changes: {
+        label: 'Request changes',
+        icon: 'fa-reply',
+        cls: 'edit',
+        done: 'sent back to the author',
+        requires: 'notes.publish',
+        status: 'changes_requested',
+        from: ['in_review', 'approved'],
+        comment: 'What needs to change?',
+    },
+    publish: {
+        label: 'Publish',
+        icon: 'fa-upload',
+        cls: 'add',
+        done: 'published',
+        requires: 'notes.publish',
+        status: 'published',
+        from: ['approved'],
+    },
+    unpublish: {
+        label: 'Unpublish',
+        icon: 'fa-eye-slash',
+        cls: 'edit',
+        done: 'moved to drafts',
+        requires: 'notes.publish',
+        status: 'draft',
+        from: ['published'],
+    },
+    delete: { label: 'Move to bin', icon: 'fa-trash-alt', cls: 'delete', done: 'moved to the bin', requires: 'notes.delete' },
+    restore: { label: 'Restore', icon: 'fa-rotate-left', cls: 'add', done: 'restored', requires: 'notes.delete' },
+    purge: {
+        label: 'Delete permanently',
+        icon: 'fa-ban',
+        cls: 'delete',
+        done: 'permanently deleted',
+        confirm: 'Permanently delete? This cannot be undone.',
+        requires: 'notes.delete',
+    },
+};
+
+// Can the current user apply this action to this note right now? A reviewer
+// may not approve a note they submitted themselves; admins are exempt so a
+// single-editor site is never stuck.
+function noteActionAllowed(action, note) {
+    const a = NOTE_ACTIONS[action];
+    if (!a || !can(a.requires)) return false;
+    if (a.from && note && !a.from.includes(noteStatus(note))) return false;
+    if (action === 'approve' && note?.submitted_by != null &&
+        note.submitted_by === currentUser?.id && userRole() !== 'admin') return false;
+    return true;
+}
+
+const ADMIN_NOTE_COLUMNS = [
+    { key: 'title', label: 'Title' },
+    { key: 'category', label: 'Category' },
+    { key: 'status', label: 'Status' },
+    { key: 'views', label: 'Views' },
+    { key: 'updated_at', label: 'Last modified' },
+];
+
+// page size when a screen needs every note rather than one page of the list
+const ADMIN_NOTES_PAGE_SIZE = 1000;
+
+const adminNotesState = {
+    status: null,
+    page: 1,
+    perPage: 20,
+    sort: 'updated_at',
+    order: 'desc',
+    total: 0,
+    notes: [],
+    selected: new Set(),
+};
+
+function runNoteAction(action, noteId, comment) {
+    const a = NOTE_ACTIONS[action];
+    if (a?.status) {
+        // is_draft is kept in step for clients that only know the two old states
+        const body = { status: a.status, is_draft: a.status !== 'published' };
+        if (comment) body.comment = comment;
+        return api(`/api/note/${noteId}`, { method: 'PATCH', body: JSON.stringify(body) });
+    }
+    switch (action) {
+        case 'delete':
+            return api(`/api/note/${noteId}`, { method: 'DELETE' });
+        case 'restore':
+            return api(`/api/note/${noteId}/restore`, { method: 'POST' });
+        case 'purge':
+            return api(`/api/note/${noteId}/purge`, { method: 'DELETE' });
+        default:
+            return Promise.reject(new Error(`Unknown action: ${action}`));
+    }
+}
+
+function formatDate(value) {
+    if (!value) return '—';
+    const d = new Date(value);
+    return isNaN(d) ? String(value) : d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// every admin note matching filters ({ status, category, sort, order }; all
+// statuses by default), a page at a time. Callers act on the whole set (an
+// import matching files to notes, a category about to be deleted), so a short
+// list throws rather than pass for the complete one
+async function fetchAllAdminNotes(cancelKey, filters = {}) {
+    const notes = [];
+    for (let page = 1; ; page++) {
+        const params = new URLSearchParams({ status: 'all', ...filters, per_page: ADMIN_NOTES_PAGE_SIZE, page });
+        const res = await api(`/api/admin/notes?${params}`, { cancelKey });
+        const batch = res.notes || [];
+        notes.push(...batch);
+        const total = res.total ?? notes.length;
+        if (notes.length >= total) return notes;
+        if (!batch.length) throw new Error(`The site listed ${notes.length} of ${total} notes.`);
+    }
+}
+
+async function loadAdminNotes() {
+    const st = adminNotesState;
+    const container = qs('adminNotesContainer');
+    if (!container) return;
+    container.innerHTML = '<p>Loading...</p>';
+
+    const params = new URLSearchParams({
+        status: st.status,
+        page: st.page,
+        per_page: st.perPage,
+        sort: st.sort,
+        order: st.order,
+    });
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        const data = await api(`/api/admin/notes?${params}`, { cancelKey: 'adminNotes' });
+        st.notes = data.notes || [];
+        st.total = data.total ?? st.notes.length;
+        renderAdminNotes();
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        container.innerHTML = '';
+        const p = document.createElement('p');
+        p.textContent = 'Error loading notes: ' + err.message;
+        container.appendChild(p);
+    }
+}
+
+function renderAdminNotes() {
+    const st = adminNotesState;
+    const view = ADMIN_NOTE_VIEWS[st.status];
+    const container = qs('adminNotesContainer');
+    if (!container || !view) return;
+    container.innerHTML = '';
+    const allowedActions = view.actions.filter(action => can(NOTE_ACTIONS[action].requires));
+
+    // bulk toolbar
+    const toolbar = document.createElement('div');
+    toolbar.className = 'admin-toolbar';
+    toolbar.innerHTML = `<span>${st.selected.size} selected</span>`;
+    allowedActions.forEach(action => {
+        const a = NOTE_ACTIONS[action];
+        const btn = document.createElement('button');
+        btn.className = `btn ${a.cls === 'delete' ? 'btn-danger' : 'btn-secondary'}`;
+        btn.textContent = a.label;
+        btn.disabled = st.selected.size === 0;
+        btn.onclick = () => applyNoteAction(action, [...st.selected]);
+        toolbar.appendChild(btn);
+    });
+    container.appendChild(toolbar);
+
+    if (!st.notes.length) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.innerHTML = `<div class="empty-state-icon">📄</div><p>No notes here.</p>`;
+        container.appendChild(empty);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'admin-table';
+    const allChecked = st.notes.every(n => st.selected.has(n.id));
+    const arrow = st.order === 'asc' ? '▲' : '▼';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th><input type="checkbox" data-select-all ${allChecked ? 'checked' : ''}></th>
+                ${ADMIN_NOTE_COLUMNS.map(c => `
+                    <th class="sortable" data-sort="${c.key}">${c.label} ${st.sort === c.key ? arrow : ''}</th>
+                `).join('')}
+                <th>Actions</th>
+            </tr>
+        </thead>
+        <tbody></tbody>
+    `;
+
+    const tbody = table.querySelector('tbody');
+    st.notes.forEach(n => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" ${st.selected.has(n.id) ? 'checked' : ''}></td>
+            <td><span class="note-link">${escapeHtml(n.title)}</span></td>
+            <td>${escapeHtml(categoryPathFor(n.category_id) || '—')}</td>
+            <td>${statusBadge(noteStatus(n))}</td>
+            <td>${Number(n.views) || 0}</td>
+            <td>${escapeHtml(formatDate(n.updated_at || n.created_at))}</td>
+            <td class="row-actions"></td>
+        `;
+        tr.querySelector('input').onchange = (e) => {
+            if (e.target.checked) st.selected.add(n.id);
+            else st.selected.delete(n.id);
+            renderAdminNotes();
+        };
+        tr.querySelector('.note-link').onclick = () => showNoteView(n.id);
+
+        const actions = tr.querySelector('.row-actions');
+        if (st.status !== 'bin' && can('notes.edit')) {
+            const edit = document.createElement('button');
+            edit.className = 'admin-btn edit';
+            edit.title = 'Edit';
+            edit.innerHTML = '<i class="fas fa-pen"></i>';
+            edit.onclick = () => openEditNote(n.id);
+            actions.appendChild(edit);
+        }
+        allowedActions.filter(action => noteActionAllowed(action, n)).forEach(action => {
+            const a = NOTE_ACTIONS[action];
+            const btn = document.createElement('button');
+            btn.className = `admin-btn ${a.cls}`;
+            btn.title = a.label;
+            btn.innerHTML = `<i class="fas ${a.icon}"></i>`;
+            btn.onclick = () => applyNoteAction(action, [n.id]);
+            actions.appendChild(btn);
+        });
+        tbody.appendChild(tr);
+    });
+
+    table.querySelector('[data-select-all]').onchange = (e) => {
+        st.notes.forEach(n => e.target.checked ? st.selected.add(n.id) : st.selected.delete(n.id));
+        renderAdminNotes();
+    };
+    table.querySelectorAll('th[data-sort]').forEach(th => {
+        th.onclick = () => {
+            const key = th.dataset.sort;
+            if (st.sort === key) {
+                st.order = st.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                st.sort = key;
+                st.order = key === 'title' || key === 'category' ? 'asc' : 'desc';
+            }
+            st.page = 1;
+            loadAdminNotes().catch(console.error);
+        };
+    });
+    container.appendChild(table);
+
+    // pagination
+    const pages = Math.max(1, Math.ceil(st.total / st.perPage));
+    const pager = document.createElement('div');
+    pager.className = 'pagination';
+    pager.innerHTML = `
+        <span>${st.total} note${st.total === 1 ? '' : 's'} · page ${st.page} of ${pages}</span>
+        <div>
+            <button class="btn btn-secondary" data-page="prev" ${st.page <= 1 ? 'disabled' : ''}>← Prev</button>
+            <button class="btn btn-secondary" data-page="next" ${st.page >= pages ? 'disabled' : ''}>Next →</button>
+        </div>
+    `;
+    pager.querySelector('[data-page="prev"]').onclick = () => {
+        st.page--;
+        loadAdminNotes().catch(console.error);
+    };
+    pager.querySelector('[data-page="next"]').onclick = () => {
+        st.page++;
+        loadAdminNotes().catch(console.error);
+    };
+    container.appendChild(pager);
+}
+
+async function applyNoteAction(action, ids) {
+    const a = NOTE_ACTIONS[action];
+    // a bulk selection can mix states; skip notes the action doesn't apply to
+    const skipped = ids.filter(id => !noteActionAllowed(action, adminNotesState.notes.find(n => n.id === id)));
+    ids = ids.filter(id => !skipped.includes(id));
+    if (!ids.length) {
+        if (skipped.length) showToast(`${a.label} doesn't apply to the selected note${skipped.length === 1 ? '' : 's'}.`, 'error');
+        return;
+    }
+    const what = ids.length === 1 ? 'this note' : `${ids.length} notes`;
+    let comment = '';
+    if (a.comment) {
+        comment = prompt(`${a.label} (${what}): ${a.comment}`);
+        if (comment === null) return;
+        comment = comment.trim();
+    } else if (!confirm(a.confirm ? `${what}: ${a.confirm}` : `${a.label} ${what}?`)) {
+        return;
+    }
+
+    let failed = 0;
+    for (const id of ids) {
+        try {
+            await runNoteAction(action, id, comment);
+            adminNotesState.selected.delete(id);
+        } catch (err) {
+            console.error(err);
+            failed++;
+        }
+    }
+    searchNotesCache = null;
+
+    const done = ids.length - failed;
+    const skippedNote = skipped.length ? ` ${skipped.length} skipped (${a.label.toLowerCase()} doesn't apply to them).` : '';
+    showToast((failed
+        ? `${done} of ${ids.length} notes ${a.done}; ${failed} failed.`
+        : `${done === 1 ? 'Note' : `${done} notes`} ${a.done}.`) + skippedNote, failed ? 'error' : 'success');
+
+    // the current page may now be empty
+    if (adminNotesState.page > 1 && done >= adminNotesState.notes.length) adminNotesState.page--;
+    fetchAdminStats().catch(console.error);
+    loadAdminNotes().catch(console.error);
+}
+
+// ---------- NOTE TAGS & SOURCES ----------
+// Tags are edited as chips with <datalist> autocomplete; sources are a list
+// of structured references. Older notes stored sources as free text, which
+// normaliseSources turns into one title-only reference per line.
+function normaliseSources(sources) {
+    if (!sources) return [];
+    if (typeof sources === 'string') {
+        try {
+            return normaliseSources(JSON.parse(sources));
+        } catch {
+            return sources.split('\n').map(l => l.trim()).filter(Boolean).map(title => ({ title }));
+        }
+    }
+    if (!Array.isArray(sources)) return [];
+    return sources
+        .map(src => typeof src === 'string' ? { title: src } : {
+            title: src.title || '',
+            url: src.url || '',
+            identifier: src.identifier || src.doi || src.pmid || '',
+            accessed: src.accessed || '',
+        })
+        .filter(src => src.title || src.url || src.identifier);
+}
+
+async function loadKnownTags() {
+    if (knownTags) return knownTags;
+    try {
+        knownTags = await api('/api/tags');
+    } catch (err) {
+        // backend without a tags endpoint: collect them from the notes list
+        console.error(err);
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+        knownTags = [...new Set(searchNotesCache.flatMap(n => normaliseTags(n.tags)))].sort();
+    }
+    return knownTags;
+}
+
+function refreshTagSuggestions() {
+    const list = qs('tagSuggestions');
+    if (!list) return;
+    loadKnownTags().then(tags => {
+        list.innerHTML = '';
+        tags.filter(t => !noteFormTagList.includes(t)).forEach(t => {
+            const opt = document.createElement('option');
+            opt.value = t;
+            list.appendChild(opt);
+        });
+    }).catch(console.error);
+}
+
+function renderTagChips() {
+    const box = qs('noteFormTagChips');
+    if (!box) return;
+    box.innerHTML = '';
+    noteFormTagList.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tag-remove';
+        remove.title = 'Remove tag';
+        remove.innerHTML = '&times;';
+        remove.onclick = () => {
+            noteFormTagList = noteFormTagList.filter(t => t !== tag);
+            renderTagChips();
+        };
+        chip.appendChild(remove);
+        box.appendChild(chip);
+    });
+}
+
+function addNoteFormTag(raw) {
+    String(raw).split(',').map(t => t.trim()).filter(Boolean).forEach(tag => {
+        const existing = (knownTags || []).find(t => t.toLowerCase() === tag.toLowerCase());
+        const value = existing || tag;
+        if (!noteFormTagList.some(t => t.toLowerCase() === value.toLowerCase())) {
+            noteFormTagList.push(value);
+        }
+    });
+    renderTagChips();
+    refreshTagSuggestions();
+}
+
+function onTagInputKeydown(e) {
+    const input = elements.noteFormTags;
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addNoteFormTag(input.value);
+        input.value = '';
+    } else if (e.key === 'Backspace' && !input.value && noteFormTagList.length) {
+        noteFormTagList.pop();
+        renderTagChips();
+    }
+}
+
+function addSourceRow(src = {}) {
+    const list = elements.noteFormSources;
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'source-row';
+    row.innerHTML = `
+        <input type="text" class="form-input" data-field="title" placeholder="Title / citation">
+        <input type="url" class="form-input" data-field="url" placeholder="https://...">
+        <input type="text" class="form-input" data-field="identifier" placeholder="DOI or PMID">
+        <input type="date" class="form-input" data-field="accessed" title="Accessed">
+        <button type="button" class="admin-btn delete" title="Remove reference"><i class="fas fa-trash-alt"></i></button>
+    `;
+    row.querySelectorAll('[data-field]').forEach(input => {
+        input.value = src[input.dataset.field] || '';
+    });
+    row.querySelector('button').onclick = () => row.remove();
+    list.appendChild(row);
+}
+
+function readSourceRows() {
+    const list = elements.noteFormSources;
+    if (!list) return [];
+    return [...list.querySelectorAll('.source-row')]
+        .map(row => {
+            const src = {};
+            row.querySelectorAll('[data-field]').forEach(input => {
+                src[input.dataset.field] = input.value.trim();
+            });
+            return src;
+        })
+        .filter(src => src.title || src.url || src.identifier);
+}
+
+function setNoteFormMeta(tags, sources, questions = [], flashcards = []) {
+    noteFormTagList = [...tags];
+    renderTagChips();
+    if (elements.noteFormTags) elements.noteFormTags.value = '';
+    refreshTagSuggestions();
+
+    if (elements.noteFormSources) {
+        elements.noteFormSources.innerHTML = '';
+        sources.forEach(src => addSourceRow(src));
+    }
+
+    if (elements.noteFormQuestions) {
+        elements.noteFormQuestions.innerHTML = '';
+        questions.forEach(q => addQuestionRow(q));
+    }
+
+    if (elements.noteFormFlashcards) {
+        elements.noteFormFlashcards.innerHTML = '';
+        flashcards.forEach(card => addFlashcardRow(card));
+    }
+}
+
+function safeHttpUrl(url) {
+    try {
+        const u = new URL(url);
+        return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// DOIs and PMIDs become resolver links; anything else is shown as typed
+function identifierLink(identifier) {
+    const id = identifier.trim();
+    const doi = id.match(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i);
+    if (doi) return { label: `doi:${doi[1]}`, href: `https://doi.org/${doi[1]}` };
+    const pmid = id.match(/^(?:pmid:?\s*)?(\d{1,9})$/i);
+    if (pmid) return { label: `PMID: ${pmid[1]}`, href: `https://pubmed.ncbi.nlm.nih.gov/${pmid[1]}/` };
+    return { label: id, href: null };
+}
+
+function renderNoteTags(tags) {
+    const box = qs('noteTags');
+    if (!box) return;
+    box.innerHTML = tags.map(t => `<span class="tag-chip">${escapeHtml(t)}</span>`).join('');
+}
+
+// one formatted citation; shared by the note page and the study guide
+function referenceHtml(src) {
+    const href = src.url && safeHttpUrl(src.url);
+    const title = escapeHtml(src.title || src.url || src.identifier);
+    const parts = [href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${title}</a>` : title];
+    if (src.identifier) {
+        const id = identifierLink(src.identifier);
+        parts.push(id.href
+            ? `<a href="${escapeHtml(id.href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(id.label)}</a>`
+            : escapeHtml(id.label));
+    }
+    if (src.accessed) parts.push(`accessed ${escapeHtml(formatDate(src.accessed))}`);
+    return parts.join('. ');
+}
+
+function renderNoteReferences(sources) {
+    const section = qs('noteReferences');
+    if (!section) return;
+    section.innerHTML = '';
+    section.classList.toggle('hidden', !sources.length);
+    if (!sources.length) return;
+
+    const items = sources.map(src => `<li>${referenceHtml(src)}</li>`);
+    section.innerHTML = `<h3>References</h3><ol>${items.join('')}</ol>`;
+}
+
+// ---------- REVISIONS ----------
+// Every save on the server keeps the previous version. The edit page lists
+// them, shows a word-level diff between any two (or against the unsaved
+// form), and restoring one is saved as a new version rather than rewinding.
+const CURRENT_FORM_REVISION = 'form';
+
+let revisionList = [];
+const revisionCache = new Map();
+
+function hideRevisions() {
+    qs('noteRevisionsPanel')?.classList.add('hidden');
+    revisionList = [];
+    revisionCache.clear();
+}
+
+function revisionLabel(rev) {
+    return `v${rev.version} · ${formatDate(rev.created_at)}${rev.author ? ` · ${rev.author}` : ''}`;
+}
+
+async function loadRevisions(noteId) {
+    const panel = qs('noteRevisionsPanel');
+    const list = qs('revisionList');
+    if (!panel || !list) return;
+    revisionCache.clear();
+    qs('revisionDiff')?.classList.add('hidden');
+
+    revisionList = await api(`/api/note/${noteId}/revisions`);
+    revisionList.sort((a, b) => b.version - a.version);
+    panel.classList.remove('hidden');
+    list.innerHTML = '';
+
+    if (!revisionList.length) {
+        list.innerHTML = '<p class="note-meta">No earlier versions yet.</p>';
+    }
+    revisionList.forEach((rev, i) => {
+        const row = document.createElement('div');
+        row.className = 'revision-item';
+        row.innerHTML = `
+            <div>
+                <strong>v${Number(rev.version)}</strong> ${escapeHtml(rev.title || '')}
+                <div class="note-meta">${escapeHtml(new Date(rev.created_at).toLocaleString())}${rev.author ? ` · ${escapeHtml(rev.author)}` : ''}</div>
+            </div>
+        `;
+        if (i > 0 && can('notes.publish')) {
+            const restore = document.createElement('button');
+            restore.type = 'button';
+            restore.className = 'btn btn-secondary';
+            restore.textContent = 'Restore';
+            restore.onclick = () => restoreRevision(noteId, rev);
+            row.appendChild(restore);
+        } else if (i === 0) {
+            row.insertAdjacentHTML('beforeend', '<span class="note-meta">Current</span>');
+        }
+        list.appendChild(row);
+    });
+
+    const options = [
+        `<option value="${CURRENT_FORM_REVISION}">Unsaved form</option>`,
+        ...revisionList.map(rev => `<option value="${rev.id}">${escapeHtml(revisionLabel(rev))}</option>`),
+    ].join('');
+    const from = qs('revisionFrom');
+    const to = qs('revisionTo');
+    if (from && to) {
+        from.innerHTML = options;
+        to.innerHTML = options;
+        // default: what the latest save changed
+        from.value = revisionList[1] ? String(revisionList[1].id) : (revisionList[0] ? String(revisionList[0].id) : CURRENT_FORM_REVISION);
+        to.value = revisionList[0] ? String(revisionList[0].id) : CURRENT_FORM_REVISION;
+    }
+}
+
+async function fetchRevision(noteId, revId) {
+    if (revId === CURRENT_FORM_REVISION) {
+        return { title: elements.noteFormTitle.value, content: noteEditor.getHTML() };
+    }
+    if (!revisionCache.has(revId)) {
+        revisionCache.set(revId, await api(`/api/note/${noteId}/revisions/${revId}`));
+    }
+    return revisionCache.get(revId);
+}
+
+// Myers' O(ND) diff over token arrays; returns runs of equal/insert/delete
+function diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const x0 = a.slice(start, endA);
+    const y0 = b.slice(start, endB);
+    const n = x0.length;
+    const m = y0.length;
+
+    const trace = [];
+    let v = { 1: 0 };
+    let found = n === 0 && m === 0;
+    for (let d = 0; d <= n + m && !found; d++) {
+        trace.push({ ...v });
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && x0[x] === y0[y]) {
+                x++;
+                y++;
+            }
+            v[k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const tv = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && tv[k - 1] < tv[k + 1])) ? k + 1 : k - 1;
+        const prevX = tv[prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push(['equal', x0[--x]]);
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push(['insert', y0[--y]]);
+            else ops.push(['delete', x0[--x]]);
+        }
+    }
+    ops.reverse();
+
+    const all = [
+        ...a.slice(0, start).map(t => ['equal', t]),
+        ...ops,
+        ...a.slice(endA).map(t => ['equal', t]),
+    ];
+    // merge neighbouring tokens of the same kind into runs
+    const runs = [];
+    all.forEach(([type, text]) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) last.text += text;
+        else runs.push({ type, text });
+    });
+    return runs;
+}
+
+function renderWordDiff(before, after) {
+    const tokens = text => text.match(/\s+|[^\s]+/g) || [];
+    return diffTokens(tokens(before), tokens(after)).map(run => {
+        const text = escapeHtml(run.text);
+        if (run.type === 'insert') return `<ins class="diff-ins">${text}</ins>`;
+        if (run.type === 'delete') return `<del class="diff-del">${text}</del>`;
+        return text;
+    }).join('');
+}
+
+async function showRevisionDiff() {
+    const out = qs('revisionDiff');
+    const fromId = qs('revisionFrom')?.value;
+    const toId = qs('revisionTo')?.value;
+    if (!out || !fromId || !toId || !editingNoteId) return;
+
+    out.classList.remove('hidden');
+    out.textContent = 'Loading...';
+    try {
+        const [from, to] = await Promise.all([fetchRevision(editingNoteId, fromId), fetchRevision(editingNoteId, toId)]);
+        // Markdown keeps headings, lists and tables visible in a text diff
+        const asText = rev => `# ${rev.title || ''}\n\n${htmlToMarkdown(rev.content || '')}`;
+        out.innerHTML = fromId === toId
+            ? '<p>Pick two different versions to compare.</p>'
+            : renderWordDiff(asText(from), asText(to));
+    } catch (err) {
+        console.error(err);
+        out.textContent = 'Could not load revisions: ' + err.message;
+    }
+}
+
+async function restoreRevision(noteId, rev) {
+    if (!requirePermission('notes.publish')) return;
+    if (!confirm(`Restore version ${rev.version}? It will be saved as a new version, and unsaved changes in the form will be lost.`)) return;
+    try {
+        await api(`/api/note/${noteId}/revisions/${rev.id}/restore`, { method: 'POST' });
+        clearNoteDraft();
+        searchNotesCache = null;
+        showToast(`Version ${rev.version} restored.`, 'success');
+        openEditNote(noteId);
+    } catch (err) {
+        console.error(err);
+        showToast('Restore failed: ' + err.message, 'error');
+    }
+}
+
+// ---------- EDITORIAL REVIEW ----------
+// The edit page shows where a note is in the workflow, the actions open to
+// the current user and the reviewers' comments. A comment can be pinned to
+// a passage of the body; it is stored as a text quote (anchoring.js) so it
+// still finds its passage after the author edits around it.
+let reviewNote = null;
+let reviewComments = [];
+
+function hideReview() {
+    qs('noteReviewPanel')?.classList.add('hidden');
+    reviewNote = null;
+    reviewComments = [];
+}
+
+function showReview(note) {
+    reviewNote = note;
+    reviewComments = [];
+    qs('noteReviewPanel')?.classList.remove('hidden');
+    renderReviewStatus();
+    loadReviewComments().catch(err => {
+        console.error(err);
+        const list = qs('reviewCommentList');
+        if (list) list.textContent = 'Could not load comments: ' + err.message;
+    });
+}
+
+function renderReviewStatus() {
+    const status = qs('reviewStatus');
+    const actions = qs('reviewActions');
+    if (!status || !actions || !reviewNote) return;
+    status.innerHTML = statusBadge(noteStatus(reviewNote));
+    actions.innerHTML = '';
+    Object.keys(NOTE_ACTIONS)
+        .filter(action => NOTE_ACTIONS[action].status && noteActionAllowed(action, reviewNote))
+        .forEach(action => {
+            const a = NOTE_ACTIONS[action];
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `btn ${a.cls === 'add' ? 'btn-primary' : 'btn-secondary'}`;
+            btn.innerHTML = `<i class="fas ${a.icon}"></i> ${a.label}`;
+            btn.onclick = () => runReviewAction(action);
+            actions.appendChild(btn);
+        });
+}
+
+async function runReviewAction(action) {
+    const a = NOTE_ACTIONS[action];
+    // submitting from the form also saves what is in it
+    if (action === 'submit') return saveNote('in_review');
+
+    let comment = '';
+    if (a.comment) {
+        comment = prompt(a.comment);
+        if (comment === null) return;
+        comment = comment.trim();
+    } else if (!confirm(`${a.label} this note?${noteFormDirty ? ' Unsaved changes in the form are not included.' : ''}`)) {
+        return;
+    }
+    try {
+        await runNoteAction(action, editingNoteId, comment);
+        reviewNote = { ...reviewNote, status: a.status, is_draft: a.status !== 'published' };
+        searchNotesCache = null;
+        showToast(`Note ${a.done}.`, 'success');
+        renderReviewStatus();
+        if (comment) loadReviewComments().catch(console.error);
+    } catch (err) {
+        console.error(err);
+        showToast(`${a.label} failed: ` + err.message, 'error');
+    }
+}
+
+async function loadReviewComments() {
+    if (!editingNoteId) return;
+    const noteId = editingNoteId;
+    const comments = await api(`/api/note/${noteId}/comments`);
+    // the user may have moved on to another note meanwhile
+    if (noteId !== editingNoteId) return;
+    reviewComments = comments;
+    renderReviewComments();
+}
+
+function renderReviewComments() {
+    const list = qs('reviewCommentList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!reviewComments.length) {
+        list.innerHTML = '<p class="note-meta">No review comments yet.</p>';
+        return;
+    }
+    // open comments first, each group oldest first
+    const sorted = [...reviewComments].sort((a, b) =>
+        (a.resolved ? 1 : 0) - (b.resolved ? 1 : 0) || new Date(a.created_at) - new Date(b.created_at));
+    sorted.forEach(c => {
+        const item = document.createElement('div');
+        item.className = `review-comment${c.resolved ? ' resolved' : ''}`;
+        if (c.quote?.exact) {
+            const found = !!textQuoteToRange(elements.noteFormContent, c.quote);
+            const quote = document.createElement('blockquote');
+            quote.className = `review-quote${found ? '' : ' orphaned'}`;
+            quote.textContent = c.quote.exact;
+            quote.title = found ? 'Show this passage' : 'This passage is no longer in the note';
+            quote.onclick = () => showCommentPassage(c);
+            item.appendChild(quote);
+        }
+        const body = document.createElement('p');
+        body.textContent = c.body;
+        item.appendChild(body);
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        meta.textContent = [c.author, c.created_at && new Date(c.created_at).toLocaleString(), c.resolved && 'Resolved']
+            .filter(Boolean).join(' · ');
+        item.appendChild(meta);
+        if (!c.resolved) {
+            const resolve = document.createElement('button');
+            resolve.type = 'button';
+            resolve.className = 'btn btn-secondary';
+            resolve.textContent = 'Resolve';
+            resolve.onclick = () => resolveReviewComment(c);
+            item.appendChild(resolve);
+        }
+        list.appendChild(item);
+    });
+}
+
+function showCommentPassage(comment) {
+    const range = textQuoteToRange(elements.noteFormContent, comment.quote);
+    if (!range) {
+        showToast('That passage is no longer in the note; it was probably rewritten or removed.', 'info');
+        return;
+    }
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+async function commentOnSelection() {
+    if (!requirePermission('notes.edit') || !editingNoteId) return;
+    const surface = elements.noteFormContent;
+    const selection = window.getSelection();
+    let quote = null;
+    if (selection.rangeCount && !selection.isCollapsed) {
+        const range = selection.getRangeAt(0);
+        if (surface.contains(range.commonAncestorContainer)) quote = rangeToTextQuote(surface, range);
+    }
+    const excerpt = quote && (quote.exact.length > 60 ? quote.exact.slice(0, 60) + '…' : quote.exact);
+    const body = prompt(quote
+        ? `Comment on "${excerpt}":`
+        : 'No passage is selected in the note. Add a general comment:');
+    if (!body?.trim()) return;
+    try {
+        const comment = await api(`/api/note/${editingNoteId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body: body.trim(), quote })
+        });
+        reviewComments.push(comment);
+        renderReviewComments();
+    } catch (err) {
+        console.error(err);
+        showToast('Could not add comment: ' + err.message, 'error');
+    }
+}
+
+async function resolveReviewComment(comment) {
+    try {
+        await api(`/api/note/${editingNoteId}/comments/${comment.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ resolved: true })
+        });
+        comment.resolved = true;
+        renderReviewComments();
+    } catch (err) {
+        console.error(err);
+        showToast('Could not resolve comment: ' + err.message, 'error');
+    }
+}
+
+function renderLastUpdated(note) {
+    const el = qs('noteUpdated');
+    if (!el) return;
+    const when = note.updated_at || note.created_at;
+    el.textContent = when
+        ? `Last updated ${formatDate(when)}${note.updated_by ? ` by ${note.updated_by}` : ''}`
+        : '';
+}
+
+// ---------- NOTE VIEW ----------
+// the live note, or the saved copy when the network is unavailable
+async function fetchNoteForReading(noteId) {
+    try {
+        const note = await api(`/api/note/${noteId}`, { cancelKey: 'noteView' });
+        // drafts and notes in review are not for offline readers
+        if (noteStatus(note) === 'published') cacheNote(note).catch(console.error);
+        return { note, offline: false };
+    } catch (err) {
+        const saved = isOfflineError(err) ? await cachedNote(noteId) : null;
+        if (!saved) throw err;
+        return { note: saved, offline: true };
+    }
+}
+
+function renderOfflineCopyNotice(note) {
+    const el = qs('noteOfflineNotice');
+    if (!el) return;
+    el.classList.toggle('hidden', !note);
+    el.textContent = note ? `Offline copy saved ${new Date(note.cachedAt).toLocaleString()}` : '';
+}
+
+async function showNoteView(noteId) {
+    setRoute(`/note/${noteId}`);
+    switchView('noteView');
+    currentNoteId = null;
+    elements.noteTitle.textContent = 'Loading...';
+    elements.noteBody.innerHTML = '';
+    renderNoteTags([]);
+    renderNoteReferences([]);
+    renderLastUpdated({});
+    renderOfflineCopyNotice(null);
+    renderBookmarkButton();
+    renderAnnotationSidebar([], new Set());
+    qs('collectionMenu')?.classList.add('hidden');
+
+    try {
+        const { note, offline } = await fetchNoteForReading(noteId);
+        // the reader moved on while the offline copy was being read
+        if (currentRoute() !== `/note/${noteId}`) return;
+        // opened from a bookmark or reload: recover the category it lives in
+        if (note.category_id && note.category_id !== currentCategoryId) {
+            if (!flatCategories.length) await fetchCategoriesTree();
+            const cat = flatCategories.find(c => c.id === note.category_id);
+            currentCategoryId = note.category_id;
+            currentCategoryPath = cat ? cat.path : '';
+        }
+        elements.noteTitle.textContent = note.title;
+        elements.noteBody.innerHTML = sanitizeHtml(note.content);
+        elements.noteMeta.textContent = currentCategoryPath || '';
+        renderNoteTags(normaliseTags(note.tags));
+        renderLastUpdated(note);
+        renderNoteReferences(normaliseSources(note.sources));
+        renderOfflineCopyNotice(offline ? note : null);
+        startReadingProgress(note);
+        beginNoteVisit(note);
+        renderBookmarkButton();
+        restoreAnnotations();
+        closePersonalCardForm();
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        elements.noteTitle.textContent = 'Error loading note';
+        elements.noteBody.textContent = isOfflineError(err)
+            ? "You're offline and this note hasn't been saved on this device."
+            : err.message;
+    }
+}
+
+// ---------- READING PROGRESS ----------
+// Per-user map of noteId -> { percent, position, mastered, updatedAt } kept in
+// localStorage, so guests and offline readers still get it. When logged in the
+// entries are pushed to /api/progress and merged back on login.
+const PROGRESS_PREFIX = 'progress:';
+const PROGRESS_READ_PERCENT = 90;
+const PROGRESS_SYNC_DELAY_MS = 2000;
+
+let currentNoteId = null;
+let progressCache = null;
+let progressEndpointAvailable = true;
+let progressSyncTimer = null;
+let progressScrollQueued = false;
+const progressPending = new Set();
+
+function progressStorageKey(user = currentUser) {
+    return userStorageKey(PROGRESS_PREFIX, user);
+}
+
+function loadProgress() {
+    if (!progressCache) {
+        try {
+            progressCache = JSON.parse(localStorage.getItem(progressStorageKey())) || {};
+        } catch {
+            progressCache = {};
+        }
+    }
+    return progressCache;
+}
+
+function persistProgress() {
+    localStorage.setItem(progressStorageKey(), JSON.stringify(loadProgress()));
+}
+
+function noteProgress(noteId) {
+    return loadProgress()[noteId] || null;
+}
+
+function isNoteRead(entry) {
+    return !!entry && (entry.mastered || entry.percent >= PROGRESS_READ_PERCENT);
+}
+
+function updateNoteProgress(noteId, changes) {
+    const store = loadProgress();
+    store[noteId] = {
+        percent: 0, position: 0, mastered: false,
+        ...store[noteId],
+        ...changes,
+        updatedAt: Date.now(),
+    };
+    persistProgress();
+    queueProgressSync(noteId);
+    return store[noteId];
+}
+
+// keeps the furthest read and the latest position/mastered flag of the two
+function mergeProgressEntry(local, remote) {
+    if (!local) return remote;
+    const newer = (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
+    return {
+        ...newer,
+        percent: Math.max(local.percent || 0, remote.percent || 0),
+    };
+}
+
+// progress made before logging in carries over to the account
+function adoptGuestProgress() {
+    const guestKey = progressStorageKey(null);
+    let guest;
+    try {
+        guest = JSON.parse(localStorage.getItem(guestKey));
+    } catch {
+        guest = null;
+    }
+    progressCache = null;
+    if (!guest) return;
+
+    const store = loadProgress();
+    Object.entries(guest).forEach(([id, entry]) => {
+        store[id] = mergeProgressEntry(store[id], entry);
+        progressPending.add(id);
+    });
+    persistProgress();
+    localStorage.removeItem(guestKey);
+}
+
+function queueProgressSync(noteId) {
+    if (!currentUser || !progressEndpointAvailable) return;
+    progressPending.add(String(noteId));
+    clearTimeout(progressSyncTimer);
+    progressSyncTimer = setTimeout(() => flushProgressSync().catch(console.error), PROGRESS_SYNC_DELAY_MS);
+}
+
+async function flushProgressSync() {
+    if (!currentUser || !progressEndpointAvailable) return;
+    const ids = [...progressPending];
+    progressPending.clear();
+    for (const id of ids) {
+        const entry = noteProgress(id);
+        if (!entry) continue;
+        try {
+            await api(`/api/progress/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    percent: entry.percent,
+                    position: entry.position,
+                    mastered: entry.mastered,
+                })
+            });
+        } catch (err) {
+            console.error(err);
+            if (err.status === 401) return;
+            // try again with the next change
+            progressPending.add(id);
+        }
+    }
+}
+
+async function syncProgressFromServer() {
+    if (!currentUser || !progressEndpointAvailable) return;
+    let remote;
+    try {
+        remote = await api('/api/progress');
+    } catch (err) {
+        // backend without progress tracking: stay local-only
+        console.error(err);
+        if (err.status !== 401) progressEndpointAvailable = false;
+        return;
+    }
+
+    const store = loadProgress();
+    const seen = new Set();
+    remote.forEach(r => {
+        const id = String(r.note_id);
+        seen.add(id);
+        store[id] = mergeProgressEntry(store[id], {
+            percent: Number(r.percent) || 0,
+            position: Number(r.position) || 0,
+            mastered: !!r.mastered,
+            updatedAt: r.updated_at ? new Date(r.updated_at).getTime() : 0,
+        });
+    });
+    persistProgress();
+    Object.keys(store).forEach(id => {
+        if (!seen.has(id)) progressPending.add(id);
+    });
+    if (progressPending.size) await flushProgressSync();
+    if (currentNoteId !== null) renderReadingProgress();
+}
+
+function renderReadingProgress() {
+    const entry = noteProgress(currentNoteId);
+    const percent = entry?.mastered ? 100 : (entry?.percent || 0);
+    const fill = qs('progressFill');
+    const text = qs('progressText');
+    if (fill) fill.style.width = `${percent}%`;
+    if (text) text.textContent = entry?.mastered ? `${percent}% · mastered` : `${percent}%`;
+
+    const mastered = qs('masteredBtn');
+    if (mastered) {
+        mastered.classList.toggle('mastered', !!entry?.mastered);
+        mastered.innerHTML = entry?.mastered
+            ? '<i class="fas fa-check"></i> Mastered'
+            : '<i class="fas fa-check"></i> Mark as mastered';
+    }
+}
+
+function startReadingProgress(note) {
+    currentNoteId = note.id;
+    const entry = noteProgress(note.id);
+    // worth offering only when the reader stopped somewhere in the middle
+    const canResume = !!entry && entry.position > 0.05 && entry.percent < PROGRESS_READ_PERCENT;
+    qs('resumeReadingBtn')?.classList.toggle('hidden', !canResume);
+    renderReadingProgress();
+    requestAnimationFrame(measureReadingProgress);
+}
+
+function measureReadingProgress() {
+    if (currentNoteId === null || elements.pages.noteView.classList.contains('hidden')) return;
+    const rect = elements.noteBody.getBoundingClientRect();
+    if (!rect.height) return;
+
+    const seen = Math.min(rect.height, Math.max(0, window.innerHeight - rect.top));
+    const percent = Math.round(seen / rect.height * 100);
+    if (noteVisit?.noteId === currentNoteId) noteVisit.depth = Math.max(noteVisit.depth, percent);
+    const position = Math.min(1, Math.max(0, -rect.top / rect.height));
+    const entry = noteProgress(currentNoteId);
+    const best = Math.max(percent, entry?.percent || 0);
+
+    // skip storage writes for small scroll movements
+    if (entry && best === entry.percent && Math.abs(position - entry.position) < 0.02) return;
+    updateNoteProgress(currentNoteId, {
+        percent: best,
+        position,
+        categoryId: currentCategoryId,
+        title: elements.noteTitle.textContent,
+    });
+    renderReadingProgress();
+}
+
+function onNoteScroll() {
+    if (progressScrollQueued) return;
+    progressScrollQueued = true;
+    requestAnimationFrame(() => {
+        progressScrollQueued = false;
+        measureReadingProgress();
+    });
+}
+
+function resumeReading() {
+    const entry = noteProgress(currentNoteId);
+    if (!entry) return;
+    const rect = elements.noteBody.getBoundingClientRect();
+    window.scrollTo({ top: window.scrollY + rect.top + rect.height * entry.position, behavior: 'smooth' });
+    qs('resumeReadingBtn')?.classList.add('hidden');
+}
+
+function toggleMastered() {
+    if (currentNoteId === null) return;
+    const entry = noteProgress(currentNoteId);
+    updateNoteProgress(currentNoteId, {
+        mastered: !entry?.mastered,
+        categoryId: currentCategoryId,
+        title: elements.noteTitle.textContent,
+    });
+    renderReadingProgress();
+}
+
+function progressBadge(noteId) {
+    const entry = noteProgress(noteId);
+    if (!entry) return '';
+    if (entry.mastered) return '<span class="progress-badge done">✓ Mastered</span>';
+    if (isNoteRead(entry)) return '<span class="progress-badge done">✓ Read</span>';
+    return `<span class="progress-badge">${Number(entry.percent) || 0}% read</span>`;
+}
+
+// ---------- PROGRESS PAGE ----------
+function progressBar(percent) {
+    return `<div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>`;
+}
+
+// notes of a category and all of its descendants
+function progressForCategory(node, notesByCategory) {
+    const notes = [...(notesByCategory.get(node.id) || [])];
+    const children = (node.children || []).map(child => {
+        const stats = progressForCategory(child, notesByCategory);
+        notes.push(...stats.notes);
+        return stats;
+    });
+    const read = notes.filter(n => isNoteRead(noteProgress(n.id))).length;
+    const mastered = notes.filter(n => noteProgress(n.id)?.mastered).length;
+    return { node, notes, children, read, mastered };
+}
+
+function renderProgressNode(stats) {
+    const total = stats.notes.length;
+    const percent = total ? Math.round(stats.read / total * 100) : 0;
+    const details = document.createElement('details');
+    details.className = 'progress-node';
+    details.innerHTML = `
+        <summary>
+            <span class="progress-node-name">${escapeHtml(stats.node.name)}</span>
+            ${progressBar(percent)}
+            <span class="progress-node-count">${stats.read}/${total} read · ${stats.mastered} mastered</span>
+        </summary>
+    `;
+    stats.children
+        .filter(child => child.notes.length)
+        .forEach(child => details.appendChild(renderProgressNode(child)));
+    return details;
+}
+
+function renderContinueReading(notes) {
+    const box = qs('continueReading');
+    if (!box) return;
+    const inProgress = notes
+        .map(n => ({ note: n, entry: noteProgress(n.id) }))
+        .filter(({ entry }) => entry && entry.percent > 0 && !isNoteRead(entry))
+        .sort((a, b) => b.entry.updatedAt - a.entry.updatedAt)
+        .slice(0, 5);
+
+    box.innerHTML = inProgress.length ? '<h3>Continue reading</h3>' : '';
+    inProgress.forEach(({ note, entry }) => {
+        const card = document.createElement('div');
+        card.className = 'note-item';
+        card.onclick = () => showNoteView(note.id);
+        card.innerHTML = `
+            <div class="note-info">
+                <h4>${escapeHtml(note.title)}</h4>
+                <div class="note-meta">${escapeHtml(categoryPathFor(note.category_id))}</div>
+            </div>
+            <div class="note-views">${Number(entry.percent) || 0}% read</div>
+        `;
+        box.appendChild(card);
+    });
+}
+
+async function renderProgressPage() {
+    const tree = qs('progressTree');
+    const summary = qs('progressSummary');
+    if (!tree) return;
+    tree.innerHTML = '<p>Loading...</p>';
+
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+    } catch (err) {
+        console.error(err);
+        tree.innerHTML = `<div class="empty-state"><p>Could not load progress: ${escapeHtml(err.message)}</p></div>`;
+        return;
+    }
+
+    const notesByCategory = new Map();
+    searchNotesCache.forEach(n => {
+        if (!notesByCategory.has(n.category_id)) notesByCategory.set(n.category_id, []);
+        notesByCategory.get(n.category_id).push(n);
+    });
+
+    const stats = categoriesTree.map(node => progressForCategory(node, notesByCategory));
+    const total = stats.reduce((sum, s) => sum + s.notes.length, 0);
+    const read = stats.reduce((sum, s) => sum + s.read, 0);
+    const mastered = stats.reduce((sum, s) => sum + s.mastered, 0);
+    if (summary) {
+        summary.textContent = total
+            ? `${read} of ${total} notes read (${Math.round(read / total * 100)}%) · ${mastered} mastered`
+            : 'No notes published yet.';
+    }
+    if (!currentUser && summary) summary.textContent += ' · log in to keep progress across devices';
+
+    renderContinueReading(searchNotesCache);
+    tree.innerHTML = '';
+    stats.filter(s => s.notes.length).forEach(s => {
+        const node = renderProgressNode(s);
+        node.classList.add('progress-root');
+        tree.appendChild(node);
+    });
+}
+
+// ---------- NOTE QUESTIONS ----------
+// Admins attach quiz questions to a note from the note form. Two shapes:
+//   { type: 'sba', stem, options: [...], answer: <option index>, explanation }
+//   { type: 'tf', stem, answer: true|false, explanation }
+const QUESTION_TYPES = { sba: 'Single best answer', tf: 'True / False' };
+const SBA_OPTION_COUNT = 5;
+
+let questionRowSeq = 0;
+
+function normaliseQuestions(questions) {
+    if (!questions) return [];
+    if (typeof questions === 'string') {
+        try {
+            return normaliseQuestions(JSON.parse(questions));
+        } catch {
+            return [];
+        }
+    }
+    if (!Array.isArray(questions)) return [];
+    return questions
+        .filter(q => q && QUESTION_TYPES[q.type])
+        .map(q => q.type === 'tf'
+            ? { type: 'tf', stem: q.stem || '', answer: q.answer === true || q.answer === 'true', explanation: q.explanation || '' }
+            : {
+                type: 'sba',
+                stem: q.stem || '',
+                options: Array.isArray(q.options) ? q.options.map(String) : [],
+                answer: Number.isInteger(Number(q.answer)) ? Number(q.answer) : -1,
+                explanation: q.explanation || '',
+            });
+}
+
+// null when the question can be saved, otherwise what is missing
+function questionProblem(q) {
+    if (!q.stem) return 'the question text is missing.';
+    if (q.type === 'sba') {
+        if (q.options.length < 2) return 'add at least two options.';
+        if (!q.options[q.answer]) return 'mark the correct option.';
+    }
+    return null;
+}
+
+function addQuestionRow(q = { type: 'sba' }) {
+    const list = elements.noteFormQuestions;
+    if (!list) return;
+    const id = ++questionRowSeq;
+    const row = document.createElement('div');
+    row.className = 'question-row';
+    row.dataset.type = q.type;
+
+    const answers = q.type === 'tf'
+        ? `
+            <select class="form-select" data-field="answer" title="Correct answer">
+                <option value="true">True</option>
+                <option value="false">False</option>
+            </select>`
+        : Array.from({ length: SBA_OPTION_COUNT }, (_, i) => `
+            <label class="question-option">
+                <input type="radio" name="question-${id}" value="${i}" title="Correct answer">
+                <input type="text" class="form-input" data-option="${i}" placeholder="Option ${String.fromCharCode(65 + i)}">
+            </label>`).join('');
+
+    row.innerHTML = `
+        <div class="question-row-header">
+            <strong>${QUESTION_TYPES[q.type]}</strong>
+            <button type="button" class="admin-btn delete" title="Remove question"><i class="fas fa-trash-alt"></i></button>
+        </div>
+        <textarea class="form-input" data-field="stem" rows="2" placeholder="Question"></textarea>
+        ${answers}
+        <textarea class="form-input" data-field="explanation" rows="2" placeholder="Explanation shown after answering"></textarea>
+    `;
+    row.querySelector('[data-field="stem"]').value = q.stem || '';
+    row.querySelector('[data-field="explanation"]').value = q.explanation || '';
+    if (q.type === 'tf') {
+        row.querySelector('[data-field="answer"]').value = q.answer === false ? 'false' : 'true';
+    } else {
+        (q.options || []).forEach((opt, i) => {
+            const input = row.querySelector(`[data-option="${i}"]`);
+            if (input) input.value = opt;
+        });
+        const radio = row.querySelector(`input[type="radio"][value="${q.answer}"]`);
+        if (radio) radio.checked = true;
+    }
+    row.querySelector('.admin-btn').onclick = () => row.remove();
+    list.appendChild(row);
+}
+
+function readQuestionRows() {
+    const list = elements.noteFormQuestions;
+    if (!list) return [];
+    return [...list.querySelectorAll('.question-row')]
+        .map(row => {
+            const stem = row.querySelector('[data-field="stem"]').value.trim();
+            const explanation = row.querySelector('[data-field="explanation"]').value.trim();
+            if (row.dataset.type === 'tf') {
+                return { type: 'tf', stem, answer: row.querySelector('[data-field="answer"]').value === 'true', explanation };
+            }
+            // blank option slots are dropped, so the answer index is remapped
+            const options = [];
+            let answer = -1;
+            row.querySelectorAll('[data-option]').forEach(input => {
+                const text = input.value.trim();
+                if (!text) return;
+                if (row.querySelector(`input[type="radio"][value="${input.dataset.option}"]`).checked) {
+                    answer = options.length;
+                }
+                options.push(text);
+            });
+            return { type: 'sba', stem, options, answer, explanation };
+        })
+        .filter(q => q.stem || q.explanation || q.options?.length);
+}
+
+// ---------- QUIZ BUILDER ----------
+// Questions come from the published notes list; picking a category includes
+// everything below it. Untimed quizzes explain each answer straight away,
+// timed ones keep explanations for the review at the end.
+const QUIZ_HISTORY_PREFIX = 'quizHistory:';
+const QUIZ_HISTORY_LIMIT = 50;
+
+let quizState = null;
+
+function quizQuestionPool() {
+    return (searchNotesCache || []).flatMap(n => normaliseQuestions(n.questions)
+        .filter(q => !questionProblem(q))
+        .map(q => ({ ...q, noteId: n.id, noteTitle: n.title, categoryId: n.category_id })));
+}
+
+function descendantCategoryIds(node) {
+    return [node.id, ...(node.children || []).flatMap(descendantCategoryIds)];
+}
+
+function shuffle(items) {
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+function formatDuration(seconds) {
+    const s = Math.max(0, Math.round(seconds));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function readQuizHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(userStorageKey(QUIZ_HISTORY_PREFIX))) || [];
+    } catch {
+        return [];
+    }
+}
+
+function saveQuizHistory(entry) {
+    const history = [entry, ...readQuizHistory()].slice(0, QUIZ_HISTORY_LIMIT);
+    localStorage.setItem(userStorageKey(QUIZ_HISTORY_PREFIX), JSON.stringify(history));
+}
+
+function selectedQuizCategories() {
+    return [...document.querySelectorAll('#quizCategories input:checked')].map(cb => Number(cb.value));
+}
+
+function updateQuizAvailable() {
+    const info = qs('quizAvailable');
+    if (!info) return;
+    const ids = new Set(selectedQuizCategories());
+    const available = quizQuestionPool().filter(q => ids.has(q.categoryId)).length;
+    info.textContent = ids.size
+        ? `${available} question${available === 1 ? '' : 's'} available in the selected categories`
+        : 'Select at least one category';
+}
+
+function renderQuizCategoryNode(node, pool) {
+    const ids = descendantCategoryIds(node);
+    const count = pool.filter(q => ids.includes(q.categoryId)).length;
+    if (!count) return null;
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+        <label><input type="checkbox" value="${node.id}"> ${escapeHtml(node.name)} <span class="note-meta">(${count})</span></label>
+    `;
+    // ticking a category ticks everything beneath it
+    item.querySelector('input').onchange = (e) => {
+        item.querySelectorAll('input').forEach(cb => { cb.checked = e.target.checked; });
+        updateQuizAvailable();
+    };
+    const children = (node.children || []).map(child => renderQuizCategoryNode(child, pool)).filter(Boolean);
+    if (children.length) {
+        const list = document.createElement('ul');
+        children.forEach(child => list.appendChild(child));
+        item.appendChild(list);
+    }
+    return item;
+}
+
+function renderQuizHistory() {
+    const box = qs('quizHistory');
+    if (!box) return;
+    const history = readQuizHistory();
+    if (!history.length) {
+        box.innerHTML = '';
+        return;
+    }
+    box.innerHTML = `
+        <h3>Score History</h3>
+        <table class="admin-table">
+            <thead><tr><th>Date</th><th>Categories</th><th>Mode</th><th>Time</th><th>Score</th></tr></thead>
+            <tbody>
+                ${history.map(h => `
+                    <tr>
+                        <td>${escapeHtml(formatDate(h.date))}</td>
+                        <td>${escapeHtml(h.categories.join(', '))}</td>
+                        <td>${h.timed ? 'Timed' : 'Untimed'}</td>
+                        <td>${formatDuration(h.seconds)}</td>
+                        <td>${h.correct}/${h.total} (${Math.round(h.correct / h.total * 100)}%)</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function renderQuizBuilder() {
+    abandonQuiz();
+    qs('quizBuilder')?.classList.remove('hidden');
+    qs('quizRunner')?.classList.add('hidden');
+    qs('quizResults')?.classList.add('hidden');
+
+    const box = qs('quizCategories');
+    if (!box) return;
+    box.innerHTML = '<p>Loading...</p>';
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+    } catch (err) {
+        console.error(err);
+        box.innerHTML = `<p>Could not load questions: ${escapeHtml(err.message)}</p>`;
+        return;
+    }
+
+    const pool = quizQuestionPool();
+    const list = document.createElement('ul');
+    categoriesTree.map(node => renderQuizCategoryNode(node, pool)).filter(Boolean).forEach(item => list.appendChild(item));
+    box.innerHTML = list.children.length ? '' : '<p>No quiz questions have been written yet.</p>';
+    if (list.children.length) box.appendChild(list);
+    updateQuizAvailable();
+    renderQuizHistory();
+}
+
+function startQuiz() {
+    const ids = new Set(selectedQuizCategories());
+    if (!ids.size) {
+        showToast('Select at least one category.', 'error');
+        return;
+    }
+    const pool = quizQuestionPool().filter(q => ids.has(q.categoryId));
+    const count = Math.min(pool.length, Math.max(1, parseInt(qs('quizCount').value, 10) || 1));
+    if (!pool.length) {
+        showToast('There are no questions in the selected categories yet.', 'error');
+        return;
+    }
+
+    const timed = qs('quizMode').value === 'timed';
+    const perQuestion = Math.max(10, parseInt(qs('quizSeconds').value, 10) || 60);
+    quizState = {
+        questions: shuffle(pool).slice(0, count),
+        answers: [],
+        index: 0,
+        timed,
+        startedAt: Date.now(),
+        deadline: timed ? Date.now() + count * perQuestion * 1000 : null,
+        timer: null,
+        // only top-most picks are listed; their subcategories are implied
+        categories: flatCategories
+            .filter(c => ids.has(c.id) && !ids.has(c.parent_id))
+            .map(c => c.name),
+    };
+
+    qs('quizBuilder').classList.add('hidden');
+    qs('quizResults').classList.add('hidden');
+    qs('quizRunner').classList.remove('hidden');
+    if (timed) quizState.timer = setInterval(tickQuizTimer, 1000);
+    tickQuizTimer();
+    renderQuizQuestion();
+}
+
+function abandonQuiz() {
+    if (quizState?.timer) clearInterval(quizState.timer);
+    quizState = null;
+}
+
+function tickQuizTimer() {
+    const label = qs('quizTimer');
+    if (!quizState) return;
+    if (elements.pages.quiz.classList.contains('hidden')) {
+        // navigated away mid-quiz
+        abandonQuiz();
+        return;
+    }
+    if (!quizState.timed) {
+        if (label) label.textContent = '';
+        return;
+    }
+    const left = (quizState.deadline - Date.now()) / 1000;
+    if (label) label.textContent = `⏱ ${formatDuration(left)}`;
+    if (left <= 0) finishQuiz();
+}
+
+function quizChoices(q) {
+    return q.type === 'tf'
+        ? [{ value: true, label: 'True' }, { value: false, label: 'False' }]
+        : q.options.map((label, value) => ({ value, label }));
+}
+
+function quizSourceLink(q) {
+    return `<a href="#/note/${q.noteId}" onclick="event.preventDefault(); showNoteView(${q.noteId})">Read: ${escapeHtml(q.noteTitle)}</a>`;
+}
+
+function renderQuizQuestion() {
+    const { questions, index } = quizState;
+    const q = questions[index];
+    qs('quizPosition').textContent = `Question ${index + 1} of ${questions.length}`;
+    qs('quizProgressFill').style.width = `${index / questions.length * 100}%`;
+    qs('quizStem').textContent = q.stem;
+    qs('quizFeedback').classList.add('hidden');
+    qs('quizNextBtn').classList.add('hidden');
+
+    const box = qs('quizChoices');
+    box.innerHTML = '';
+    quizChoices(q).forEach(choice => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'quiz-choice';
+        btn.textContent = choice.label;
+        btn.onclick = () => answerQuizQuestion(choice.value);
+        box.appendChild(btn);
+    });
+}
+
+function answerQuizQuestion(value) {
+    const q = quizState.questions[quizState.index];
+    if (quizState.answers[quizState.index] !== undefined) return;
+    quizState.answers[quizState.index] = value;
+
+    if (quizState.timed) {
+        nextQuizQuestion();
+        return;
+    }
+
+    const correct = value === q.answer;
+    const choices = quizChoices(q);
+    qs('quizChoices').querySelectorAll('.quiz-choice').forEach((btn, i) => {
+        btn.disabled = true;
+        if (choices[i].value === q.answer) btn.classList.add('correct');
+        else if (choices[i].value === value) btn.classList.add('wrong');
+    });
+    const feedback = qs('quizFeedback');
+    feedback.innerHTML = `
+        <strong>${correct ? 'Correct' : 'Incorrect'}</strong>
+        ${q.explanation ? `<p>${escapeHtml(q.explanation)}</p>` : ''}
+        <p>${quizSourceLink(q)}</p>
+    `;
+    feedback.classList.remove('hidden');
+    const next = qs('quizNextBtn');
+    next.textContent = quizState.index + 1 < quizState.questions.length ? 'Next' : 'See Results';
+    next.classList.remove('hidden');
+}
+
+function nextQuizQuestion() {
+    quizState.index++;
+    if (quizState.index >= quizState.questions.length) {
+        finishQuiz();
+    } else {
+        renderQuizQuestion();
+    }
+}
+
+function finishQuiz() {
+    if (!quizState) return;
+    const state = quizState;
+    abandonQuiz();
+
+    const total = state.questions.length;
+    const correct = state.questions.filter((q, i) => state.answers[i] === q.answer).length;
+    const seconds = (Date.now() - state.startedAt) / 1000;
+    saveQuizHistory({
+        date: new Date().toISOString(),
+        categories: state.categories,
+        timed: state.timed,
+        seconds,
+        total,
+        correct,
+    });
+
+    const answerLabel = (q, value) => value === undefined
+        ? 'Not answered'
+        : quizChoices(q).find(c => c.value === value)?.label ?? '';
+
+    qs('quizRunner').classList.add('hidden');
+    const results = qs('quizResults');
+    results.innerHTML = `
+        <h2>${correct} / ${total} (${Math.round(correct / total * 100)}%)</h2>
+        <p class="note-meta">Finished in ${formatDuration(seconds)}${state.timed && Date.now() >= state.deadline ? ' · time ran out' : ''}</p>
+        <ol class="quiz-review">
+            ${state.questions.map((q, i) => {
+                const right = state.answers[i] === q.answer;
+                return `
+                    <li class="${right ? 'correct' : 'wrong'}">
+                        <p><strong>${escapeHtml(q.stem)}</strong></p>
+                        <p>Your answer: ${escapeHtml(answerLabel(q, state.answers[i]))}${right ? ' ✓' : ` · Correct: ${escapeHtml(answerLabel(q, q.answer))}`}</p>
+                        ${q.explanation ? `<p>${escapeHtml(q.explanation)}</p>` : ''}
+                        <p>${quizSourceLink(q)}</p>
+                    </li>
+                `;
+            }).join('')}
+        </ol>
+        <button class="btn btn-primary" onclick="renderQuizBuilder()">New Quiz</button>
+    `;
+    results.classList.remove('hidden');
+}
+
+// ---------- FLASHCARDS ----------
+// Cards come from three places: question/answer pairs saved on a note,
+// cloze deletions made from the <mark> "key fact" runs in a note's content,
+// and personal cards a reader writes while reading. Scheduling lives in
+// srs.js; the per-user schedules and personal cards are kept in localStorage.
+const FLASHCARD_PREFIX = 'flashcards:';
+const SRS_PREFIX = 'srs:';
+const CLOZE_BLANK = '[...]';
+
+let flashcardSession = null;
+
+function normaliseFlashcards(cards) {
+    if (!cards) return [];
+    if (typeof cards === 'string') {
+        try {
+            return normaliseFlashcards(JSON.parse(cards));
+        } catch {
+            return [];
+        }
+    }
+    if (!Array.isArray(cards)) return [];
+    return cards
+        .map(c => ({ front: String(c?.front || '').trim(), back: String(c?.back || '').trim() }))
+        .filter(c => c.front && c.back);
+}
+
+function addFlashcardRow(card = {}) {
+    const list = elements.noteFormFlashcards;
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'flashcard-row';
+    row.innerHTML = `
+        <textarea class="form-input" data-field="front" rows="2" placeholder="Question"></textarea>
+        <textarea class="form-input" data-field="back" rows="2" placeholder="Answer"></textarea>
+        <button type="button" class="admin-btn delete" title="Remove flashcard"><i class="fas fa-trash-alt"></i></button>
+    `;
+    row.querySelector('[data-field="front"]').value = card.front || '';
+    row.querySelector('[data-field="back"]').value = card.back || '';
+    row.querySelector('button').onclick = () => row.remove();
+    list.appendChild(row);
+}
+
+function readFlashcardRows() {
+    const list = elements.noteFormFlashcards;
+    if (!list) return [];
+    return normaliseFlashcards([...list.querySelectorAll('.flashcard-row')].map(row => ({
+        front: row.querySelector('[data-field="front"]').value,
+        back: row.querySelector('[data-field="back"]').value,
+    })));
+}
+
+// one card per <mark>: its sentence block with that run blanked out
+function clozeCards(note) {
+    const doc = new DOMParser().parseFromString(sanitizeHtml(note.content), 'text/html');
+    const cards = [];
+    new Set([...doc.querySelectorAll('mark')].map(m => m.closest('p, li, td, th, h2, h3, h4, blockquote') || m.parentElement))
+        .forEach(block => {
+            block.querySelectorAll('mark').forEach((mark, i) => {
+                const answer = mark.textContent.trim();
+                if (!answer) return;
+                const copy = block.cloneNode(true);
+                copy.querySelectorAll('mark')[i].replaceWith(CLOZE_BLANK);
+                const front = copy.textContent.replace(/\s+/g, ' ').trim();
+                cards.push({ front, back: answer });
+            });
+        });
+    return cards;
+}
+
+function noteFlashcards(note) {
+    const base = { noteId: note.id, noteTitle: note.title, categoryId: note.category_id };
+    return [
+        ...normaliseFlashcards(note.flashcards).map(c => ({ ...base, ...c, id: `n${note.id}-qa-${hashString(c.front)}`, kind: 'qa' })),
+        ...clozeCards(note).map(c => ({ ...base, ...c, id: `n${note.id}-cloze-${hashString(c.front + c.back)}`, kind: 'cloze' })),
+    ];
+}
+
+function readPersonalCards() {
+    try {
+        return JSON.parse(localStorage.getItem(userStorageKey(FLASHCARD_PREFIX))) || [];
+    } catch {
+        return [];
+    }
+}
+
+function savePersonalCards(cards) {
+    localStorage.setItem(userStorageKey(FLASHCARD_PREFIX), JSON.stringify(cards));
+}
+
+function readSchedules() {
+    try {
+        return JSON.parse(localStorage.getItem(userStorageKey(SRS_PREFIX))) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveSchedules(schedules) {
+    localStorage.setItem(userStorageKey(SRS_PREFIX), JSON.stringify(schedules));
+}
+
+async function loadAllFlashcards() {
+    if (!flatCategories.length) await fetchCategoriesTree();
+    if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+    return [
+        ...searchNotesCache.flatMap(noteFlashcards),
+        ...readPersonalCards().map(c => ({ ...c, kind: 'personal' })),
+    ];
+}
+
+// cards in the chosen category or anywhere below it
+function filterFlashcards(cards, catId) {
+    if (!catId) return cards;
+    const path = categoryPathFor(catId);
+    return cards.filter(c => {
+        const p = categoryPathFor(c.categoryId);
+        return p === path || p.startsWith(`${path}::`);
+    });
+}
+
+// ----- personal cards while reading -----
+function openPersonalCardForm() {
+    const form = qs('personalCardForm');
+    if (!form || currentNoteId === null) return;
+    const sel = window.getSelection();
+    const selected = sel.rangeCount && elements.noteBody.contains(sel.getRangeAt(0).commonAncestorContainer)
+        ? sel.toString().trim()
+        : '';
+    qs('personalCardFront').value = '';
+    qs('personalCardBack').value = selected;
+    form.classList.remove('hidden');
+    qs('personalCardFront').focus();
+}
+
+function closePersonalCardForm() {
+    qs('personalCardForm')?.classList.add('hidden');
+}
+
+function savePersonalCard() {
+    const front = qs('personalCardFront').value.trim();
+    const back = qs('personalCardBack').value.trim();
+    if (!front || !back) {
+        showToast('A flashcard needs both a question and an answer.', 'error');
+        return;
+    }
+    savePersonalCards([...readPersonalCards(), {
+        id: `own-${Date.now()}`,
+        noteId: currentNoteId,
+        noteTitle: elements.noteTitle.textContent,
+        categoryId: currentCategoryId,
+        front,
+        back,
+        created: new Date().toISOString(),
+    }]);
+    closePersonalCardForm();
+    showToast('Flashcard added to your deck.', 'success');
+}
+
+function deletePersonalCard(id) {
+    if (!confirm('Delete this flashcard?')) return;
+    savePersonalCards(readPersonalCards().filter(c => c.id !== id));
+    const schedules = readSchedules();
+    delete schedules[id];
+    saveSchedules(schedules);
+    renderFlashcardSetup().catch(console.error);
+}
+
+// ----- review -----
+function selectedFlashcardCategory() {
+    return Number(qs('flashcardCategory')?.value) || null;
+}
+
+async function renderFlashcardSetup() {
+    flashcardSession = null;
+    qs('flashcardSetup')?.classList.remove('hidden');
+    qs('flashcardReview')?.classList.add('hidden');
+
+    const select = qs('flashcardCategory');
+    const counts = qs('flashcardCounts');
+    if (!select || !counts) return;
+    let cards;
+    try {
+        cards = await loadAllFlashcards();
+    } catch (err) {
+        console.error(err);
+        counts.textContent = 'Could not load flashcards: ' + err.message;
+        return;
+    }
+
+    if (select.options.length <= 1) {
+        flatCategories.forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c.id;
+            opt.textContent = c.path;
+            select.appendChild(opt);
+        });
+    }
+    const filtered = filterFlashcards(cards, selectedFlashcardCategory());
+    const { due, fresh } = buildReviewQueue(filtered, readSchedules());
+    counts.textContent = `${due.length} due · ${fresh.length} new today · ${filtered.length} cards in total`;
+
+    const own = qs('personalCards');
+    if (own) {
+        const mine = readPersonalCards();
+        own.innerHTML = mine.length ? `
+            <h3>My Flashcards</h3>
+            ${mine.map(c => `
+                <div class="note-item">
+                    <div class="note-info">
+                        <h4>${escapeHtml(c.front)}</h4>
+                        <div class="note-meta">${escapeHtml(c.back)}</div>
+                        <div class="note-meta">${escapeHtml(c.noteTitle || '')}</div>
+                    </div>
+                    <button class="admin-btn delete" title="Delete" onclick="deletePersonalCard('${escapeHtml(c.id)}')"><i class="fas fa-trash-alt"></i></button>
+                </div>
+            `).join('')}
+        ` : '';
+    }
+}
+
+async function startFlashcardReview() {
+    let cards;
+    try {
+        cards = filterFlashcards(await loadAllFlashcards(), selectedFlashcardCategory());
+    } catch (err) {
+        console.error(err);
+        showToast('Could not load flashcards: ' + err.message, 'error');
+        return;
+    }
+    const { queue } = buildReviewQueue(cards, readSchedules());
+    if (!queue.length) {
+        showToast('Nothing to review right now. Come back tomorrow!', 'info');
+        return;
+    }
+    flashcardSession = { queue, index: 0, reviewed: 0 };
+    qs('flashcardSetup').classList.add('hidden');
+    qs('flashcardReview').classList.remove('hidden');
+    renderFlashcard();
+}
+
+function describeInterval(days) {
+    return days === 1 ? '1 day' : days < 30 ? `${days} days` : `${Math.round(days / 30)} mo`;
+}
+
+function renderFlashcard() {
+    const { queue, index } = flashcardSession;
+    const card = queue[index];
+    qs('flashcardPosition').textContent = `${queue.length - index} left`;
+    qs('flashcardFront').textContent = card.front;
+    qs('flashcardBack').textContent = card.back;
+    qs('flashcardBack').classList.add('hidden');
+    qs('flashcardSource').innerHTML = card.noteId
+        ? `<a href="#/note/${card.noteId}" onclick="event.preventDefault(); showNoteView(${card.noteId})">${escapeHtml(card.noteTitle || 'Source note')}</a>`
+        : '';
+    qs('flashcardShowBtn').classList.remove('hidden');
+
+    const intervals = previewIntervals(readSchedules()[card.id]);
+    const grades = qs('flashcardGrades');
+    grades.innerHTML = '';
+    Object.keys(SRS_GRADES).forEach(grade => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn ${grade === 'again' ? 'btn-danger' : 'btn-secondary'}`;
+        btn.innerHTML = `${grade[0].toUpperCase()}${grade.slice(1)}<small>${describeInterval(intervals[grade])}</small>`;
+        btn.onclick = () => gradeFlashcard(grade);
+        grades.appendChild(btn);
+    });
+    grades.classList.add('hidden');
+}
+
+function showFlashcardAnswer() {
+    qs('flashcardBack').classList.remove('hidden');
+    qs('flashcardShowBtn').classList.add('hidden');
+    qs('flashcardGrades').classList.remove('hidden');
+}
+
+function gradeFlashcard(grade) {
+    const session = flashcardSession;
+    const card = session.queue[session.index];
+    const schedules = readSchedules();
+    schedules[card.id] = scheduleReview(schedules[card.id], SRS_GRADES[grade]);
+    saveSchedules(schedules);
+    session.reviewed++;
+    // forgotten cards come round again before the session ends
+    if (SRS_GRADES[grade] < 3) session.queue.push(card);
+
+    session.index++;
+    if (session.index < session.queue.length) {
+        renderFlashcard();
+    } else {
+        showToast(`Session complete: ${session.reviewed} review${session.reviewed === 1 ? '' : 's'}.`, 'success');
+        renderFlashcardSetup().catch(console.error);
+    }
+}
+
+// ----- Anki export -----
+function csvField(value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Anki reads the "#" header lines (2.1.55+); category paths become
+// hierarchical tags, which Anki also writes as A::B::C
+function flashcardsToAnkiCsv(cards) {
+    const lines = ['#separator:Comma', '#html:false', '#tags column:3'];
+    cards.forEach(c => {
+        const path = categoryPathFor(c.categoryId);
+        const tag = path ? path.split('::').map(p => p.trim().replace(/\s+/g, '_')).join('::') : '';
+        lines.push([c.front, c.back, tag].map(csvField).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function exportFlashcards() {
+    try {
+        const catId = selectedFlashcardCategory();
+        const cards = filterFlashcards(await loadAllFlashcards(), catId);
+        if (!cards.length) {
+            showToast('No flashcards to export.', 'info');
+            return;
+        }
+        const name = catId ? categoryPathFor(catId).replace(/::/g, '-').replace(/[^\w-]+/g, '_') : 'all';
+        downloadFile(`flashcards-${name}.csv`, flashcardsToAnkiCsv(cards), 'text/csv');
+    } catch (err) {
+        console.error(err);
+        showToast('Export error: ' + err.message, 'error');
+    }
+}
+
+// ---------- STUDY GUIDE ----------
+// Compiles the chosen notes into one document: categories in library order,
+// numbered sections (category > note > the note's own headings), a table of
+// contents, and a single de-duplicated reference list. The same markup is
+// shown on the page, printed (to PDF) and exported as HTML or Markdown.
+const STUDY_GUIDE_EXPORT_CSS = `
+    body { font-family: Georgia, serif; line-height: 1.6; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1a1a1a; }
+    h1, h2, h3, h4, h5, h6 { font-family: Arial, sans-serif; }
+    .guide-num { color: #0d9488; margin-right: 0.4em; }
+    .guide-toc ul { list-style: none; padding-left: 1.25rem; }
+    .guide-category { break-before: page; }
+    .guide-cites, .note-meta { color: #4a5568; font-size: 0.9em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 0.4rem; }
+    pre { background: #f3f4f6; padding: 1rem; overflow-x: auto; }
+    blockquote, .callout { border-left: 4px solid #0d9488; margin: 1rem 0; padding: 0.5rem 1rem; }
+    .callout-red-flag { border-color: #dc2626; }
+    .callout-mnemonic { border-color: #7c3aed; }
+    img { max-width: 100%; }
+    a { color: inherit; }
+`;
+
+let studyGuide = null;
+
+function referenceKey(src) {
+    if (src.identifier) return identifierLink(src.identifier).label.toLowerCase();
+    if (src.url) return src.url.trim().toLowerCase().replace(/\/+$/, '');
+    return src.title.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function renderStudyGuideTreeNode(node, notesByCategory) {
+    const notes = notesByCategory.get(node.id) || [];
+    const children = (node.children || []).map(child => renderStudyGuideTreeNode(child, notesByCategory)).filter(Boolean);
+    if (!notes.length && !children.length) return null;
+
+    const item = document.createElement('li');
+    item.innerHTML = `<label><input type="checkbox" data-cat="${node.id}"> <strong>${escapeHtml(node.name)}</strong></label>`;
+    item.querySelector('input').onchange = (e) => {
+        item.querySelectorAll('input').forEach(cb => { cb.checked = e.target.checked; });
+    };
+    const list = document.createElement('ul');
+    notes.forEach(n => {
+        const li = document.createElement('li');
+        li.innerHTML = `<label><input type="checkbox" data-note="${n.id}"> ${escapeHtml(n.title)}</label>`;
+        list.appendChild(li);
+    });
+    children.forEach(child => list.appendChild(child));
+    item.appendChild(list);
+    return item;
+}
+
+async function renderStudyGuideSetup() {
+    qs('studyGuideSetup')?.classList.remove('hidden');
+    qs('studyGuideResult')?.classList.add('hidden');
+    const box = qs('studyGuideTree');
+    if (!box) return;
+    box.innerHTML = '<p>Loading...</p>';
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+    } catch (err) {
+        console.error(err);
+        box.innerHTML = `<p>Could not load notes: ${escapeHtml(err.message)}</p>`;
+        return;
+    }
+
+    const notesByCategory = new Map();
+    [...searchNotesCache].sort((a, b) => (a.title || '').localeCompare(b.title || '')).forEach(n => {
+        if (!notesByCategory.has(n.category_id)) notesByCategory.set(n.category_id, []);
+        notesByCategory.get(n.category_id).push(n);
+    });
+    const list = document.createElement('ul');
+    categoriesTree.map(node => renderStudyGuideTreeNode(node, notesByCategory)).filter(Boolean).forEach(item => list.appendChild(item));
+    box.innerHTML = list.children.length ? '' : '<p>No notes have been published yet.</p>';
+    if (list.children.length) box.appendChild(list);
+}
+
+// note content with its headings pushed below the note title and numbered
+function numberNoteContent(html, prefix, noteId) {
+    const container = document.createElement('div');
+    container.innerHTML = sanitizeHtml(html);
+    const counters = [0, 0, 0];
+    container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((h, i) => {
+        // h1/h2 -> first level, h3 -> second, h4 and deeper -> third
+        const depth = Math.min(2, Math.max(0, Number(h.nodeName[1]) - 2));
+        counters[depth]++;
+        counters.fill(0, depth + 1);
+        const heading = document.createElement(`h${depth + 4}`);
+        heading.id = `guide-note-${noteId}-h${i + 1}`;
+        heading.innerHTML = `<span class="guide-num">${prefix}.${counters.slice(0, depth + 1).map(c => c || 1).join('.')}</span> ${h.innerHTML}`;
+        h.replaceWith(heading);
+    });
+    return container.innerHTML;
+}
+
+function buildStudyGuideHtml(title, notes) {
+    const order = new Map(flatCategories.map((c, i) => [c.id, i]));
+    const groups = new Map();
+    [...notes]
+        .sort((a, b) => (order.get(a.category_id) ?? Infinity) - (order.get(b.category_id) ?? Infinity) ||
+            (a.title || '').localeCompare(b.title || ''))
+        .forEach(n => {
+            if (!groups.has(n.category_id)) groups.set(n.category_id, []);
+            groups.get(n.category_id).push(n);
+        });
+
+    const references = [];
+    const referenceIndex = new Map();
+    const toc = [];
+    const sections = [];
+
+    [...groups.entries()].forEach(([catId, catNotes], ci) => {
+        const catNum = ci + 1;
+        const catName = (categoryPathFor(catId) || 'Uncategorised').split('::').join(' › ');
+        const tocNotes = [];
+        const noteSections = catNotes.map((n, ni) => {
+            const num = `${catNum}.${ni + 1}`;
+            const cites = normaliseSources(n.sources).map(src => {
+                const key = referenceKey(src);
+                if (!referenceIndex.has(key)) {
+                    references.push(src);
+                    referenceIndex.set(key, references.length);
+                }
+                return referenceIndex.get(key);
+            });
+            tocNotes.push(`<li><a href="#guide-note-${n.id}"><span class="guide-num">${num}</span> ${escapeHtml(n.title)}</a></li>`);
+            return `
+                <section class="guide-note" id="guide-note-${n.id}">
+                    <h3><span class="guide-num">${num}</span> ${escapeHtml(n.title)}</h3>
+                    ${numberNoteContent(n.content, num, n.id)}
+                    ${cites.length ? `<p class="guide-cites">References: ${[...new Set(cites)].map(i => `<a href="#guide-ref-${i}">[${i}]</a>`).join(', ')}</p>` : ''}
+                </section>`;
+        });
+        toc.push(`<li><a href="#guide-cat-${ci + 1}"><span class="guide-num">${catNum}</span> ${escapeHtml(catName)}</a><ul>${tocNotes.join('')}</ul></li>`);
+        sections.push(`
+            <section class="guide-category" id="guide-cat-${ci + 1}">
+                <h2><span class="guide-num">${catNum}</span> ${escapeHtml(catName)}</h2>
+                ${noteSections.join('')}
+            </section>`);
+    });
+
+    if (references.length) {
+        toc.push('<li><a href="#guide-references">References</a></li>');
+        sections.push(`
+            <section class="guide-category guide-references" id="guide-references">
+                <h2>References</h2>
+                <ol>${references.map((src, i) => `<li id="guide-ref-${i + 1}">${referenceHtml(src)}</li>`).join('')}</ol>
+            </section>`);
+    }
+
+    return `
+        <header>
+            <h1>${escapeHtml(title)}</h1>
+            <p class="note-meta">${notes.length} note${notes.length === 1 ? '' : 's'} · generated ${escapeHtml(formatDate(new Date()))}</p>
+        </header>
+        <nav class="guide-toc">
+            <h2>Contents</h2>
+            <ul>${toc.join('')}</ul>
+        </nav>
+        ${sections.join('')}`;
+}
+
+async function generateStudyGuide() {
+    const ids = [...document.querySelectorAll('#studyGuideTree input[data-note]:checked')].map(cb => Number(cb.dataset.note));
+    if (!ids.length) {
+        showToast('Pick at least one category or note.', 'error');
+        return;
+    }
+    const title = qs('studyGuideTitle').value.trim() || 'Study Guide';
+    try {
+        const notes = await Promise.all(ids.map(id => api(`/api/note/${id}`)));
+        studyGuide = { title, html: buildStudyGuideHtml(title, notes) };
+    } catch (err) {
+        console.error(err);
+        showToast('Could not build the study guide: ' + err.message, 'error');
+        return;
+    }
+    qs('studyGuideOutput').innerHTML = studyGuide.html;
+    qs('studyGuideSetup').classList.add('hidden');
+    qs('studyGuideResult').classList.remove('hidden');
+    window.scrollTo(0, 0);
+}
+
+// in-page anchors would otherwise be taken for routes by the hash router
+function onStudyGuideClick(e) {
+    const link = e.target.closest('a[href^="#guide-"]');
+    if (!link) return;
+    e.preventDefault();
+    qs(link.getAttribute('href').slice(1))?.scrollIntoView({ behavior: 'smooth' });
+}
+
+function studyGuideFilename(ext) {
+    return `${studyGuide.title.replace(/[^\w-]+/g, '_')}.${ext}`;
+}
+
+function printStudyGuide() {
+    window.print();
+}
+
+function exportStudyGuideHtml() {
+    if (!studyGuide) return;
+    const doc = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(studyGuide.title)}</title>
+<style>${STUDY_GUIDE_EXPORT_CSS}</style>
+</head>
+<body>
+${studyGuide.html}
+</body>
+</html>
+`;
+    downloadFile(studyGuideFilename('html'), doc, 'text/html');
+}
+
+function exportStudyGuideMarkdown() {
+    if (!studyGuide) return;
+    downloadFile(studyGuideFilename('md'), htmlToMarkdown(studyGuide.html) + '\n', 'text/markdown');
+}
+
+// ---------- COLLECTIONS ----------
+// Readers keep notes in named collections; "Bookmarks" always exists and is
+// what the bookmark button on a note toggles. The whole list is stored per
+// user as { collections: [{ id, name, notes: [noteId] }], updatedAt } in
+// localStorage, in display order. Logged-in users sync it with
+// /api/collections as one document: whichever side changed last wins, except
+// at login, when guest collections are merged into the server's copy.
+const COLLECTIONS_PREFIX = 'collections:';
+const COLLECTIONS_SYNC_DELAY_MS = 1500;
+const BOOKMARKS_ID = 'bookmarks';
+
+let collectionsCache = null;
+let collectionsEndpointAvailable = true;
+let collectionsSyncTimer = null;
+
+function collectionsStorageKey(user = currentUser) {
+    return userStorageKey(COLLECTIONS_PREFIX, user);
+}
+
+function readCollectionsStore(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch {
+        return null;
+    }
+}
+
+function loadCollections() {
+    if (!collectionsCache) {
+        collectionsCache = readCollectionsStore(collectionsStorageKey()) || { collections: [], updatedAt: 0 };
+        if (!collectionsCache.collections.some(c => c.id === BOOKMARKS_ID)) {
+            collectionsCache.collections.unshift({ id: BOOKMARKS_ID, name: 'Bookmarks', notes: [] });
+        }
+    }
+    return collectionsCache;
+}
+
+function findCollection(id) {
+    return loadCollections().collections.find(c => c.id === id) || null;
+}
+
+// every change goes through here: stamp, store, sync, re-render the menus
+function saveCollections() {
+    const store = loadCollections();
+    store.updatedAt = Date.now();
+    localStorage.setItem(collectionsStorageKey(), JSON.stringify(store));
+    queueCollectionsSync();
+    renderCollectionsMenu();
+    renderBookmarkButton();
+}
+
+// collections made before logging in are merged into the account's, as the
+// server has them: this device's copy may be stale or missing, and letting
+// the newer side win would replace the account's collections with the guest's
+async function adoptGuestCollections() {
+    const guestKey = collectionsStorageKey(null);
+    const guest = readCollectionsStore(guestKey);
+    collectionsCache = null;
+    if (!guest) {
+        renderCollectionsMenu();
+        await syncCollectionsFromServer();
+        return;
+    }
+
+    if (collectionsEndpointAvailable) {
+        let remote;
+        try {
+            remote = await api('/api/collections');
+        } catch (err) {
+            console.error(err);
+            if (!(err instanceof NotFoundError)) {
+                // can't see the account's collections: keep the guest's for the next login
+                renderCollectionsMenu();
+                return;
+            }
+            collectionsEndpointAvailable = false;
+        }
+        if (remote) {
+            localStorage.setItem(collectionsStorageKey(), JSON.stringify({
+                collections: remote.collections || [],
+                updatedAt: remote.updated_at ? new Date(remote.updated_at).getTime() : 0,
+            }));
+        }
+    }
+
+    const store = loadCollections();
+    guest.collections.forEach(gc => {
+        const same = store.collections.find(c => c.id === gc.id || c.name.toLowerCase() === gc.name.toLowerCase());
+        if (same) {
+            same.notes = [...new Set([...same.notes, ...gc.notes])];
+        } else {
+            store.collections.push(gc);
+        }
+    });
+    localStorage.removeItem(guestKey);
+    saveCollections();
+}
+
+function queueCollectionsSync() {
+    if (!currentUser || !collectionsEndpointAvailable) return;
+    clearTimeout(collectionsSyncTimer);
+    collectionsSyncTimer = setTimeout(() => flushCollectionsSync().catch(console.error), COLLECTIONS_SYNC_DELAY_MS);
+}
+
+async function flushCollectionsSync() {
+    clearTimeout(collectionsSyncTimer);
+    if (!currentUser || !collectionsEndpointAvailable) return;
+    const store = loadCollections();
+    await api('/api/collections', {
+        method: 'PUT',
+        body: JSON.stringify({ collections: store.collections, updated_at: new Date(store.updatedAt).toISOString() })
+    });
+}
+
+async function syncCollectionsFromServer() {
+    if (!currentUser || !collectionsEndpointAvailable) return;
+    let remote;
+    try {
+        remote = await api('/api/collections');
+    } catch (err) {
+        console.error(err);
+        // backend without collections: stay local-only
+        if (err instanceof NotFoundError) collectionsEndpointAvailable = false;
+        return;
+    }
+
+    const store = loadCollections();
+    const remoteUpdated = remote.updated_at ? new Date(remote.updated_at).getTime() : 0;
+    if (remoteUpdated > store.updatedAt) {
+        collectionsCache = { collections: remote.collections || [], updatedAt: remoteUpdated };
+        localStorage.setItem(collectionsStorageKey(), JSON.stringify(collectionsCache));
+        collectionsCache = null;
+        renderCollectionsMenu();
+        renderBookmarkButton();
+    } else if (store.updatedAt > remoteUpdated) {
+        await flushCollectionsSync();
+    }
+}
+
+function isBookmarked(noteId) {
+    return !!findCollection(BOOKMARKS_ID)?.notes.includes(noteId);
+}
+
+function toggleNoteInCollection(collectionId, noteId) {
+    const collection = findCollection(collectionId);
+    if (!collection) return;
+    collection.notes = collection.notes.includes(noteId)
+        ? collection.notes.filter(id => id !== noteId)
+        : [...collection.notes, noteId];
+    saveCollections();
+}
+
+function toggleBookmark() {
+    if (currentNoteId === null) return;
+    const adding = !isBookmarked(currentNoteId);
+    toggleNoteInCollection(BOOKMARKS_ID, currentNoteId);
+    showToast(adding ? 'Bookmarked.' : 'Bookmark removed.', 'success');
+}
+
+function renderBookmarkButton() {
+    const btn = qs('bookmarkBtn');
+    if (!btn) return;
+    const on = currentNoteId !== null && isBookmarked(currentNoteId);
+    btn.classList.toggle('active', on);
+    btn.innerHTML = on
+        ? '<i class="fas fa-bookmark"></i> Bookmarked'
+        : '<i class="far fa-bookmark"></i> Bookmark';
+}
+
+function createCollection() {
+    const name = prompt('Name for the new collection:')?.trim();
+    if (!name) return null;
+    if (loadCollections().collections.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`You already have a collection called "${name}".`, 'error');
+        return null;
+    }
+    const collection = { id: `c${Date.now().toString(36)}`, name, notes: [] };
+    loadCollections().collections.push(collection);
+    saveCollections();
+    return collection;
+}
+
+function renameCollection(id) {
+    const collection = findCollection(id);
+    if (!collection || id === BOOKMARKS_ID) return;
+    const name = prompt('New name:', collection.name)?.trim();
+    if (!name || name === collection.name) return;
+    collection.name = name;
+    saveCollections();
+    refreshCollectionPages();
+}
+
+function deleteCollection(id) {
+    const collection = findCollection(id);
+    if (!collection || id === BOOKMARKS_ID) return;
+    if (!confirm(`Delete the collection "${collection.name}"? The notes themselves are not affected.`)) return;
+    const store = loadCollections();
+    store.collections = store.collections.filter(c => c.id !== id);
+    saveCollections();
+    if (currentRoute() === `/collection/${id}`) {
+        showCollections();
+    } else {
+        refreshCollectionPages();
+    }
+}
+
+function moveInList(list, index, delta) {
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= list.length) return false;
+    [list[index], list[target]] = [list[target], list[index]];
+    return true;
+}
+
+function moveCollection(id, delta) {
+    const list = loadCollections().collections;
+    if (!moveInList(list, list.findIndex(c => c.id === id), delta)) return;
+    saveCollections();
+    refreshCollectionPages();
+}
+
+function moveCollectionNote(id, noteId, delta) {
+    const collection = findCollection(id);
+    if (!collection || !moveInList(collection.notes, collection.notes.indexOf(noteId), delta)) return;
+    saveCollections();
+    refreshCollectionPages();
+}
+
+function removeFromCollection(id, noteId) {
+    toggleNoteInCollection(id, noteId);
+    refreshCollectionPages();
+}
+
+function refreshCollectionPages() {
+    const route = currentRoute();
+    if (route === '/collections') renderCollectionsPage();
+    else if (route.startsWith('/collection/')) renderCollectionPage(route.slice('/collection/'.length)).catch(console.error);
+}
+
+function renderCollectionsMenu() {
+    const menu = qs('userCollectionsLinks');
+    if (!menu) return;
+    menu.innerHTML = '';
+    loadCollections().collections.forEach(c => {
+        const link = document.createElement('a');
+        link.href = `#/collection/${encodeURIComponent(c.id)}`;
+        link.innerHTML = `<i class="fas ${c.id === BOOKMARKS_ID ? 'fa-bookmark' : 'fa-folder'}"></i> `;
+        link.appendChild(document.createTextNode(`${c.name} (${c.notes.length})`));
+        menu.appendChild(link);
+    });
+}
+
+// the "Add to collection" pop-up on a note
+function toggleCollectionMenu() {
+    const menu = qs('collectionMenu');
+    if (!menu) return;
+    if (!menu.classList.contains('hidden')) {
+        menu.classList.add('hidden');
+        return;
+    }
+    renderCollectionMenu();
+    menu.classList.remove('hidden');
+}
+
+function renderCollectionMenu() {
+    const menu = qs('collectionMenu');
+    if (!menu || currentNoteId === null) return;
+    const noteId = currentNoteId;
+    menu.innerHTML = '';
+    loadCollections().collections.forEach(c => {
+        const label = document.createElement('label');
+        label.className = 'collection-option';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = c.notes.includes(noteId);
+        box.onchange = () => toggleNoteInCollection(c.id, noteId);
+        label.append(box, ` ${c.name}`);
+        menu.appendChild(label);
+    });
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'btn btn-secondary';
+    add.innerHTML = '<i class="fas fa-plus"></i> New collection';
+    add.onclick = () => {
+        const created = createCollection();
+        if (created) toggleNoteInCollection(created.id, noteId);
+        renderCollectionMenu();
+    };
+    menu.appendChild(add);
+}
+
+async function showCollections() {
+    setRoute('/collections');
+    switchView('collections');
+    renderCollectionsPage();
+}
+
+function renderCollectionsPage() {
+    const container = qs('collectionsContainer');
+    if (!container) return;
+    container.innerHTML = '';
+    const list = loadCollections().collections;
+    list.forEach((c, i) => {
+        const row = document.createElement('div');
+        row.className = 'note-item collection-row';
+        row.onclick = () => showCollection(c.id);
+        row.innerHTML = `
+            <div class="note-info">
+                <h4><i class="fas ${c.id === BOOKMARKS_ID ? 'fa-bookmark' : 'fa-folder'}"></i> ${escapeHtml(c.name)}</h4>
+                <div class="note-meta">${c.notes.length} note${c.notes.length === 1 ? '' : 's'}</div>
+            </div>
+            <div class="collection-controls">
+                <button class="admin-btn" title="Move up" data-move="-1" ${i === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button class="admin-btn" title="Move down" data-move="1" ${i === list.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                ${c.id === BOOKMARKS_ID ? '' : `
+                    <button class="admin-btn edit" title="Rename" data-rename><i class="fas fa-pen"></i></button>
+                    <button class="admin-btn delete" title="Delete" data-delete><i class="fas fa-trash-alt"></i></button>
+                `}
+            </div>
+        `;
+        row.querySelector('.collection-controls').onclick = (e) => {
+            e.stopPropagation();
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.move) moveCollection(c.id, Number(btn.dataset.move));
+            else if (btn.hasAttribute('data-rename')) renameCollection(c.id);
+            else if (btn.hasAttribute('data-delete')) deleteCollection(c.id);
+        };
+        container.appendChild(row);
+    });
+}
+
+function newCollectionFromPage() {
+    if (createCollection()) renderCollectionsPage();
+}
+
+async function showCollection(id) {
+    setRoute(`/collection/${encodeURIComponent(id)}`);
+    switchView('collection');
+    await renderCollectionPage(id);
+}
+
+// published notes to render collection cards from; the offline copies will do
+async function loadCollectionNotes() {
+    try {
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+        return searchNotesCache;
+    } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        return cachedNotes();
+    }
+}
+
+async function renderCollectionPage(id) {
+    const collection = findCollection(decodeURIComponent(id));
+    const title = qs('collectionTitle');
+    const container = qs('collectionNotesContainer');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!collection) {
+        if (title) title.textContent = 'Collection not found';
+        return;
+    }
+    if (title) title.textContent = collection.name;
+    if (!collection.notes.length) {
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-icon">🔖</div><p>Nothing here yet. Use the bookmark and collection buttons on a note to add it.</p></div>`;
+        return;
+    }
+
+    container.innerHTML = '<p>Loading...</p>';
+    let notes;
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        notes = await loadCollectionNotes();
+    } catch (err) {
+        console.error(err);
+        container.textContent = 'Error loading notes: ' + err.message;
+        return;
+    }
+    container.innerHTML = '';
+
+    collection.notes.forEach((noteId, i) => {
+        const n = notes.find(note => note.id === noteId);
+        const card = n
+            ? createNoteItem(n, categoryPathFor(n.category_id))
+            : Object.assign(document.createElement('div'), {
+                className: 'note-item unavailable',
+                innerHTML: '<div class="note-info"><h4>Note no longer available</h4><div class="note-meta">It was removed or unpublished.</div></div>',
+            });
+        const controls = document.createElement('div');
+        controls.className = 'collection-controls';
+        controls.innerHTML = `
+            <button class="admin-btn" title="Move up" data-move="-1" ${i === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+            <button class="admin-btn" title="Move down" data-move="1" ${i === collection.notes.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            <button class="admin-btn delete" title="Remove from collection" data-remove><i class="fas fa-xmark"></i></button>
+        `;
+        controls.onclick = (e) => {
+            e.stopPropagation();
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.move) moveCollectionNote(collection.id, noteId, Number(btn.dataset.move));
+            else removeFromCollection(collection.id, noteId);
+        };
+        card.appendChild(controls);
+        container.appendChild(card);
+    });
+}
+
+// ---------- ANNOTATIONS ----------
+// Readers' own highlights in #noteBody, each with an optional margin note.
+// Stored per user in localStorage as noteId -> [{ id, quote, color, text,
+// title, createdAt, updatedAt }]. quote is a text-quote selector
+// (anchoring.js), so a highlight finds its passage again after small edits
+// to the note; one whose passage is gone is kept and listed as detached.
+const ANNOTATIONS_PREFIX = 'annotations:';
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+let focusAnnotationOnLoad = null;
+
+function readAnnotations() {
+    try {
+        return JSON.parse(localStorage.getItem(userStorageKey(ANNOTATIONS_PREFIX))) || {};
+    } catch {
+        return {};
+    }
+}
+
+function noteAnnotations(noteId) {
+    return readAnnotations()[noteId] || [];
+}
+
+function updateNoteAnnotations(noteId, change) {
+    const all = readAnnotations();
+    const list = change(all[noteId] || []);
+    if (list.length) {
+        all[noteId] = list;
+    } else {
+        delete all[noteId];
+    }
+    localStorage.setItem(userStorageKey(ANNOTATIONS_PREFIX), JSON.stringify(all));
+}
+
+function editAnnotation(noteId, id, fields) {
+    updateNoteAnnotations(noteId, list => list.map(a => a.id === id
+        ? { ...a, ...fields, updatedAt: new Date().toISOString() }
+        : a));
+}
+
+function noteBodySelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || selection.isCollapsed) return null;
+    const range = selection.getRangeAt(0);
+    return elements.noteBody.contains(range.commonAncestorContainer) ? range : null;
+}
+
+// the colour bar that appears over a selection in the note
+function updateHighlightToolbar() {
+    const toolbar = qs('highlightToolbar');
+    if (!toolbar) return;
+    const range = currentNoteId !== null && noteBodySelection();
+    if (!range) {
+        toolbar.classList.add('hidden');
+        return;
+    }
+    const rect = range.getBoundingClientRect();
+    toolbar.classList.remove('hidden');
+    toolbar.style.top = `${Math.max(8, rect.top - toolbar.offsetHeight - 8)}px`;
+    toolbar.style.left = `${Math.max(8, rect.left + rect.width / 2 - toolbar.offsetWidth / 2)}px`;
+}
+
+function highlightSelection(color, withNote = false) {
+    if (currentNoteId === null) return;
+    const range = noteBodySelection();
+    const quote = range && rangeToTextQuote(elements.noteBody, range);
+    if (!quote) {
+        showToast('Select some text in the note first.', 'info');
+        return;
+    }
+    let text = '';
+    if (withNote) {
+        text = prompt('Your note on this passage:');
+        if (text === null) return;
+    }
+    const now = new Date().toISOString();
+    const annotation = {
+        id: `a${Date.now().toString(36)}`,
+        quote,
+        color: HIGHLIGHT_COLORS.includes(color) ? color : HIGHLIGHT_COLORS[0],
+        text: text.trim(),
+        title: elements.noteTitle.textContent,
+        createdAt: now,
+        updatedAt: now,
+    };
+    updateNoteAnnotations(currentNoteId, list => [...list, annotation]);
+    window.getSelection().removeAllRanges();
+    updateHighlightToolbar();
+    renderAnnotations();
+    qs('annotationSidebar')?.classList.remove('hidden');
+}
+
+// re-anchor every highlight of the open note; called after the body renders
+function renderAnnotations() {
+    unwrapElements([...elements.noteBody.querySelectorAll('mark.highlight')]);
+    const annotations = currentNoteId === null ? [] : noteAnnotations(currentNoteId);
+    const detached = new Set();
+    annotations.forEach(a => {
+        const range = textQuoteToRange(elements.noteBody, a.quote);
+        const marks = range ? wrapRange(range, () => {
+            const mark = document.createElement('mark');
+            mark.className = `highlight highlight-${a.color}`;
+            mark.dataset.annotation = a.id;
+            if (a.text) mark.title = a.text;
+            return mark;
+        }) : [];
+        if (!marks.length) detached.add(a.id);
+    });
+    renderAnnotationSidebar(annotations, detached);
+}
+
+function annotationExcerpt(annotation, length = 80) {
+    const exact = annotation.quote.exact.replace(/\s+/g, ' ').trim();
+    return exact.length > length ? exact.slice(0, length) + '…' : exact;
+}
+
+function renderAnnotationSidebar(annotations, detached) {
+    const list = qs('annotationList');
+    const count = qs('annotationCount');
+    if (count) count.textContent = annotations.length;
+    if (!list) return;
+    list.innerHTML = '';
+    if (!annotations.length) {
+        list.innerHTML = '<p class="note-meta">Select text in the note to highlight it.</p>';
+        return;
+    }
+
+    // in reading order, with detached highlights last
+    const marks = [...elements.noteBody.querySelectorAll('mark.highlight')].map(m => m.dataset.annotation);
+    const position = a => (detached.has(a.id) ? Infinity : marks.indexOf(a.id));
+    [...annotations].sort((a, b) => position(a) - position(b)).forEach(a => {
+        const item = document.createElement('div');
+        item.className = `annotation-item highlight-border-${a.color}`;
+        item.dataset.annotation = a.id;
+        item.innerHTML = `
+            <blockquote class="annotation-quote"></blockquote>
+            ${detached.has(a.id) ? '<div class="note-meta">This passage is no longer in the note.</div>' : ''}
+            <p class="annotation-text"></p>
+            <div class="annotation-controls">
+                ${HIGHLIGHT_COLORS.map(c => `<button class="highlight-swatch highlight-${c}${c === a.color ? ' active' : ''}" title="${c}" data-color="${c}"></button>`).join('')}
+                <button class="admin-btn edit" title="Edit note" data-edit><i class="fas fa-pen"></i></button>
+                <button class="admin-btn delete" title="Delete highlight" data-delete><i class="fas fa-trash-alt"></i></button>
+            </div>
+        `;
+        item.querySelector('.annotation-quote').textContent = annotationExcerpt(a);
+        const text = item.querySelector('.annotation-text');
+        text.textContent = a.text || 'No note yet.';
+        text.classList.toggle('note-meta', !a.text);
+        item.onclick = (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return showAnnotationPassage(a.id);
+            if (btn.dataset.color) {
+                editAnnotation(currentNoteId, a.id, { color: btn.dataset.color });
+                renderAnnotations();
+            } else if (btn.hasAttribute('data-edit')) {
+                editAnnotationText(a);
+            } else if (btn.hasAttribute('data-delete')) {
+                deleteAnnotation(a);
+            }
+        };
+        list.appendChild(item);
+    });
+}
+
+function editAnnotationText(annotation) {
+    const text = prompt('Your note on this passage:', annotation.text);
+    if (text === null) return;
+    editAnnotation(currentNoteId, annotation.id, { text: text.trim() });
+    renderAnnotations();
+}
+
+function deleteAnnotation(annotation) {
+    if (!confirm('Delete this highlight and its note?')) return;
+    updateNoteAnnotations(currentNoteId, list => list.filter(a => a.id !== annotation.id));
+    renderAnnotations();
+}
+
+function toggleAnnotationSidebar() {
+    qs('annotationSidebar')?.classList.toggle('hidden');
+}
+
+function showAnnotationPassage(id) {
+    const marks = elements.noteBody.querySelectorAll(`mark.highlight[data-annotation="${CSS.escape(id)}"]`);
+    if (!marks.length) return;
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    marks.forEach(m => {
+        m.classList.remove('flash');
+        void m.offsetWidth;
+        m.classList.add('flash');
+    });
+}
+
+// clicking a highlight brings up its entry in the sidebar
+function focusAnnotation(id) {
+    const sidebar = qs('annotationSidebar');
+    const item = sidebar?.querySelector(`.annotation-item[data-annotation="${CSS.escape(id)}"]`);
+    if (!item) return;
+    sidebar.classList.remove('hidden');
+    sidebar.querySelectorAll('.annotation-item.active').forEach(el => el.classList.remove('active'));
+    item.classList.add('active');
+    item.scrollIntoView({ block: 'nearest' });
+}
+
+function onNoteBodyClick(e) {
+    const mark = e.target.closest('mark.highlight');
+    if (mark && !noteBodySelection()) focusAnnotation(mark.dataset.annotation);
+}
+
+function openAnnotation(noteId, id) {
+    focusAnnotationOnLoad = id;
+    showNoteView(noteId);
+}
+
+// called by showNoteView once the note is on screen
+function restoreAnnotations() {
+    renderAnnotations();
+    if (focusAnnotationOnLoad) {
+        focusAnnotation(focusAnnotationOnLoad);
+        showAnnotationPassage(focusAnnotationOnLoad);
+        focusAnnotationOnLoad = null;
+    }
+}
+
+// ----- "My annotations" -----
+function showAnnotations() {
+    setRoute('/annotations');
+    switchView('annotations');
+    renderAnnotationsPage();
+}
+
+function renderAnnotationsPage() {
+    const container = qs('annotationsContainer');
+    if (!container) return;
+    const terms = searchTerms(qs('annotationSearch')?.value || '');
+    const matches = a => {
+        const haystack = `${a.quote.exact} ${a.text} ${a.title}`.toLowerCase();
+        return terms.every(t => haystack.includes(t));
+    };
+
+    const groups = Object.entries(readAnnotations())
+        .map(([noteId, list]) => ({ noteId, list: list.filter(matches) }))
+        .filter(g => g.list.length)
+        .sort((a, b) => a.list[0].title.localeCompare(b.list[0].title));
+    const total = groups.reduce((sum, g) => sum + g.list.length, 0);
+    const summary = qs('annotationsSummary');
+    if (summary) summary.textContent = `${total} highlight${total === 1 ? '' : 's'}${terms.length ? ' matching your search' : ''}`;
+
+    container.innerHTML = '';
+    if (!groups.length) {
+        container.innerHTML = terms.length
+            ? '<div class="empty-state"><p>No highlights match your search.</p></div>'
+            : '<div class="empty-state"><div class="empty-state-icon">🖍️</div><p>Select text while reading a note to highlight it and add your own notes.</p></div>';
+        return;
+    }
+
+    groups.forEach(({ noteId, list }) => {
+        const group = document.createElement('div');
+        group.className = 'annotation-group';
+        const heading = document.createElement('h3');
+        const link = document.createElement('a');
+        link.href = `#/note/${noteId}`;
+        link.textContent = list[0].title;
+        heading.appendChild(link);
+        group.appendChild(heading);
+        list.forEach(a => {
+            const item = document.createElement('div');
+            item.className = `annotation-item highlight-border-${a.color}`;
+            item.innerHTML = `
+                <blockquote class="annotation-quote"></blockquote>
+                <p class="annotation-text"></p>
+                <div class="note-meta">${new Date(a.updatedAt).toLocaleDateString()}</div>
+            `;
+            item.querySelector('.annotation-quote').textContent = annotationExcerpt(a, 200);
+            item.querySelector('.annotation-text').textContent = a.text;
+            item.onclick = () => openAnnotation(noteId, a.id);
+            group.appendChild(item);
+        });
+        container.appendChild(group);
+    });
+}
+
+function initAnnotations() {
+    elements.noteBody.addEventListener('mouseup', () => setTimeout(updateHighlightToolbar));
+    elements.noteBody.addEventListener('keyup', updateHighlightToolbar);
+    elements.noteBody.addEventListener('click', onNoteBodyClick);
+    document.addEventListener('selectionchange', () => {
+        if (!noteBodySelection()) qs('highlightToolbar')?.classList.add('hidden');
+    });
+    window.addEventListener('scroll', () => qs('highlightToolbar')?.classList.add('hidden'), { passive: true });
+}
+
+// ---------- OFFLINE ----------
+// The service worker (sw.js) keeps the app itself available; offline.js
+// keeps the content. Opened notes are saved as they are read, and a whole
+// category (with its subcategories) can be saved from its page. When the
+// connection comes back, saved content is refreshed in the background.
+const OFFLINE_STALE_MS = 60 * 60 * 1000;
+
+function isOfflineError(err) {
+    return err instanceof NetworkError || err instanceof TimeoutError;
+}
+
+function updateOfflineIndicator() {
+    qs('offlineIndicator')?.classList.toggle('hidden', navigator.onLine);
+}
+
+async function savedOfflineCategories() {
+    return (await offlineMeta('savedCategories')) || [];
+}
+
+// download every published note in a category and its subcategories
+async function downloadCategory(catId) {
+    const node = findCategoryNode(catId);
+    if (!node) return 0;
+    let count = 0;
+    for (const id of descendantCategoryIds(node)) {
+        const notes = await api(`/api/notes?category=${id}`);
+        // list entries normally carry the full note; fetch any that don't
+        const full = [];
+        for (const n of notes) full.push(n.content ? n : await api(`/api/note/${n.id}`));
+        await cacheNotes(full);
+        count += full.length;
+    }
+    return count;
+}
+
+async function renderCategoryOfflineButton(catId) {
+    const btn = qs('categoryOfflineBtn');
+    if (!btn) return;
+    const saved = (await savedOfflineCategories()).includes(catId);
+    if (currentCategoryId !== catId) return;
+    btn.innerHTML = saved
+        ? '<i class="fas fa-circle-check"></i> Saved for offline'
+        : '<i class="fas fa-cloud-arrow-down"></i> Save for offline';
+    btn.title = saved ? 'Click to stop keeping this category offline' : 'Keep every note in this category on this device';
+}
+
+async function toggleCategoryOffline() {
+    const catId = currentCategoryId;
+    const btn = qs('categoryOfflineBtn');
+    if (!catId || !btn) return;
+    const saved = await savedOfflineCategories();
+
+    if (saved.includes(catId)) {
+        const node = findCategoryNode(catId);
+        const ids = node ? descendantCategoryIds(node) : [catId];
+        const notes = (await cachedNotes()).filter(n => ids.includes(n.category_id));
+        await uncacheNotes(notes.map(n => n.id));
+        await setOfflineMeta('savedCategories', saved.filter(id => id !== catId));
+        showToast('Removed from offline reading.', 'info');
+    } else {
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+        try {
+            const count = await downloadCategory(catId);
+            await setOfflineMeta('savedCategories', [...saved, catId]);
+            showToast(`${count} note${count === 1 ? '' : 's'} saved for offline reading.`, 'success');
+        } catch (err) {
+            console.error(err);
+            showToast('Could not save for offline: ' + err.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+    renderCategoryOfflineButton(catId).catch(console.error);
+}
+
+// back online: bring saved categories and stale opened notes up to date,
+// then re-render a screen that was showing offline copies
+async function refreshOfflineContent() {
+    try {
+        await fetchCategoriesTree();
+        const saved = await savedOfflineCategories();
+        for (const catId of saved) await downloadCategory(catId);
+
+        // notes opened one by one are refreshed through their category's
+        // list, which doesn't count as a view; unpublished ones are dropped
+        const stale = (await cachedNotes()).filter(n => Date.now() - n.cachedAt > OFFLINE_STALE_MS);
+        for (const catId of new Set(stale.map(n => n.category_id))) {
+            const live = await api(`/api/notes?category=${catId}`);
+            const inCategory = stale.filter(n => n.category_id === catId);
+            await cacheNotes(live.filter(n => n.content && inCategory.some(s => s.id === n.id)));
+            await uncacheNotes(inCategory.filter(s => !live.some(n => n.id === s.id)).map(s => s.id));
+        }
+    } catch (err) {
+        console.error(err);
+        return;
+    }
+
+    const showingNoteCopy = !elements.pages.noteView.classList.contains('hidden') &&
+        !qs('noteOfflineNotice')?.classList.contains('hidden');
+    const showingCategoryCopy = !elements.pages.category.classList.contains('hidden') && categoryNotesOffline;
+    if (showingNoteCopy || showingCategoryCopy) {
+        handleRoute().catch(console.error);
+    }
+}
+
+function initOffline() {
+    updateOfflineIndicator();
+    window.addEventListener('offline', updateOfflineIndicator);
+    window.addEventListener('online', () => {
+        updateOfflineIndicator();
+        refreshOfflineContent();
+    });
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(console.error);
+    }
+}
+
+// ---------- SEARCH ----------
+// Uses /api/search when the backend has it; otherwise ranks titles, tags and
+// content locally against flatCategories and the published notes list.
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+let searchTimer = null;
+let searchSeq = 0;
+let searchSelected = -1;
+let searchSuggestionItems = [];
+let searchEndpointAvailable = true;
+let searchNotesCache = null;
+
+function searchTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
 }
 
-async function openAddNoteForCategory(catId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
-    editingNoteId = null;
-    switchView('addNote');
-    await populateNoteCategorySelect();
+// escape first, then wrap matches, so note text can never inject markup
+function highlightTerms(text, terms) {
+    if (!terms.length) return escapeHtml(text);
+    const re = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return String(text ?? '')
+        .split(re)
+        .map((part, i) => i % 2 ? `<span class="suggestion-highlight">${escapeHtml(part)}</span>` : escapeHtml(part))
+        .join('');
+}
 
-    // try to preselect
+function searchSnippet(text, terms, radius = 60) {
+    if (!text) return '';
+    const lower = text.toLowerCase();
+    const at = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0];
+    if (at === undefined) return text.slice(0, radius * 2);
+    const start = Math.max(0, at - radius);
+    const end = Math.min(text.length, at + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function categoryPathFor(catId) {
     const cat = flatCategories.find(c => c.id === catId);
-    if (cat) {
-        // find top-level ancestor
-        let root = cat;
-        while (root.parent_id) {
-            root = flatCategories.find(c => c.id === root.parent_id) || root;
+    return cat ? cat.path : '';
+}
+
+function normaliseTags(tags) {
+    if (!tags) return [];
+    if (Array.isArray(tags)) return tags.map(t => String(t).trim()).filter(Boolean);
+    return String(tags).split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// every term must appear somewhere; title hits outrank tags, tags outrank body
+function scoreSearchEntry(entry, terms, phrase) {
+    const title = entry.title.toLowerCase();
+    const tags = entry.tags.map(t => t.toLowerCase());
+    const text = entry.text.toLowerCase();
+    let score = 0;
+    for (const t of terms) {
+        let hit = false;
+        if (title.includes(t)) {
+            score += title.startsWith(t) ? 12 : 8;
+            hit = true;
         }
-        elements.noteFormCategory.value = String(root.id);
-        elements.noteFormCategory.dispatchEvent(new Event('change'));
-        if (cat.id !== root.id) {
-            elements.noteFormSubcategory.value = String(cat.id);
+        if (tags.some(tag => tag.includes(t))) {
+            score += 5;
+            hit = true;
         }
+        if (text.includes(t)) {
+            score += 1;
+            hit = true;
+        }
+        if (!hit) return 0;
     }
+    if (terms.length > 1 && title.includes(phrase)) score += 10;
+    if (entry.type === 'category') score += 2;
+    return score;
+}
 
-    elements.noteFormTitle.value = '';
-    elements.noteFormContent.innerHTML = '';
-    elements.noteFormSources.value = '';
-    elements.noteFormTags.value = '';
+async function localSearch(query) {
+    if (!flatCategories.length) await fetchCategoriesTree();
+    if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+
+    const terms = searchTerms(query);
+    const phrase = query.trim().toLowerCase();
+    const entries = [
+        ...flatCategories.map(c => ({
+            type: 'category', id: c.id, title: c.name, path: c.path, tags: [], text: c.path,
+        })),
+        ...searchNotesCache.map(n => ({
+            type: 'note',
+            id: n.id,
+            title: n.title || '',
+            path: categoryPathFor(n.category_id),
+            tags: normaliseTags(n.tags),
+            text: htmlToText(n.content),
+        })),
+    ];
+
+    return entries
+        .map(e => ({ ...e, score: scoreSearchEntry(e, terms, phrase) }))
+        .filter(e => e.score > 0)
+        .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+        .map(e => ({ ...e, snippet: e.type === 'note' ? searchSnippet(e.text, terms) : '' }));
 }
 
-async function openEditNote(noteId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
-        return;
-    }
+async function runSearch(query) {
+    if (!searchEndpointAvailable) return localSearch(query);
+    let hits;
     try {
-        const note = await api(`/api/note/${noteId}`);
-        editingNoteId = noteId;
-        switchView('addNote');
-        await populateNoteCategorySelect();
-
-        elements.noteFormTitle.value = note.title;
-        // naive: we don't know exact nesting; so just set category_id as a subcategory
-        const catId = note.category_id;
-        const cat = flatCategories.find(c => c.id === catId);
-        if (cat) {
-            let root = cat;
-            while (root.parent_id) {
-                root = flatCategories.find(c => c.id === root.parent_id) || root;
-            }
-            elements.noteFormCategory.value = String(root.id);
-            elements.noteFormCategory.dispatchEvent(new Event('change'));
-            if (cat.id !== root.id) {
-                elements.noteFormSubcategory.value = String(cat.id);
-            }
+        hits = await api(`/api/search?q=${encodeURIComponent(query)}`, { cancelKey: 'search' });
+    } catch (err) {
+        if (err instanceof CancelledError) throw err;
+        if (err instanceof NotFoundError) {
+            // no search endpoint on this backend: stop asking and rank locally
+            searchEndpointAvailable = false;
+        } else {
+            // a failed request: rank this query locally, ask again next time
+            console.error(err);
         }
+        return localSearch(query);
+    }
+    if (!flatCategories.length) await fetchCategoriesTree();
+    return hits.map(h => ({
+        type: h.type || 'note',
+        id: h.id,
+        title: h.title || h.name || '',
+        path: h.path || categoryPathFor(h.category_id),
+        tags: normaliseTags(h.tags),
+        snippet: h.snippet ? htmlToText(h.snippet) : '',
+    }));
+}
 
-        elements.noteFormContent.innerHTML = note.content;
-    } catch (err) {
-        console.error(err);
-        alert("Error loading note: " + err.message);
+function openSearchHit(hit) {
+    hideSearchSuggestions();
+    if (hit.type === 'category') {
+        openCategoryById(hit.id);
+    } else {
+        showNoteView(hit.id);
     }
 }
 
-async function deleteNoteClient(noteId) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
+function hideSearchSuggestions() {
+    const box = elements.searchSuggestions;
+    if (box) box.classList.add('hidden');
+    searchSelected = -1;
+    searchSuggestionItems = [];
+}
+
+function renderSearchSuggestions(query, hits) {
+    const box = elements.searchSuggestions;
+    if (!box) return;
+    const terms = searchTerms(query);
+    box.innerHTML = '';
+    searchSelected = -1;
+    searchSuggestionItems = [];
+
+    if (!hits.length) {
+        box.innerHTML = `<div class="suggestion-item"><div class="suggestion-meta">No results for "${escapeHtml(query)}"</div></div>`;
+        box.classList.remove('hidden');
         return;
     }
-    if (!confirm('Delete this note?')) return;
+
+    const add = (html, action) => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        item.innerHTML = html;
+        // mousedown fires before the input's blur hides the list
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            action();
+        });
+        box.appendChild(item);
+        searchSuggestionItems.push({ el: item, action });
+    };
+
+    hits.slice(0, SEARCH_SUGGESTION_LIMIT).forEach(hit => {
+        const icon = hit.type === 'category' ? 'fa-folder' : 'fa-file-alt';
+        add(`
+            <div class="suggestion-title"><i class="fas ${icon}"></i> ${highlightTerms(hit.title, terms)}</div>
+            <div class="suggestion-meta">${escapeHtml(hit.path)}</div>
+        `, () => openSearchHit(hit));
+    });
+    add(`<div class="suggestion-meta">See all ${hits.length} results for "${escapeHtml(query)}"</div>`,
+        () => showSearchResults(query));
+
+    box.classList.remove('hidden');
+}
+
+function moveSearchSelection(delta) {
+    if (!searchSuggestionItems.length) return;
+    const count = searchSuggestionItems.length;
+    searchSelected = (searchSelected + delta + count) % count;
+    searchSuggestionItems.forEach((s, i) => s.el.classList.toggle('selected', i === searchSelected));
+    searchSuggestionItems[searchSelected].el.scrollIntoView({ block: 'nearest' });
+}
+
+async function updateSearchSuggestions(query) {
+    const seq = ++searchSeq;
     try {
-        await api(`/api/note/${noteId}`, { method: 'DELETE' });
-        alert('Note deleted.');
-        if (currentCategoryId) openCategoryById(currentCategoryId);
+        const hits = await runSearch(query);
+        if (seq !== searchSeq) return; // a newer keystroke has already searched
+        renderSearchSuggestions(query, hits);
     } catch (err) {
-        console.error(err);
-        alert('Delete error: ' + err.message);
+        if (!(err instanceof CancelledError)) console.error(err);
     }
 }
 
-async function saveNote(isDraft) {
-    if (!currentUser || currentUser.role !== 'admin') {
-        alert("Admin only");
+function onSearchInput() {
+    const query = elements.searchInput.value.trim();
+    clearTimeout(searchTimer);
+    if (query.length < 2) {
+        searchSeq++;
+        hideSearchSuggestions();
         return;
     }
-    const title = elements.noteFormTitle.value.trim();
-    const categoryId = getSelectedCategoryForNote();
-    const content = elements.noteFormContent.innerHTML.trim();
+    searchTimer = setTimeout(() => updateSearchSuggestions(query), SEARCH_DEBOUNCE_MS);
+}
 
-    if (!title || !categoryId || !content) {
-        alert('Title, category, and content are required.');
+function onSearchKeydown(e) {
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        moveSearchSelection(1);
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        moveSearchSelection(-1);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (searchSelected >= 0) {
+            searchSuggestionItems[searchSelected].action();
+        } else if (elements.searchInput.value.trim()) {
+            showSearchResults(elements.searchInput.value.trim());
+        }
+    } else if (e.key === 'Escape') {
+        hideSearchSuggestions();
+    }
+}
+
+function initSearch() {
+    const input = elements.searchInput;
+    if (!input) return;
+    input.addEventListener('input', onSearchInput);
+    input.addEventListener('keydown', onSearchKeydown);
+    input.addEventListener('blur', hideSearchSuggestions);
+}
+
+async function showSearchResults(query) {
+    clearTimeout(searchTimer);
+    hideSearchSuggestions();
+    setRoute(`/search/${encodeURIComponent(query)}`);
+    switchView('search');
+
+    const title = qs('searchResultsTitle');
+    const summary = qs('searchResultsSummary');
+    const container = qs('searchResultsContainer');
+    if (title) title.textContent = `Results for "${query}"`;
+    if (summary) summary.textContent = 'Searching...';
+    if (!container) return;
+    container.innerHTML = '';
+
+    let hits = [];
+    try {
+        hits = await runSearch(query);
+    } catch (err) {
+        if (err instanceof CancelledError) return;
+        console.error(err);
+        if (summary) summary.textContent = 'Search failed: ' + err.message;
         return;
     }
+    if (summary) summary.textContent = `${hits.length} result${hits.length === 1 ? '' : 's'}`;
+    trackEvent('search', { query: query.trim().toLowerCase(), results: hits.length });
 
-    const payload = {
-        title,
-        content,
-        category: categoryId,
-        is_draft: !!isDraft,
-    };
+    if (!hits.length) {
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-icon">🔍</div><p>Nothing matched "${escapeHtml(query)}".</p></div>`;
+        return;
+    }
+
+    // group by category path, keeping groups in order of their best hit
+    const terms = searchTerms(query);
+    const groups = new Map();
+    hits.forEach(hit => {
+        const key = hit.type === 'category' ? 'Categories' : (hit.path || 'Uncategorised');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(hit);
+    });
+
+    groups.forEach((groupHits, key) => {
+        const heading = document.createElement('h3');
+        heading.className = 'search-group-title';
+        heading.textContent = key.split('::').join(' › ');
+        container.appendChild(heading);
+
+        groupHits.forEach(hit => {
+            const card = document.createElement('div');
+            card.className = 'note-item';
+            card.onclick = () => openSearchHit(hit);
+            card.innerHTML = `
+                <div class="note-info">
+                    <h4>${highlightTerms(hit.title, terms)}</h4>
+                    <div class="note-meta">${hit.type === 'category' ? escapeHtml(hit.path) : highlightTerms(hit.snippet, terms)}</div>
+                </div>
+            `;
+            container.appendChild(card);
+        });
+    });
+}
+
+// ---------- ASSISTANT PAGE ----------
+// #/ia: a chat over askAssistant() (assistant.js), grounded in the published
+// notes. ?assistant=name or <meta name="assistant-provider" content="name">
+// picks the provider; "auto", the default, asks the server model and falls
+// back to quoting passages when the backend has no /api/assistant. Each
+// user's conversation is kept in localStorage as [{ role, text, citations:
+// [{ n, noteId, title, heading }], covered, provider, at }].
+const ASSISTANT_PREFIX = 'assistant:';
+const ASSISTANT_HISTORY_LIMIT = 100;
+// earlier messages sent along so follow-up questions make sense
+const ASSISTANT_CONTEXT_MESSAGES = 6;
 
+let assistantPassagesFor = null;    // the notes list the passages were built from
+let assistantPassages = [];
+let assistantServerAvailable = true;
+let assistantBusy = false;
+
+function readAssistantHistory() {
     try {
-        if (!editingNoteId) {
-            await api('/api/note', {
-                method: 'POST',
-                body: JSON.stringify(payload)
-            });
-            alert(isDraft ? 'Draft saved.' : 'Note published.');
-        } else {
-            await api(`/api/note/${editingNoteId}`, {
-                method: 'PUT',
-                body: JSON.stringify(payload)
-            });
-            alert(isDraft ? 'Draft updated.' : 'Note updated.');
-        }
+        return JSON.parse(localStorage.getItem(userStorageKey(ASSISTANT_PREFIX))) || [];
+    } catch {
+        return [];
+    }
+}
 
-        if (currentCategoryId) {
-            openCategoryById(currentCategoryId);
-        } else {
-            showAdminDashboard();
-        }
+function saveAssistantHistory(messages) {
+    localStorage.setItem(userStorageKey(ASSISTANT_PREFIX), JSON.stringify(messages.slice(-ASSISTANT_HISTORY_LIMIT)));
+}
+
+function assistantProviderSetting() {
+    return new URLSearchParams(location.search).get('assistant')
+        || document.querySelector('meta[name="assistant-provider"]')?.content.trim()
+        || 'auto';
+}
+
+function assistantProviderName() {
+    const setting = assistantProviderSetting();
+    if (setting !== 'auto') return setting;
+    return assistantServerAvailable ? 'server' : 'extractive';
+}
+
+// offline, the notes saved on this device are the library
+async function loadAssistantPassages() {
+    let notes;
+    try {
+        if (!searchNotesCache) searchNotesCache = await api('/api/notes');
+        notes = searchNotesCache;
     } catch (err) {
-        console.error(err);
-        alert('Error saving note: ' + err.message);
+        if (!isOfflineError(err)) throw err;
+        notes = await cachedNotes();
+    }
+    if (notes !== assistantPassagesFor) {
+        assistantPassages = buildAssistantPassages(notes);
+        assistantPassagesFor = notes;
     }
+    return assistantPassages;
 }
 
-// ---------- NOTE VIEW ----------
-async function showNoteView(noteId) {
-    switchView('noteView');
-    elements.noteTitle.textContent = 'Loading...';
-    elements.noteBody.innerHTML = '';
+function renderAssistantMessage(message) {
+    const el = document.createElement('div');
+    el.className = `assistant-message ${message.role}${message.role === 'assistant' && !message.covered ? ' uncovered' : ''}`;
+    if (message.role === 'user') {
+        el.textContent = message.text;
+        return el;
+    }
+    const byNumber = new Map((message.citations || []).map(c => [c.n, c]));
+    // escape first, then link the [n] markers the answer cites
+    const text = escapeHtml(message.text).replace(/\[(\d+)\]/g, (m, n) => {
+        const c = byNumber.get(Number(n));
+        return c ? `<sup><a href="#/note/${encodeURIComponent(c.noteId)}" title="${escapeHtml(c.title)}">[${n}]</a></sup>` : m;
+    });
+    el.innerHTML = `
+        ${message.covered ? '' : '<div class="assistant-flag"><i class="fas fa-circle-exclamation"></i> Not covered by our notes</div>'}
+        <div class="assistant-text">${text}</div>
+        ${message.citations?.length ? `
+            <ol class="assistant-sources">
+                ${message.citations.map(c => `
+                    <li value="${c.n}">
+                        <a href="#/note/${encodeURIComponent(c.noteId)}">${escapeHtml(c.title)}</a>${c.heading ? ` › ${escapeHtml(c.heading)}` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        ` : ''}
+        <div class="note-meta">${escapeHtml(assistantProvider(message.provider)?.label || message.provider)}</div>
+    `;
+    return el;
+}
+
+function renderAssistantPage() {
+    const container = qs('assistantMessages');
+    if (!container) return;
+    const messages = readAssistantHistory();
+    container.innerHTML = '';
+    if (!messages.length) {
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-icon"><i class="fas fa-robot"></i></div><p>Ask about anything in the ClinicalRoots notes, for example "What is the loading dose of aspirin in ACS?"</p></div>`;
+    }
+    messages.forEach(m => container.appendChild(renderAssistantMessage(m)));
+    if (assistantBusy) {
+        const pending = document.createElement('div');
+        pending.className = 'assistant-message assistant pending';
+        pending.textContent = 'Searching the notes...';
+        container.appendChild(pending);
+    }
+    qs('assistantClearBtn')?.classList.toggle('hidden', !messages.length);
+    const send = qs('assistantSendBtn');
+    if (send) send.disabled = assistantBusy;
+    container.scrollTop = container.scrollHeight;
+}
+
+async function askAssistantQuestion(e) {
+    e?.preventDefault();
+    const input = qs('assistantInput');
+    const question = input.value.trim();
+    if (!question || assistantBusy) return;
+
+    const messages = readAssistantHistory();
+    const history = messages.slice(-ASSISTANT_CONTEXT_MESSAGES).map(({ role, text }) => ({ role, text }));
+    saveAssistantHistory([...messages, { role: 'user', text: question, at: new Date().toISOString() }]);
+    input.value = '';
+    assistantBusy = true;
+    renderAssistantPage();
 
     try {
-        const note = await api(`/api/note/${noteId}`);
-        elements.noteTitle.textContent = note.title;
-        elements.noteBody.innerHTML = note.content;
-        elements.noteMeta.textContent = currentCategoryPath || '';
-        // reset progress
-        const fill = qs('progressFill');
-        const text = qs('progressText');
-        if (fill) fill.style.width = '0%';
-        if (text) text.textContent = '0%';
+        const passages = await loadAssistantPassages();
+        let reply;
+        try {
+            reply = await askAssistant(question, passages, { provider: assistantProviderName(), history });
+        } catch (err) {
+            // no model behind this backend: quote the passages instead
+            if (!(err instanceof NotFoundError) || assistantProviderSetting() !== 'auto') throw err;
+            assistantServerAvailable = false;
+            reply = await askAssistant(question, passages, { provider: 'extractive', history });
+        }
+        saveAssistantHistory([...readAssistantHistory(), {
+            role: 'assistant',
+            text: reply.text,
+            citations: reply.citations.map(p => ({ n: p.n, noteId: p.noteId, title: p.title, heading: p.heading })),
+            covered: reply.covered,
+            provider: reply.provider,
+            at: new Date().toISOString(),
+        }]);
     } catch (err) {
-        console.error(err);
-        elements.noteTitle.textContent = 'Error loading note';
-        elements.noteBody.textContent = err.message;
+        if (!(err instanceof CancelledError)) {
+            console.error(err);
+            showToast(isOfflineError(err)
+                ? "You're offline and no notes are saved on this device to answer from."
+                : 'The assistant could not answer: ' + err.message, 'error');
+        }
+    } finally {
+        assistantBusy = false;
+        renderAssistantPage();
     }
 }
 
+// Enter sends, Shift+Enter starts a new line
+function onAssistantKeydown(e) {
+    if (e.key === 'Enter' && !e.shiftKey) askAssistantQuestion(e);
+}
+
+function clearAssistantHistory() {
+    if (!confirm('Clear this conversation?')) return;
+    localStorage.removeItem(userStorageKey(ASSISTANT_PREFIX));
+    renderAssistantPage();
+}
+
 // ---------- ADMIN STATS ----------
 async function fetchAdminStats() {
     if (!currentUser) return;
@@ -695,100 +5981,539 @@ async function fetchAdminStats() {
         if (elements.publishedCount) elements.publishedCount.textContent = stats.total_notes ?? 0;
         if (elements.draftsCount) elements.draftsCount.textContent = stats.draft_notes ?? 0;
         if (elements.deletedCount) elements.deletedCount.textContent = stats.deleted_notes ?? 0;
+        if (elements.inReviewCount) elements.inReviewCount.textContent = stats.in_review_notes ?? 0;
+        if (elements.changesRequestedCount) elements.changesRequestedCount.textContent = stats.changes_requested_notes ?? 0;
+        if (elements.approvedCount) elements.approvedCount.textContent = stats.approved_notes ?? 0;
         if (elements.totalViews) elements.totalViews.textContent = stats.total_views ?? 0;
     } catch (err) {
         console.error(err);
     }
 }
 
-async function fetchTopNotes() {
-    if (!currentUser) return;
+// ---------- ANALYTICS TRACKING ----------
+// Reading events are queued and posted to /api/events in batches as
+// { reader_id, events: [{ type, at, ... }] }:
+//   note_view   { note_id, category_id }   a note was opened
+//   read_depth  { note_id, percent }       how far down it the reader got
+//   search      { query, results }         a search was run from the box
+// reader_id is a random id kept in localStorage, so unique readers can be
+// counted without knowing who they are. A backend without /api/events
+// turns tracking off for the session.
+const ANALYTICS_FLUSH_DELAY_MS = 5000;
+const ANALYTICS_QUEUE_LIMIT = 200;
+const READER_ID_KEY = 'readerId';
+
+let analyticsQueue = [];
+let analyticsTimer = null;
+let analyticsEndpointAvailable = true;
+let noteVisit = null;   // { noteId, depth } for the note on screen
+
+function readerId() {
+    let id = localStorage.getItem(READER_ID_KEY);
+    if (!id) {
+        id = crypto.randomUUID?.() || `r${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem(READER_ID_KEY, id);
+    }
+    return id;
+}
+
+function trackEvent(type, data) {
+    if (!analyticsEndpointAvailable) return;
+    analyticsQueue.push({ type, ...data, at: new Date().toISOString() });
+    // offline for a long time: keep the most recent
+    if (analyticsQueue.length > ANALYTICS_QUEUE_LIMIT) analyticsQueue = analyticsQueue.slice(-ANALYTICS_QUEUE_LIMIT);
+    clearTimeout(analyticsTimer);
+    analyticsTimer = setTimeout(() => flushAnalytics().catch(console.error), ANALYTICS_FLUSH_DELAY_MS);
+}
+
+async function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    if (!analyticsQueue.length || !analyticsEndpointAvailable) return;
+    const events = analyticsQueue;
+    analyticsQueue = [];
     try {
-        const top = await api('/api/note_views');
-        const list = qs('adminTopNotesList');
-        if (list) {
-            list.innerHTML = top.map(n => `<p>${n.title} (${n.views})</p>`).join('');
+        await api('/api/events', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ reader_id: readerId(), events })
+        });
+    } catch (err) {
+        if (err instanceof NotFoundError) {
+            analyticsEndpointAvailable = false;
+        } else if (isOfflineError(err)) {
+            // sent with the next batch once the connection is back
+            analyticsQueue = [...events, ...analyticsQueue].slice(-ANALYTICS_QUEUE_LIMIT);
+        } else {
+            console.error(err);
         }
+    }
+}
+
+// the page is going away: hand what is left to the browser to deliver
+function flushAnalyticsOnExit() {
+    endNoteVisit();
+    if (!analyticsQueue.length || !analyticsEndpointAvailable || !navigator.sendBeacon) return;
+    const body = new Blob([JSON.stringify({ reader_id: readerId(), events: analyticsQueue })], { type: 'application/json' });
+    if (navigator.sendBeacon(apiUrl('/api/events'), body)) analyticsQueue = [];
+}
+
+function beginNoteVisit(note) {
+    endNoteVisit();
+    noteVisit = { noteId: note.id, depth: 0 };
+    trackEvent('note_view', { note_id: note.id, category_id: note.category_id ?? null });
+}
+
+function endNoteVisit() {
+    if (!noteVisit) return;
+    trackEvent('read_depth', { note_id: noteVisit.noteId, percent: noteVisit.depth });
+    noteVisit = null;
+}
+
+// ---------- ANALYTICS ----------
+// #/admin/analytics. GET /api/analytics?interval=day|week|month answers
+// {
+//   buckets: ['2024-05-01', ...],            start of each period, oldest first
+//   views: { total: [n, ...],                one count per bucket
+//            by_note: [{ id, title, category_id, total, series }],
+//            by_category: [{ id, total, series }] },
+//   unique_readers,
+//   read_depth: { average, by_note: [{ id, title, average, reads }] },
+//   searches: { top: [{ query, count, average_results }],
+//               zero_results: [{ query, count }] }
+// }
+// Stale notes come from the published notes list, so they work on any backend.
+const ANALYTICS_TOP_ITEMS = 10;
+const STALE_DEFAULT_MONTHS = 6;
+
+let analyticsReport = null;
+let staleNotes = [];
+
+async function showAnalytics() {
+    if (!requirePermission('analytics.view')) return;
+    setRoute('/admin/analytics');
+    switchView('analytics');
+    await loadAnalytics();
+}
+
+function analyticsInterval() {
+    return qs('analyticsInterval')?.value || 'day';
+}
+
+async function loadAnalytics() {
+    const status = qs('analyticsStatus');
+    if (status) status.textContent = 'Loading...';
+    // what this browser has queued belongs in the report too
+    await flushAnalytics().catch(console.error);
+    try {
+        if (!flatCategories.length) await fetchCategoriesTree();
+        analyticsReport = await api(`/api/analytics?interval=${analyticsInterval()}`, { cancelKey: 'analytics' });
+        if (status) status.textContent = '';
     } catch (err) {
+        if (err instanceof CancelledError) return;
         console.error(err);
+        analyticsReport = null;
+        if (status) {
+            status.textContent = err instanceof NotFoundError
+                ? "This backend doesn't collect analytics yet. Stale notes are still listed below."
+                : 'Could not load analytics: ' + err.message;
+        }
+    }
+    renderAnalytics();
+    loadStaleNotes().catch(console.error);
+}
+
+function formatBucket(bucket, interval = analyticsInterval()) {
+    const date = new Date(interval === 'month' ? `${bucket}-01T00:00:00` : `${bucket}T00:00:00`);
+    return interval === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+        : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
+
+function renderAnalytics() {
+    const report = analyticsReport;
+    qs('analyticsReport')?.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    const totalViews = report.views.total.reduce((sum, n) => sum + n, 0);
+    const zeroSearches = report.searches.zero_results.reduce((sum, s) => sum + s.count, 0);
+    qs('analyticsViews').textContent = totalViews;
+    qs('analyticsReaders').textContent = report.unique_readers ?? 0;
+    qs('analyticsDepth').textContent = report.read_depth.average === null ? '–' : `${Math.round(report.read_depth.average)}%`;
+    qs('analyticsZeroSearches').textContent = zeroSearches;
+
+    // the series picker: every view total the report breaks down
+    const picker = qs('analyticsSeries');
+    const chosen = picker.value;
+    picker.innerHTML = `
+        <option value="all">All notes</option>
+        <optgroup label="Categories">
+            ${report.views.by_category.map(c => `<option value="category:${c.id}">${escapeHtml(categoryPathFor(c.id).replace(/::/g, ' › ') || `Category ${c.id}`)}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Notes">
+            ${report.views.by_note.map(n => `<option value="note:${n.id}">${escapeHtml(n.title)}</option>`).join('')}
+        </optgroup>
+    `;
+    if ([...picker.options].some(o => o.value === chosen)) picker.value = chosen;
+    renderViewsChart();
+
+    renderBarChart(qs('analyticsTopNotes'), [...report.views.by_note]
+        .sort((a, b) => b.total - a.total)
+        .slice(0, ANALYTICS_TOP_ITEMS)
+        .map(n => ({ label: n.title, value: n.total })));
+    renderBarChart(qs('analyticsCategories'), [...report.views.by_category]
+        .sort((a, b) => b.total - a.total)
+        .slice(0, ANALYTICS_TOP_ITEMS)
+        .map(c => ({ label: categoryPathFor(c.id).replace(/::/g, ' › ') || `Category ${c.id}`, value: c.total })));
+    renderBarChart(qs('analyticsReadDepth'), [...report.read_depth.by_note]
+        .sort((a, b) => b.reads - a.reads)
+        .slice(0, ANALYTICS_TOP_ITEMS)
+        .map(n => ({
+            label: n.title,
+            value: n.average,
+            display: `${Math.round(n.average)}% · ${n.reads} read${n.reads === 1 ? '' : 's'}`,
+        })));
+    renderBarChart(qs('analyticsSearches'), report.searches.top
+        .slice(0, ANALYTICS_TOP_ITEMS)
+        .map(s => ({ label: s.query, value: s.count })));
+    renderBarChart(qs('analyticsZeroResults'), report.searches.zero_results
+        .slice(0, ANALYTICS_TOP_ITEMS)
+        .map(s => ({ label: s.query, value: s.count })));
+}
+
+function selectedViewSeries() {
+    const report = analyticsReport;
+    const [kind, id] = (qs('analyticsSeries')?.value || 'all').split(':');
+    if (kind === 'category') {
+        const c = report.views.by_category.find(item => item.id === Number(id));
+        if (c) return { name: categoryPathFor(c.id).replace(/::/g, ' › ') || `Category ${c.id}`, values: c.series };
+    } else if (kind === 'note') {
+        const n = report.views.by_note.find(item => item.id === Number(id));
+        if (n) return { name: n.title, values: n.series };
     }
+    return { name: 'All notes', values: report.views.total };
 }
 
-// ---------- EDITOR HELPER BUTTONS ----------
-function formatText(cmd) {
-    document.execCommand(cmd, false, null);
+function renderViewsChart() {
+    if (!analyticsReport) return;
+    const labels = analyticsReport.buckets.map(b => formatBucket(b));
+    renderLineChart(qs('analyticsViewsChart'), labels, [selectedViewSeries()]);
 }
 
-function insertHeading() {
-    document.execCommand('formatBlock', false, 'h2');
+function staleMonths() {
+    return Math.max(1, Number(qs('staleMonths')?.value) || STALE_DEFAULT_MONTHS);
 }
 
-function insertList() {
-    document.execCommand('insertUnorderedList', false, null);
+async function loadStaleNotes() {
+    staleNotes = await fetchAllAdminNotes('staleNotes', { status: 'published', sort: 'updated_at', order: 'asc' });
+    renderStaleNotes();
 }
 
-function insertLink() {
-    const url = prompt('Enter URL:');
-    if (url) {
-        document.execCommand('createLink', false, url);
+function staleCutoff() {
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - staleMonths());
+    return cutoff;
+}
+
+function currentStaleNotes() {
+    const cutoff = staleCutoff();
+    return staleNotes
+        .filter(n => n.updated_at && new Date(n.updated_at) < cutoff)
+        .sort((a, b) => new Date(a.updated_at) - new Date(b.updated_at));
+}
+
+function renderStaleNotes() {
+    const container = qs('analyticsStale');
+    if (!container) return;
+    const notes = currentStaleNotes();
+    container.innerHTML = '';
+    if (!notes.length) {
+        container.innerHTML = `<p class="note-meta">Every published note has been updated in the last ${staleMonths()} month${staleMonths() === 1 ? '' : 's'}.</p>`;
+        return;
     }
+    notes.forEach(n => {
+        const row = document.createElement('div');
+        row.className = 'stale-note';
+        row.innerHTML = `
+            <a href="#/note/${n.id}">${escapeHtml(n.title)}</a>
+            <span class="note-meta">${escapeHtml(categoryPathFor(n.category_id).replace(/::/g, ' › '))}</span>
+            <span class="note-meta">updated ${new Date(n.updated_at).toLocaleDateString()}</span>
+            ${can('notes.edit') ? `<button class="admin-btn edit" title="Edit" onclick="openEditNote(${n.id})"><i class="fas fa-pen"></i></button>` : ''}
+        `;
+        container.appendChild(row);
+    });
+}
+
+// ----- CSV export -----
+// titles and search queries come from users; a spreadsheet would run one
+// starting with = + - @ as a formula, so those get a leading quote
+function analyticsCsvField(value) {
+    return csvField(typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
 }
 
-function insertImage() {
-    const url = prompt('Enter image URL:');
-    if (url) {
-        document.execCommand('insertImage', false, url);
+function analyticsCsv(kind) {
+    const report = analyticsReport;
+    const rows = [];
+    if (kind === 'views' && report) {
+        rows.push(['period', 'series', 'name', 'views']);
+        const add = (series, name, values) => values.forEach((v, i) => rows.push([report.buckets[i], series, name, v]));
+        add('all', 'All notes', report.views.total);
+        report.views.by_category.forEach(c => add('category', categoryPathFor(c.id) || c.id, c.series));
+        report.views.by_note.forEach(n => add('note', n.title, n.series));
+    } else if (kind === 'notes' && report) {
+        rows.push(['note_id', 'title', 'category', 'views', 'reads', 'average_read_depth']);
+        const depth = new Map(report.read_depth.by_note.map(n => [n.id, n]));
+        report.views.by_note.forEach(n => rows.push([
+            n.id,
+            n.title,
+            categoryPathFor(n.category_id),
+            n.total,
+            depth.get(n.id)?.reads ?? 0,
+            depth.has(n.id) ? Math.round(depth.get(n.id).average) : '',
+        ]));
+    } else if (kind === 'searches' && report) {
+        rows.push(['query', 'searches', 'average_results']);
+        report.searches.top.forEach(s => rows.push([s.query, s.count, s.average_results]));
+        report.searches.zero_results
+            .filter(z => !report.searches.top.some(s => s.query === z.query))
+            .forEach(z => rows.push([z.query, z.count, 0]));
+    } else if (kind === 'stale') {
+        rows.push(['note_id', 'title', 'category', 'last_updated']);
+        currentStaleNotes().forEach(n => rows.push([n.id, n.title, categoryPathFor(n.category_id), n.updated_at]));
     }
+    return rows.map(row => row.map(analyticsCsvField).join(',')).join('\n') + '\n';
 }
 
-// ---------- ABOUT PAGE EDITOR (LOCAL ONLY) ----------
-function editAboutContent() {
-    const aboutContent = qs('aboutContent');
-    const modal = qs('aboutEditorModal');
-    const editor = qs('aboutEditor');
-    if (!aboutContent || !modal || !editor) return;
-    editor.innerHTML = aboutContent.innerHTML;
-    modal.style.display = 'flex';
+function exportAnalyticsCsv(kind) {
+    if (kind !== 'stale' && !analyticsReport) {
+        showToast('There is no analytics data to export.', 'info');
+        return;
+    }
+    const suffix = kind === 'stale' ? `${staleMonths()}-months` : analyticsInterval();
+    downloadFile(`analytics-${kind}-${suffix}.csv`, analyticsCsv(kind), 'text/csv');
 }
 
-function closeAboutEditor() {
-    const modal = qs('aboutEditorModal');
-    if (modal) modal.style.display = 'none';
+// ---------- EDITORS ----------
+// Both rich-text surfaces share the editor component from editor.js.
+let noteEditor = null;
+let contentEditor = null;
+
+function initEditors() {
+    if (elements.noteFormContent) {
+        noteEditor = createRichEditor(elements.noteFormContent, qs('noteFormToolbar'), { onChange: markNoteFormDirty });
+    }
+    const content = qs('contentEditor');
+    if (content) contentEditor = createRichEditor(content, qs('contentEditorToolbar'));
+}
+
+// ---------- CONTENT BLOCKS ----------
+// The editable parts of the static pages are content blocks, marked in the
+// HTML with data-content-block="<key>". The markup shipped in index.html is
+// each block's fallback. At boot the published versions come from
+// /api/content as [{ key, html, version, published_at }]; the last copy is
+// kept in IndexedDB for when the endpoint can't be reached. Every save
+// creates a new version, either a draft or published; publishing archives
+// the version that was live.
+const CONTENT_BLOCKS = {
+    'home.hero': { label: 'Home page introduction', render: promoteFirstHeading },
+    'tools.intro': { label: 'Tools page introduction', render: promoteFirstHeading },
+    'about.body': { label: 'About page' },
+    'footer.links': { label: 'Footer links', render: groupFooterSections },
+};
+
+let editingContentKey = null;
+let contentVersions = [];
+
+function contentBlockElement(key) {
+    return document.querySelector(`[data-content-block="${key}"]`);
+}
+
+// the editor keeps h1 for note titles, so intros are stored with an h2
+function promoteFirstHeading(el) {
+    const heading = el.querySelector('h2');
+    if (!heading || el.querySelector('h1')) return;
+    const h1 = document.createElement('h1');
+    h1.innerHTML = heading.innerHTML;
+    heading.replaceWith(h1);
+}
+
+// the editor flattens the footer's columns; each heading starts a new one
+function groupFooterSections(el) {
+    if (el.querySelector('.footer-section')) return;
+    const nodes = [...el.childNodes];
+    let section = null;
+    nodes.forEach(node => {
+        if (node.nodeName === 'H4' || !section) {
+            section = document.createElement('div');
+            section.className = 'footer-section';
+            el.insertBefore(section, node);
+        }
+        section.appendChild(node);
+    });
+}
+
+function renderContentBlock(key, html) {
+    const el = contentBlockElement(key);
+    if (!el) return;
+    el.innerHTML = sanitizeHtml(html);
+    CONTENT_BLOCKS[key]?.render?.(el);
+}
+
+async function loadContentBlocks() {
+    let blocks;
+    try {
+        blocks = await api('/api/content', { auth: false });
+        setOfflineMeta('contentBlocks', blocks).catch(console.error);
+    } catch (err) {
+        // no content endpoint, or offline: the last copy, else what index.html ships
+        console.error(err);
+        blocks = await offlineMeta('contentBlocks');
+    }
+    (blocks || []).forEach(block => {
+        if (CONTENT_BLOCKS[block.key] && block.html) renderContentBlock(block.key, block.html);
+    });
+}
+
+async function editContentBlock(key) {
+    if (!requirePermission('content.edit')) return;
+    const el = contentBlockElement(key);
+    const modal = qs('contentEditorModal');
+    if (!el || !modal || !contentEditor) return;
+
+    editingContentKey = key;
+    contentVersions = [];
+    qs('contentEditorTitle').textContent = `Edit ${CONTENT_BLOCKS[key].label}`;
+    contentEditor.setHTML(el.innerHTML);
+    renderContentVersions();
+    modal.style.display = 'flex';
+
+    try {
+        // [{ version, html, status, author, updated_at }], newest first
+        contentVersions = await api(`/api/content/${encodeURIComponent(key)}/versions`);
+    } catch (err) {
+        // a backend without content versions still lets the page be edited
+        if (!(err instanceof NotFoundError)) {
+            console.error(err);
+            showToast('Could not load earlier versions: ' + err.message, 'error');
+        }
+    }
+    if (editingContentKey !== key) return;
+    // carry on from an unpublished draft newer than the live version
+    const latest = contentVersions[0];
+    if (latest?.status === 'draft') {
+        contentEditor.setHTML(latest.html);
+        showToast(`Editing the unpublished draft from ${new Date(latest.updated_at).toLocaleString()}.`, 'info');
+    }
+    renderContentVersions();
 }
 
-function formatAboutText(cmd) {
-    document.execCommand(cmd, false, null);
+const CONTENT_VERSION_LABELS = {
+    draft: 'Draft',
+    published: 'Published',
+    archived: 'Earlier',
+};
+
+function renderContentVersions() {
+    const select = qs('contentVersionSelect');
+    if (!select) return;
+    qs('contentVersions')?.classList.toggle('hidden', !contentVersions.length);
+    select.innerHTML = contentVersions.map(v => `
+        <option value="${v.version}">
+            v${v.version} · ${CONTENT_VERSION_LABELS[v.status] || escapeHtml(v.status)} · ${new Date(v.updated_at).toLocaleString()}${v.author ? ` · ${escapeHtml(v.author)}` : ''}
+        </option>
+    `).join('');
 }
 
-function insertAboutHeading() {
-    document.execCommand('formatBlock', false, 'h2');
+// put an earlier version in the editor; saving it makes a new version
+function loadContentVersion() {
+    const version = Number(qs('contentVersionSelect')?.value);
+    const found = contentVersions.find(v => v.version === version);
+    if (!found) return;
+    contentEditor.setHTML(found.html);
+    showToast(`Loaded version ${version}. Publish or save it as a draft to keep it.`, 'info');
 }
 
-function insertAboutList() {
-    document.execCommand('insertUnorderedList', false, null);
+function closeContentEditor() {
+    const modal = qs('contentEditorModal');
+    if (modal) modal.style.display = 'none';
+    editingContentKey = null;
 }
 
-function insertAboutLink() {
-    const url = prompt('Enter URL:');
-    if (url) {
-        document.execCommand('createLink', false, url);
+async function saveContentBlock(status = 'published') {
+    const key = editingContentKey;
+    if (!key || !contentEditor || !requirePermission('content.edit')) return;
+    const html = contentEditor.getHTML();
+    let saved;
+    try {
+        saved = await api(`/api/content/${encodeURIComponent(key)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ html, status })
+        });
+    } catch (err) {
+        console.error(err);
+        showToast('Could not save: ' + err.message, 'error');
+        return;
+    }
+
+    if (status === 'published') {
+        renderContentBlock(key, html);
+        const cached = (await offlineMeta('contentBlocks')) || [];
+        setOfflineMeta('contentBlocks', [
+            ...cached.filter(b => b.key !== key),
+            { key, html, version: saved?.version, published_at: saved?.updated_at },
+        ]).catch(console.error);
     }
+    closeContentEditor();
+    showToast(status === 'published'
+        ? `${CONTENT_BLOCKS[key].label} published.`
+        : 'Draft saved. Readers still see the published version.', 'success');
+}
+
+function editAboutContent() {
+    editContentBlock('about.body');
 }
 
-function saveAboutContent() {
-    const editor = qs('aboutEditor');
-    const aboutContent = qs('aboutContent');
-    if (!editor || !aboutContent) return;
-    aboutContent.innerHTML = editor.innerHTML;
-    closeAboutEditor();
-    alert('About content updated locally (not saved to backend).');
+function editToolsContent() {
+    editContentBlock('tools.intro');
 }
 
 // ---------- BOOT ----------
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     updateLoginUI();
+    initEditors();
+    initNoteAutosave();
     if (elements.loginForm) {
         elements.loginForm.addEventListener('submit', handleLogin);
     }
-    fetchAndRenderTopCategories().catch(console.error);
+    qs('signupForm')?.addEventListener('submit', handleSignup);
+    qs('forgotPasswordForm')?.addEventListener('submit', handleForgotPassword);
+    qs('resetPasswordForm')?.addEventListener('submit', handleResetPassword);
+    qs('profileForm')?.addEventListener('submit', saveDisplayName);
+    qs('passwordForm')?.addEventListener('submit', changePassword);
+    qs('deleteAccountForm')?.addEventListener('submit', deleteAccount);
+    qs('noteBackBtn')?.addEventListener('click', noteBack);
+    qs('subcategoryBackBtn')?.addEventListener('click', subcategoryBack);
+    elements.noteFormTags?.addEventListener('keydown', onTagInputKeydown);
+    elements.noteFormTags?.addEventListener('change', () => {
+        // picking a <datalist> option fires change without a key press
+        if (knownTags?.includes(elements.noteFormTags.value)) {
+            addNoteFormTag(elements.noteFormTags.value);
+            elements.noteFormTags.value = '';
+        }
+    });
+    initSearch();
+    initOffline();
+    initAnnotations();
+    window.addEventListener('pagehide', flushAnalyticsOnExit);
+    window.addEventListener('scroll', onNoteScroll, { passive: true });
+    qs('studyGuideOutput')?.addEventListener('click', onStudyGuideClick);
+    // nothing may call the backend before it is known
+    await loadApiConfig();
+    loadContentBlocks().catch(console.error);
+    syncProgressFromServer().catch(console.error);
+    syncCollectionsFromServer().catch(console.error);
+
+    routeDepth = history.state?.depth || 0;
+    history.replaceState({ path: currentRoute(), depth: routeDepth }, '', location.hash || '#/');
+    window.addEventListener('popstate', onPopState);
+    handleRoute().catch(console.error);
 });
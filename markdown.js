@@ -0,0 +1,396 @@
+// ---------- MARKDOWN ----------
+// Converts between Markdown and the HTML subset the editor produces:
+// headings, paragraphs, nested lists, block quotes, fenced code, GFM tables,
+// rules, images, links and the clinical callouts, written as
+// "> [!red-flag]" blocks. Output of markdownToHtml() is not trusted markup;
+// callers pass it through sanitizeHtml() like any other input.
+
+const CALLOUT_TYPES = {
+    'red-flag': 'Red flag',
+    pearl: 'Clinical pearl',
+    mnemonic: 'Mnemonic',
+};
+
+// inline tags with no Markdown syntax, kept as raw HTML both ways
+const MARKDOWN_RAW_INLINE = /&lt;(\/?)(u|sup|sub|mark|br)\s*\/?&gt;/gi;
+
+function markdownInline(text) {
+    const codeSpans = [];
+    let out = escapeHtml(text)
+        .replace(/`([^`]+)`/g, (m, code) => {
+            codeSpans.push(`<code>${code}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        })
+        .replace(/\\([\\`*_[\]()#+\-.!~|])/g, (m, ch) => `&#${ch.charCodeAt(0)};`)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g,
+            (m, alt, src, title) => `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/\b_(?=\S)([\s\S]*?\S)_\b/g, '<em>$1</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/ {2,}\n/g, '<br>')
+        .replace(MARKDOWN_RAW_INLINE, '<$1$2>');
+    out = out.replace(/\u0000(\d+)\u0000/g, (m, i) => codeSpans[i]);
+    return out;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(c => c.trim());
+}
+
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// lines -> nested list HTML, nesting by indentation
+function markdownList(lines) {
+    const items = [];
+    lines.forEach(line => {
+        const m = line.match(MD_LIST_ITEM);
+        if (m) {
+            items.push({ indent: m[1].replace(/\t/g, '    ').length, ordered: /\d/.test(m[2]), start: parseInt(m[2], 10), text: m[3] });
+        } else if (items.length) {
+            items[items.length - 1].text += '\n' + line.trim();
+        }
+    });
+
+    function build(start, indent) {
+        const ordered = items[start].ordered;
+        const first = ordered && items[start].start !== 1 ? ` start="${items[start].start}"` : '';
+        let html = ordered ? `<ol${first}>` : '<ul>';
+        let i = start;
+        while (i < items.length && items[i].indent >= indent) {
+            if (items[i].indent > indent) {
+                // deeper item without a parent on this level: treat as sibling
+                items[i].indent = indent;
+            }
+            html += `<li>${markdownInline(items[i].text)}`;
+            i++;
+            if (i < items.length && items[i].indent > indent) {
+                const nested = build(i, items[i].indent);
+                html += nested.html;
+                i = nested.next;
+            }
+            html += '</li>';
+        }
+        html += ordered ? '</ol>' : '</ul>';
+        return { html, next: i };
+    }
+
+    let html = '';
+    let i = 0;
+    while (i < items.length) {
+        const built = build(i, items[i].indent);
+        html += built.html;
+        i = built.next;
+    }
+    return html;
+}
+
+function markdownToHtml(md) {
+    const lines = String(md ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    let i = 0;
+
+    const isBlank = l => !l.trim();
+    const startsBlock = l => /^(#{1,6}\s|```|>|\s*([-*+]|\d+[.)])\s|\s*([-*_])(\s*\3){2,}\s*$)/.test(l);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // fenced code
+        const fence = line.match(/^```\s*([\w-]*)\s*$/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```\s*$/.test(lines[i])) code.push(lines[i++]);
+            i++;
+            out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${markdownInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // block quote or callout
+        if (/^>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^>/.test(lines[i])) quoted.push(lines[i++].replace(/^>\s?/, ''));
+            const callout = quoted[0].match(/^\[!([\w-]+)\]\s*$/i);
+            if (callout && CALLOUT_TYPES[callout[1].toLowerCase()]) {
+                out.push(`<div class="callout callout-${callout[1].toLowerCase()}">${markdownToHtml(quoted.slice(1).join('\n'))}</div>`);
+            } else {
+                out.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+            }
+            continue;
+        }
+
+        // GFM table: header row followed by a |---| separator
+        if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+            const head = splitTableRow(line);
+            i += 2;
+            const rows = [];
+            while (i < lines.length && lines[i].includes('|') && !isBlank(lines[i])) rows.push(splitTableRow(lines[i++]));
+            out.push(
+                '<table><thead><tr>' + head.map(c => `<th>${markdownInline(c)}</th>`).join('') + '</tr></thead>' +
+                '<tbody>' + rows.map(r => '<tr>' + head.map((h, j) => `<td>${markdownInline(r[j] || '')}</td>`).join('') + '</tr>').join('') +
+                '</tbody></table>'
+            );
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const listLines = [];
+            while (i < lines.length && !isBlank(lines[i]) && (MD_LIST_ITEM.test(lines[i]) || /^\s+\S/.test(lines[i]))) {
+                listLines.push(lines[i++]);
+            }
+            out.push(markdownList(listLines));
+            continue;
+        }
+
+        // paragraph: runs until a blank line or the start of another block
+        const para = [line];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) para.push(lines[i++]);
+        out.push(`<p>${markdownInline(para.join('\n'))}</p>`);
+    }
+    return out.join('\n');
+}
+
+// ---------- HTML -> MARKDOWN ----------
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function inlineToMarkdown(node) {
+    let out = '';
+    node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            out += escapeMarkdown(child.textContent.replace(/\s+/g, ' '));
+            return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const tag = child.nodeName.toLowerCase();
+        const inner = () => inlineToMarkdown(child);
+        switch (tag) {
+            case 'strong':
+            case 'b':
+                out += wrapMarkdown(inner(), '**');
+                break;
+            case 'em':
+            case 'i':
+                out += wrapMarkdown(inner(), '*');
+                break;
+            case 's':
+                out += wrapMarkdown(inner(), '~~');
+                break;
+            case 'code':
+                out += '`' + child.textContent + '`';
+                break;
+            case 'a':
+                out += child.getAttribute('href') ? `[${inner()}](${child.getAttribute('href')})` : inner();
+                break;
+            case 'img':
+                out += `![${child.getAttribute('alt') || ''}](${child.getAttribute('src') || ''})`;
+                break;
+            case 'br':
+                out += '  \n';
+                break;
+            case 'u':
+            case 'sup':
+            case 'sub':
+            case 'mark':
+                out += `<${tag}>${inner()}</${tag}>`;
+                break;
+            case 'ul':
+            case 'ol':
+                // nested lists are handled by listToMarkdown
+                break;
+            default:
+                out += inner();
+        }
+    });
+    return out;
+}
+
+// keep the markers outside surrounding spaces: "** x **" is not bold in Markdown
+function wrapMarkdown(text, marker) {
+    const m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? `${m[1]}${marker}${m[2]}${marker}${m[3]}` : text;
+}
+
+function listToMarkdown(list, depth = 0) {
+    const ordered = list.nodeName === 'OL';
+    let n = parseInt(list.getAttribute('start'), 10) || 1;
+    const lines = [];
+    [...list.children].forEach(li => {
+        if (li.nodeName !== 'LI') return;
+        const marker = ordered ? `${n++}.` : '-';
+        lines.push(`${'    '.repeat(depth)}${marker} ${inlineToMarkdown(li).trim()}`);
+        [...li.children]
+            .filter(c => c.nodeName === 'UL' || c.nodeName === 'OL')
+            .forEach(sub => lines.push(listToMarkdown(sub, depth + 1)));
+    });
+    return lines.join('\n');
+}
+
+function tableToMarkdown(table) {
+    const rows = [...table.querySelectorAll('tr')].map(tr =>
+        [...tr.children].map(cell => inlineToMarkdown(cell).trim().replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')));
+    if (!rows.length) return '';
+    const width = Math.max(...rows.map(r => r.length));
+    const pad = r => [...r, ...Array(width - r.length).fill('')];
+    const line = r => `| ${pad(r).join(' | ')} |`;
+    return [line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// everything else is inline; wrappers without a Markdown form (div, section...) are flattened
+const MARKDOWN_BLOCK_TAGS = [
+    'p', 'ul', 'ol', 'blockquote', 'pre', 'table', 'hr', 'div', 'figure',
+    'section', 'article', 'header', 'footer', 'nav', 'aside', 'main',
+];
+
+function blocksToMarkdown(container) {
+    const out = [];
+    let inline = null;
+    const flush = () => {
+        if (inline && inline.trim()) out.push(inline.trim());
+        inline = null;
+    };
+
+    container.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            inline = (inline || '') + escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        const tag = node.nodeName.toLowerCase();
+        const heading = tag.match(/^h([1-6])$/);
+
+        if (!heading && !MARKDOWN_BLOCK_TAGS.includes(tag)) {
+            const wrapper = document.createElement('span');
+            wrapper.appendChild(node.cloneNode(true));
+            inline = (inline || '') + inlineToMarkdown(wrapper);
+            return;
+        }
+        flush();
+
+        if (heading) {
+            out.push(`${'#'.repeat(Number(heading[1]))} ${inlineToMarkdown(node).trim()}`);
+        } else if (tag === 'p') {
+            const text = inlineToMarkdown(node).trim();
+            if (text) out.push(text);
+        } else if (tag === 'ul' || tag === 'ol') {
+            out.push(listToMarkdown(node));
+        } else if (tag === 'blockquote') {
+            out.push(blocksToMarkdown(node).split('\n').map(l => `> ${l}`.trimEnd()).join('\n'));
+        } else if (tag === 'pre') {
+            out.push('```\n' + node.textContent.replace(/\n$/, '') + '\n```');
+        } else if (tag === 'table') {
+            out.push(tableToMarkdown(node));
+        } else if (tag === 'hr') {
+            out.push('---');
+        } else {
+            const type = tag === 'div' && Object.keys(CALLOUT_TYPES).find(t => node.classList.contains(`callout-${t}`));
+            if (type) {
+                const body = blocksToMarkdown(node).split('\n').map(l => `> ${l}`.trimEnd());
+                out.push([`> [!${type}]`, ...body].join('\n'));
+            } else {
+                const inner = blocksToMarkdown(node);
+                if (inner) out.push(inner);
+            }
+        }
+    });
+    flush();
+    return out.join('\n\n');
+}
+
+function htmlToMarkdown(html) {
+    const doc = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+    return blocksToMarkdown(doc.body);
+}
+
+// ---------- FRONT MATTER ----------
+// The metadata block at the top of an imported or exported note file:
+//   ---
+//   title: Acute Asthma
+//   category: Medical::Respiratory
+//   tags: [respiratory, emergency]
+//   draft: false
+//   ---
+// Only the YAML a note needs is read: "key: value" lines, [a, b] and
+// "- item" lists, and lists of "- key: value" maps. A value that parses as
+// JSON is taken as JSON, anything else as plain text. formatFrontMatter()
+// writes every value as JSON, which YAML reads the same way.
+const FRONT_MATTER_PAIR = /^\s*([\w-]+):(?:\s+(.*))?$/;
+
+function frontMatterValue(raw) {
+    const text = String(raw ?? '').trim();
+    try {
+        return JSON.parse(text);
+    } catch {
+        const list = text.match(/^\[(.*)\]$/);
+        if (list) return list[1].split(',').map(item => item.trim()).filter(Boolean).map(frontMatterValue);
+        const quoted = text.match(/^'(.*)'$/);
+        return quoted ? quoted[1].replace(/''/g, "'") : text;
+    }
+}
+
+// -> { data, body }; throws on a line it can't read
+function parseFrontMatter(text) {
+    const src = String(text ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const block = src.match(/^---\n(?:([\s\S]*?)\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+    if (!block) return { data: {}, body: src };
+
+    const data = {};
+    let listKey = null;   // the key whose "- item" lines are being read
+    let item = null;      // the map item being read
+    (block[1] || '').split('\n').forEach((line, i) => {
+        if (!line.trim() || /^\s*#/.test(line)) return;
+        const listItem = line.match(/^\s*-\s+(.*)$/);
+        if (listKey && listItem) {
+            const pair = listItem[1].match(FRONT_MATTER_PAIR);
+            item = pair ? { [pair[1]]: frontMatterValue(pair[2]) } : null;
+            data[listKey].push(item || frontMatterValue(listItem[1]));
+            return;
+        }
+        const pair = line.match(FRONT_MATTER_PAIR);
+        const indented = /^\s/.test(line);
+        if (!pair || (indented && !item)) throw new Error(`Front matter line ${i + 2} can't be read: "${line.trim()}"`);
+        if (indented) {
+            item[pair[1]] = frontMatterValue(pair[2]);
+            return;
+        }
+        item = null;
+        if (pair[2]?.trim()) {
+            listKey = null;
+            data[pair[1]] = frontMatterValue(pair[2]);
+        } else {
+            listKey = pair[1];
+            data[listKey] = [];
+        }
+    });
+    return { data, body: src.slice(block[0].length) };
+}
+
+function formatFrontMatter(data) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
@@ -0,0 +1,791 @@
+// ---------- MOCK BACKEND ----------
+// An in-browser stand-in for the Flask API, for demos, offline work and
+// integration tests. installMockBackend() wraps window.fetch: requests whose
+// path starts with /api/ are answered from an in-memory copy of
+// MOCK_FIXTURES, everything else still goes to the network. Changes are kept
+// in localStorage so a reload doesn't lose them; resetMockBackend() starts
+// over. Endpoints without a mock answer 404, which the app already treats
+// as "this backend doesn't have that feature".
+//
+// Fixture accounts all use the password "password1":
+//   admin@example.com, reviewer@example.com, contributor@example.com,
+//   reader@example.com
+const MOCK_STORAGE_KEY = 'mockBackend';
+const MOCK_LATENCY_MS = 150;
+const MOCK_PASSWORD = 'password1';
+
+const MOCK_FIXTURES = {
+    users: [
+        { id: 1, name: 'Admin', email: 'admin@example.com', role: 'admin' },
+        { id: 2, name: 'Rita Reviewer', email: 'reviewer@example.com', role: 'reviewer' },
+        { id: 3, name: 'Cole Contributor', email: 'contributor@example.com', role: 'contributor' },
+        { id: 4, name: 'Rae Reader', email: 'reader@example.com', role: 'reader' },
+    ],
+    categories: [
+        {
+            id: 1, name: 'Medical', parent_id: null, position: 0, icon: 'fa-heart-pulse', color: '#dc2626',
+            description: 'Deepen your roots in medical understanding and branch out your knowledge across physiology, pathology, and clinical reasoning.',
+        },
+        {
+            id: 2, name: 'Surgical', parent_id: null, position: 1, icon: 'fa-user-md', color: '#2563eb',
+            description: 'Surgical procedures, techniques, and perioperative care',
+        },
+        {
+            id: 3, name: 'Specialty', parent_id: null, position: 2, icon: 'fa-user-md', color: '#7c3aed',
+            description: 'Specialized medical fields and advanced practice areas',
+        },
+        { id: 4, name: 'Cardiology', parent_id: 1, position: 0 },
+        { id: 5, name: 'Respiratory', parent_id: 1, position: 1 },
+        { id: 6, name: 'General Surgery', parent_id: 2, position: 0 },
+        { id: 7, name: 'Paediatrics', parent_id: 3, position: 0 },
+    ],
+    notes: [
+        {
+            id: 1,
+            title: 'Acute Coronary Syndrome',
+            category_id: 4,
+            status: 'published',
+            views: 42,
+            author_id: 1,
+            tags: ['cardiology', 'emergency'],
+            content: '<h2>Definition</h2><p>Acute coronary syndrome covers <mark>unstable angina, NSTEMI and STEMI</mark>, all caused by rupture of an atherosclerotic plaque with thrombosis.</p>' +
+                '<h2>Management</h2><ul><li>Aspirin 300 mg loading dose</li><li>STEMI: primary PCI within 120 minutes of diagnosis</li><li>NSTEMI: risk-stratify with the GRACE score</li></ul>',
+            sources: [{ title: 'NICE NG185: Acute coronary syndromes', url: 'https://www.nice.org.uk/guidance/ng185' }],
+            questions: [{
+                type: 'sba',
+                stem: 'What is the loading dose of aspirin in suspected ACS?',
+                options: ['75 mg', '150 mg', '300 mg', '600 mg', '1 g'],
+                answer: 2,
+                explanation: 'A single 300 mg dose is given as soon as ACS is suspected.',
+            }],
+            flashcards: [{ front: 'Target time to primary PCI in STEMI?', back: 'Within 120 minutes of diagnosis' }],
+        },
+        {
+            id: 2,
+            title: 'Chronic Heart Failure',
+            category_id: 4,
+            status: 'published',
+            views: 17,
+            author_id: 3,
+            tags: ['cardiology'],
+            content: '<h2>First-line treatment</h2><p>For reduced ejection fraction give <mark>an ACE inhibitor and a beta-blocker</mark>, then add a mineralocorticoid receptor antagonist if symptoms persist.</p>',
+            sources: [],
+            questions: [{
+                type: 'tf',
+                stem: 'Beta-blockers are contraindicated in stable heart failure with reduced ejection fraction.',
+                answer: false,
+                explanation: 'They reduce mortality and are first-line.',
+            }],
+            flashcards: [],
+        },
+        {
+            id: 3,
+            title: 'Acute Asthma',
+            category_id: 5,
+            status: 'published',
+            views: 23,
+            author_id: 1,
+            updated_at: '2024-11-04T09:00:00.000Z',
+            tags: ['respiratory', 'emergency'],
+            content: '<h2>Severity</h2><p>Life-threatening features include <mark>PEF below 33% of best</mark>, SpO2 below 92%, a silent chest and exhaustion.</p>' +
+                '<h2>Treatment</h2><ol><li>Oxygen to 94-98%</li><li>Salbutamol 5 mg nebulised</li><li>Prednisolone 40-50 mg</li></ol>',
+            sources: [{ title: 'BTS/SIGN British guideline on the management of asthma' }],
+            questions: [],
+            flashcards: [{ front: 'Oral steroid dose in acute asthma (adult)?', back: 'Prednisolone 40-50 mg for at least 5 days' }],
+        },
+        {
+            id: 4,
+            title: 'Acute Appendicitis',
+            category_id: 6,
+            status: 'in_review',
+            views: 0,
+            author_id: 3,
+            submitted_by: 3,
+            tags: ['surgery'],
+            content: '<p>Classically periumbilical pain that migrates to the right iliac fossa, with anorexia and a low-grade fever.</p>',
+            sources: [],
+            questions: [],
+            flashcards: [],
+        },
+        {
+            id: 5,
+            title: 'Bronchiolitis',
+            category_id: 7,
+            status: 'draft',
+            views: 0,
+            author_id: 3,
+            tags: ['paediatrics', 'respiratory'],
+            content: '<p>Usually RSV, in infants under one year. Management is supportive.</p>',
+            sources: [],
+            questions: [],
+            flashcards: [],
+        },
+    ],
+};
+
+let mockStore = null;
+let mockOptions = { fixtures: MOCK_FIXTURES, latency: MOCK_LATENCY_MS, persist: true };
+
+function mockState() {
+    if (mockStore) return mockStore;
+    if (mockOptions.persist) {
+        try {
+            mockStore = JSON.parse(localStorage.getItem(MOCK_STORAGE_KEY));
+        } catch {
+            mockStore = null;
+        }
+    }
+    if (!mockStore) {
+        const now = new Date().toISOString();
+        mockStore = JSON.parse(JSON.stringify(mockOptions.fixtures));
+        mockStore.notes.forEach(n => {
+            n.created_at = n.created_at || now;
+            n.updated_at = n.updated_at || now;
+        });
+        mockStore.comments = mockStore.comments || [];
+        mockStore.content = mockStore.content || [];
+        mockStore.events = mockStore.events || mockSeedEvents(mockStore);
+    }
+    return mockStore;
+}
+
+const MOCK_SEARCHES = [
+    ['asthma', 1], ['acs', 1], ['heart failure', 1], ['aspirin', 1], ['sepsis', 0], ['dka', 0],
+];
+
+// a year of reading for the analytics page, the same on every reset
+function mockSeedEvents(state) {
+    const events = [];
+    const published = state.notes.filter(n => n.status === 'published');
+    const today = new Date();
+    today.setUTCHours(12, 0, 0, 0);
+    for (let day = 364; day >= 0; day--) {
+        const at = new Date(today.getTime() - day * 86400000).toISOString();
+        published.forEach(n => {
+            const views = (day * 7 + n.id * 13) % 4;
+            for (let i = 0; i < views; i++) {
+                const reader = `mock-reader-${(day + n.id + i) % 9}`;
+                events.push({ type: 'note_view', note_id: n.id, category_id: n.category_id, reader_id: reader, at });
+                events.push({ type: 'read_depth', note_id: n.id, percent: Math.min(100, 20 + n.id * 15 + (day * 11 + i * 23) % 50), reader_id: reader, at });
+            }
+        });
+        if (day % 2 === 0) {
+            const [query, results] = MOCK_SEARCHES[(day / 2) % MOCK_SEARCHES.length];
+            events.push({ type: 'search', query, results, reader_id: `mock-reader-${day % 9}`, at });
+        }
+    }
+    return events;
+}
+
+// the start of each analytics period, oldest first: the last 30 days, the
+// last 12 weeks (from Monday) or the last 12 months
+function mockAnalyticsBuckets(interval) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const buckets = [];
+    if (interval === 'month') {
+        for (let i = 11; i >= 0; i--) {
+            const d = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i, 1));
+            buckets.push(d.toISOString().slice(0, 7));
+        }
+    } else if (interval === 'week') {
+        const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * 86400000);
+        for (let i = 11; i >= 0; i--) buckets.push(new Date(monday.getTime() - i * 7 * 86400000).toISOString().slice(0, 10));
+    } else {
+        for (let i = 29; i >= 0; i--) buckets.push(new Date(today.getTime() - i * 86400000).toISOString().slice(0, 10));
+    }
+    return buckets;
+}
+
+function saveMockState() {
+    if (mockOptions.persist && mockStore) localStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(mockStore));
+}
+
+function resetMockBackend() {
+    mockStore = null;
+    localStorage.removeItem(MOCK_STORAGE_KEY);
+}
+
+function mockError(status, message) {
+    const err = new Error(message);
+    err.mockStatus = status;
+    return err;
+}
+
+function mockNextId(items) {
+    return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+}
+
+function mockRequire(req, capability) {
+    // flask-jwt-extended's wording, so the client sees what it would in production
+    if (!req.user) throw mockError(401, 'Missing Authorization Header');
+    if (!can(capability, req.user)) throw mockError(403, "Your account doesn't have access to that.");
+}
+
+function mockFindNote(state, id) {
+    const note = state.notes.find(n => n.id === Number(id) && !n.deleted_at);
+    if (!note) throw mockError(404, 'Note not found');
+    return note;
+}
+
+function mockNoteOut(note) {
+    return { ...note, is_draft: note.status !== 'published' };
+}
+
+function mockCategoryTree(state, parentId = null) {
+    return state.categories
+        .filter(c => c.parent_id === parentId)
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        .map(c => ({ ...c, children: mockCategoryTree(state, c.id) }));
+}
+
+function mockFindCategory(state, id) {
+    const category = state.categories.find(c => c.id === Number(id));
+    if (!category) throw mockError(404, 'Category not found');
+    return category;
+}
+
+function mockApplyNoteFields(note, body) {
+    if (body.title !== undefined) note.title = String(body.title).trim();
+    if (body.content !== undefined) note.content = String(body.content);
+    if (body.category !== undefined) note.category_id = Number(body.category);
+    ['tags', 'sources', 'questions', 'flashcards'].forEach(key => {
+        if (body[key] !== undefined) note[key] = body[key];
+    });
+    if (!note.title || !note.content || !note.category_id) throw mockError(400, 'Title, category, and content are required.');
+    note.updated_at = new Date().toISOString();
+}
+
+// status -> capability needed to move a note into it
+const MOCK_STATUS_REQUIRES = {
+    draft: 'notes.edit',
+    in_review: 'notes.edit',
+    changes_requested: 'notes.publish',
+    approved: 'notes.publish',
+    published: 'notes.publish',
+};
+
+function mockSetStatus(req, note, status) {
+    if (!MOCK_STATUS_REQUIRES[status]) throw mockError(400, `Unknown status: ${status}`);
+    mockRequire(req, MOCK_STATUS_REQUIRES[status]);
+    if (status === 'in_review') note.submitted_by = req.user.id;
+    note.status = status;
+}
+
+const MOCK_ADMIN_VIEWS = {
+    published: n => !n.deleted_at && n.status === 'published',
+    drafts: n => !n.deleted_at && (n.status === 'draft' || n.status === 'changes_requested'),
+    review: n => !n.deleted_at && (n.status === 'in_review' || n.status === 'approved'),
+    bin: n => !!n.deleted_at,
+    all: n => !n.deleted_at,
+};
+
+const MOCK_ROUTES = [
+    {
+        method: 'POST',
+        pattern: /^\/api\/login$/,
+        handler: (req) => {
+            const email = String(req.body.email || '').toLowerCase();
+            const user = req.state.users.find(u => u.email === email);
+            if (!user || req.body.password !== MOCK_PASSWORD) throw mockError(401, 'Bad email or password');
+            return { access_token: `mock-access:${user.id}`, refresh_token: `mock-refresh:${user.id}`, user };
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/refresh$/,
+        handler: (req) => {
+            const match = /^Bearer mock-refresh:(\d+)$/.exec(req.headers.get('Authorization') || '');
+            if (!match) throw mockError(401, 'Invalid refresh token');
+            return { access_token: `mock-access:${match[1]}` };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/categories\/tree$/,
+        handler: (req) => mockCategoryTree(req.state),
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/category$/,
+        handler: (req) => {
+            mockRequire(req, 'categories.manage');
+            const name = String(req.body.name || '').trim();
+            if (!name) throw mockError(400, 'Name is required.');
+            const parentId = req.body.parent_id ?? null;
+            const category = {
+                id: mockNextId(req.state.categories),
+                name,
+                parent_id: parentId,
+                position: req.state.categories.filter(c => c.parent_id === parentId).length,
+            };
+            req.state.categories.push(category);
+            return category;
+        },
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/category\/(\d+)$/,
+        handler: (req, id) => {
+            mockRequire(req, 'categories.manage');
+            const category = mockFindCategory(req.state, id);
+            if (req.body.name) category.name = String(req.body.name).trim();
+            ['icon', 'color', 'description'].forEach(key => {
+                if (req.body[key] !== undefined) category[key] = String(req.body[key]);
+            });
+            return category;
+        },
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/categories\/order$/,
+        handler: (req) => {
+            mockRequire(req, 'categories.manage');
+            const items = Array.isArray(req.body.items) ? req.body.items : [];
+            items.forEach(item => {
+                const parentId = item.parent_id ?? null;
+                if (parentId !== null) mockFindCategory(req.state, parentId);
+                // walking up from the new parent must not reach the category itself
+                for (let id = parentId; id !== null; id = mockFindCategory(req.state, id).parent_id) {
+                    if (id === Number(item.id)) throw mockError(400, 'A category cannot be moved inside itself.');
+                }
+            });
+            items.forEach(item => {
+                const category = mockFindCategory(req.state, item.id);
+                category.parent_id = item.parent_id ?? null;
+                category.position = Number(item.position) || 0;
+            });
+            return mockCategoryTree(req.state);
+        },
+    },
+    {
+        method: 'DELETE',
+        pattern: /^\/api\/category\/(\d+)$/,
+        handler: (req, id) => {
+            mockRequire(req, 'categories.manage');
+            const catId = Number(id);
+            if (req.state.categories.some(c => c.parent_id === catId) ||
+                req.state.notes.some(n => n.category_id === catId && !n.deleted_at)) {
+                throw mockError(400, 'Only empty categories can be deleted.');
+            }
+            req.state.categories = req.state.categories.filter(c => c.id !== catId);
+            return { message: 'Category deleted.' };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/notes$/,
+        handler: (req) => {
+            const category = req.query.get('category');
+            return req.state.notes
+                .filter(n => !n.deleted_at && n.status === 'published')
+                .filter(n => !category || n.category_id === Number(category))
+                .map(mockNoteOut);
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/note$/,
+        handler: (req) => {
+            mockRequire(req, 'notes.edit');
+            const note = { id: mockNextId(req.state.notes), views: 0, author_id: req.user.id, created_at: new Date().toISOString() };
+            mockApplyNoteFields(note, req.body);
+            mockSetStatus(req, note, req.body.status || (req.body.is_draft === false ? 'published' : 'draft'));
+            req.state.notes.push(note);
+            return mockNoteOut(note);
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/note\/(\d+)$/,
+        handler: (req, id) => {
+            const note = mockFindNote(req.state, id);
+            if (note.status !== 'published' && !(req.user && can('notes.edit', req.user))) throw mockError(404, 'Note not found');
+            if (note.status === 'published') note.views = (note.views || 0) + 1;
+            return mockNoteOut(note);
+        },
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/note\/(\d+)$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.edit');
+            const note = mockFindNote(req.state, id);
+            mockApplyNoteFields(note, req.body);
+            if (req.body.status) mockSetStatus(req, note, req.body.status);
+            return mockNoteOut(note);
+        },
+    },
+    {
+        method: 'PATCH',
+        pattern: /^\/api\/note\/(\d+)$/,
+        handler: (req, id) => {
+            const note = mockFindNote(req.state, id);
+            mockSetStatus(req, note, req.body.status || (req.body.is_draft ? 'draft' : 'published'));
+            note.updated_at = new Date().toISOString();
+            if (req.body.comment) {
+                req.state.comments.push({
+                    id: mockNextId(req.state.comments),
+                    note_id: note.id,
+                    body: req.body.comment,
+                    quote: null,
+                    author: req.user.name,
+                    created_at: note.updated_at,
+                    resolved: false,
+                });
+            }
+            return mockNoteOut(note);
+        },
+    },
+    {
+        method: 'DELETE',
+        pattern: /^\/api\/note\/(\d+)$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.delete');
+            mockFindNote(req.state, id).deleted_at = new Date().toISOString();
+            return { message: 'Note moved to the bin.' };
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/notes\/move$/,
+        handler: (req) => {
+            mockRequire(req, 'categories.manage');
+            const category = mockFindCategory(req.state, req.body.category_id);
+            const ids = (req.body.ids || []).map(Number);
+            const notes = req.state.notes.filter(n => ids.includes(n.id));
+            notes.forEach(n => {
+                n.category_id = category.id;
+                n.updated_at = new Date().toISOString();
+            });
+            return { moved: notes.length };
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/note\/(\d+)\/restore$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.delete');
+            const note = req.state.notes.find(n => n.id === Number(id) && n.deleted_at);
+            if (!note) throw mockError(404, 'Note not found');
+            delete note.deleted_at;
+            return mockNoteOut(note);
+        },
+    },
+    {
+        method: 'DELETE',
+        pattern: /^\/api\/note\/(\d+)\/purge$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.delete');
+            req.state.notes = req.state.notes.filter(n => !(n.id === Number(id) && n.deleted_at));
+            return { message: 'Note permanently deleted.' };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/note\/(\d+)\/comments$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.edit');
+            return req.state.comments.filter(c => c.note_id === Number(id));
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/note\/(\d+)\/comments$/,
+        handler: (req, id) => {
+            mockRequire(req, 'notes.edit');
+            const comment = {
+                id: mockNextId(req.state.comments),
+                note_id: mockFindNote(req.state, id).id,
+                body: String(req.body.body || ''),
+                quote: req.body.quote || null,
+                author: req.user.name,
+                created_at: new Date().toISOString(),
+                resolved: false,
+            };
+            req.state.comments.push(comment);
+            return comment;
+        },
+    },
+    {
+        method: 'PATCH',
+        pattern: /^\/api\/note\/(\d+)\/comments\/(\d+)$/,
+        handler: (req, id, commentId) => {
+            mockRequire(req, 'notes.edit');
+            const comment = req.state.comments.find(c => c.id === Number(commentId) && c.note_id === Number(id));
+            if (!comment) throw mockError(404, 'Comment not found');
+            comment.resolved = !!req.body.resolved;
+            return comment;
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/admin\/notes$/,
+        handler: (req) => {
+            mockRequire(req, 'dashboard.view');
+            const inView = MOCK_ADMIN_VIEWS[req.query.get('status')] || MOCK_ADMIN_VIEWS.published;
+            const category = req.query.get('category');
+            const sort = req.query.get('sort') || 'updated_at';
+            const key = sort === 'category' ? 'category_id' : sort;
+            const direction = req.query.get('order') === 'asc' ? 1 : -1;
+            const notes = req.state.notes
+                .filter(inView)
+                .filter(n => !category || n.category_id === Number(category))
+                .sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * direction);
+            const perPage = Number(req.query.get('per_page')) || 20;
+            const page = Number(req.query.get('page')) || 1;
+            return { notes: notes.slice((page - 1) * perPage, page * perPage).map(mockNoteOut), total: notes.length };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/admin_stats$/,
+        handler: (req) => {
+            mockRequire(req, 'dashboard.view');
+            const live = req.state.notes.filter(n => !n.deleted_at);
+            const count = status => live.filter(n => n.status === status).length;
+            return {
+                total_notes: count('published'),
+                draft_notes: count('draft'),
+                in_review_notes: count('in_review'),
+                changes_requested_notes: count('changes_requested'),
+                approved_notes: count('approved'),
+                deleted_notes: req.state.notes.length - live.length,
+                total_views: live.reduce((sum, n) => sum + (n.views || 0), 0),
+            };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/note_views$/,
+        handler: (req) => req.state.notes
+            .filter(n => !n.deleted_at && n.status === 'published')
+            .sort((a, b) => (b.views || 0) - (a.views || 0))
+            .slice(0, 5)
+            .map(n => ({ id: n.id, title: n.title, views: n.views || 0 })),
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/events$/,
+        handler: (req) => {
+            const events = Array.isArray(req.body.events) ? req.body.events : [];
+            req.state.events = req.state.events || [];
+            events.forEach(e => req.state.events.push({ ...e, reader_id: String(req.body.reader_id || 'anonymous') }));
+            return { received: events.length };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/analytics$/,
+        handler: (req) => {
+            mockRequire(req, 'analytics.view');
+            const interval = ['day', 'week', 'month'].includes(req.query.get('interval')) ? req.query.get('interval') : 'day';
+            const buckets = mockAnalyticsBuckets(interval);
+            const bucketOf = at => {
+                const key = interval === 'month' ? at.slice(0, 7) : at.slice(0, 10);
+                // the last bucket that starts on or before the event
+                for (let i = buckets.length - 1; i >= 0; i--) if (key >= buckets[i]) return i;
+                return -1;
+            };
+            const events = (req.state.events || [])
+                .map(e => ({ ...e, bucket: bucketOf(String(e.at || '')) }))
+                .filter(e => e.bucket >= 0);
+
+            const notes = new Map(req.state.notes.filter(n => !n.deleted_at).map(n => [n.id, n]));
+            const total = buckets.map(() => 0);
+            const byNote = new Map();
+            const byCategory = new Map();
+            const series = (map, id, extra) => {
+                if (!map.has(id)) map.set(id, { id, ...extra, total: 0, series: buckets.map(() => 0) });
+                return map.get(id);
+            };
+            events.filter(e => e.type === 'note_view').forEach(e => {
+                const note = notes.get(Number(e.note_id));
+                if (!note) return;
+                total[e.bucket]++;
+                [series(byNote, note.id, { title: note.title, category_id: note.category_id }), series(byCategory, note.category_id)]
+                    .forEach(item => {
+                        item.total++;
+                        item.series[e.bucket]++;
+                    });
+            });
+
+            const depths = events.filter(e => e.type === 'read_depth' && notes.has(Number(e.note_id)));
+            const depthByNote = new Map();
+            depths.forEach(e => {
+                const item = depthByNote.get(e.note_id) || { id: e.note_id, title: notes.get(Number(e.note_id)).title, sum: 0, reads: 0 };
+                item.sum += Number(e.percent) || 0;
+                item.reads++;
+                depthByNote.set(e.note_id, item);
+            });
+
+            const searches = new Map();
+            events.filter(e => e.type === 'search' && e.query).forEach(e => {
+                const item = searches.get(e.query) || { query: e.query, count: 0, results: 0, zero: 0 };
+                item.count++;
+                item.results += Number(e.results) || 0;
+                if (!Number(e.results)) item.zero++;
+                searches.set(e.query, item);
+            });
+            const searchList = [...searches.values()].sort((a, b) => b.count - a.count);
+
+            return {
+                interval,
+                buckets,
+                views: { total, by_note: [...byNote.values()], by_category: [...byCategory.values()] },
+                unique_readers: new Set(events.map(e => e.reader_id)).size,
+                read_depth: {
+                    average: depths.length ? depths.reduce((sum, e) => sum + (Number(e.percent) || 0), 0) / depths.length : null,
+                    by_note: [...depthByNote.values()].map(({ id, title, sum, reads }) => ({ id, title, average: sum / reads, reads })),
+                },
+                searches: {
+                    top: searchList.map(s => ({ query: s.query, count: s.count, average_results: Math.round(s.results / s.count * 10) / 10 })),
+                    zero_results: searchList.filter(s => s.zero).map(s => ({ query: s.query, count: s.zero })).sort((a, b) => b.count - a.count),
+                },
+            };
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/collections$/,
+        handler: (req) => {
+            if (!req.user) throw mockError(401, 'Missing Authorization Header');
+            return req.state.collections?.[req.user.id] || { collections: [], updated_at: null };
+        },
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/collections$/,
+        handler: (req) => {
+            if (!req.user) throw mockError(401, 'Missing Authorization Header');
+            req.state.collections = req.state.collections || {};
+            req.state.collections[req.user.id] = {
+                collections: Array.isArray(req.body.collections) ? req.body.collections : [],
+                updated_at: req.body.updated_at || new Date().toISOString(),
+            };
+            return req.state.collections[req.user.id];
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/content$/,
+        handler: (req) => (req.state.content || [])
+            .filter(v => v.status === 'published')
+            .map(v => ({ key: v.key, html: v.html, version: v.version, published_at: v.updated_at })),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/content\/([\w.-]+)\/versions$/,
+        handler: (req, key) => {
+            mockRequire(req, 'content.edit');
+            return (req.state.content || []).filter(v => v.key === key).sort((a, b) => b.version - a.version);
+        },
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/content\/([\w.-]+)$/,
+        handler: (req, key) => {
+            mockRequire(req, 'content.edit');
+            const status = req.body.status === 'draft' ? 'draft' : 'published';
+            req.state.content = req.state.content || [];
+            const versions = req.state.content.filter(v => v.key === key);
+            if (status === 'published') {
+                versions.filter(v => v.status === 'published').forEach(v => { v.status = 'archived'; });
+            }
+            // any save supersedes the unpublished draft
+            req.state.content = req.state.content.filter(v => !(v.key === key && v.status === 'draft'));
+            const version = {
+                key,
+                version: versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+                html: String(req.body.html || ''),
+                status,
+                author: req.user.name,
+                updated_at: new Date().toISOString(),
+            };
+            req.state.content.push(version);
+            return version;
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/tags$/,
+        handler: (req) => [...new Set(req.state.notes.flatMap(n => n.tags || []))].sort(),
+    },
+];
+
+function mockResponse(status, data) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+function handleMockRequest(url, init) {
+    const method = (init.method || 'GET').toUpperCase();
+    const route = MOCK_ROUTES.find(r => r.method === method && r.pattern.test(url.pathname));
+    if (!route) return mockResponse(404, { message: `The mock backend has no ${method} ${url.pathname}` });
+
+    let body = {};
+    try {
+        body = init.body ? JSON.parse(init.body) : {};
+    } catch {
+        return mockResponse(400, { message: 'Request body is not valid JSON.' });
+    }
+    const headers = new Headers(init.headers || {});
+    const state = mockState();
+    const token = /^Bearer mock-access:(\d+)$/.exec(headers.get('Authorization') || '');
+    const req = {
+        body,
+        headers,
+        state,
+        query: url.searchParams,
+        user: token ? state.users.find(u => u.id === Number(token[1])) || null : null,
+    };
+
+    try {
+        const data = route.handler(req, ...url.pathname.match(route.pattern).slice(1));
+        saveMockState();
+        return mockResponse(200, data);
+    } catch (err) {
+        if (err.mockStatus) return mockResponse(err.mockStatus, { message: err.message });
+        console.error(err);
+        return mockResponse(500, { message: err.message });
+    }
+}
+
+// answers after a short delay, like a network would, and honours abort signals
+function mockFetch(url, init) {
+    return new Promise((resolve, reject) => {
+        const signal = init.signal;
+        if (signal?.aborted) {
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(handleMockRequest(url, init));
+        }, mockOptions.latency);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// options: { fixtures, latency, persist } - tests usually want their own
+// fixtures, no latency and no persistence
+function installMockBackend(options = {}) {
+    mockOptions = { ...mockOptions, ...options };
+    mockStore = null;
+    if (window.fetch.isMockBackend) return;
+
+    const networkFetch = window.fetch.bind(window);
+    const fetchWithMock = (input, init = {}) => {
+        const url = new URL(typeof input === 'string' ? input : input.url, location.href);
+        if (!url.pathname.startsWith('/api/')) return networkFetch(input, init);
+        return mockFetch(url, init);
+    };
+    fetchWithMock.isMockBackend = true;
+    window.fetch = fetchWithMock;
+}
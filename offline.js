@@ -0,0 +1,82 @@
+// ---------- OFFLINE STORE ----------
+// IndexedDB copies of what a reader needs without a connection: every
+// published note they open (or save with its category) and the last
+// categories tree. Notes are stored whole, with cachedAt (ms) added, in
+// "notes"; small values live under a key in "meta". Where IndexedDB is
+// unavailable (some private windows) reads resolve empty and writes do
+// nothing, so callers never need to check.
+const OFFLINE_DB_NAME = 'clinicalRootsOffline';
+const OFFLINE_DB_VERSION = 1;
+
+let offlineDbPromise = null;
+
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const notes = db.createObjectStore('notes', { keyPath: 'id' });
+                notes.createIndex('category_id', 'category_id');
+                db.createObjectStore('meta');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error(request.error);
+                resolve(null);
+            };
+        });
+    }
+    return offlineDbPromise;
+}
+
+// run fn(store) in a transaction; resolves with the request's result
+async function offlineTransaction(storeName, mode, fn) {
+    const db = await openOfflineDb();
+    if (!db) return undefined;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function cacheNotes(notes) {
+    const cachedAt = Date.now();
+    return offlineTransaction('notes', 'readwrite', store => {
+        notes.forEach(note => store.put({ ...note, cachedAt }));
+    });
+}
+
+function cacheNote(note) {
+    return cacheNotes([note]);
+}
+
+async function cachedNote(id) {
+    return (await offlineTransaction('notes', 'readonly', store => store.get(Number(id)))) || null;
+}
+
+async function cachedNotes() {
+    return (await offlineTransaction('notes', 'readonly', store => store.getAll())) || [];
+}
+
+async function cachedCategoryNotes(categoryId) {
+    return (await offlineTransaction('notes', 'readonly', store => store.index('category_id').getAll(Number(categoryId)))) || [];
+}
+
+function uncacheNotes(ids) {
+    return offlineTransaction('notes', 'readwrite', store => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+async function offlineMeta(key) {
+    return (await offlineTransaction('meta', 'readonly', store => store.get(key))) ?? null;
+}
+
+function setOfflineMeta(key, value) {
+    return offlineTransaction('meta', 'readwrite', store => store.put(value, key));
+}
@@ -0,0 +1,56 @@
+// ---------- PERMISSIONS ----------
+// Roles are ordered: each one has every capability of the roles before it.
+// Code asks can('<capability>') rather than checking role names, and static
+// controls in the HTML declare what they need with data-requires="...";
+// applyPermissions() hides (or, with data-deny="disable", disables) them.
+// The backend enforces the same rules; this only keeps the UI honest.
+
+const ROLES = ['reader', 'contributor', 'reviewer', 'admin'];
+
+// capability -> lowest role that has it
+const CAPABILITIES = {
+    'dashboard.view': 'contributor',
+    'notes.edit': 'contributor',        // create and edit notes, submit them for review
+    'notes.publish': 'reviewer',        // review, approve, publish, restore revisions
+    'notes.delete': 'admin',            // recycle bin: delete, restore, purge
+    'analytics.view': 'reviewer',
+    'library.transfer': 'admin',        // bulk import and export of notes and categories
+    'categories.manage': 'admin',
+    'content.edit': 'admin',            // page content blocks: drafts and publishing
+};
+
+function userRole(user = currentUser) {
+    if (!user) return null;
+    return ROLES.includes(user.role) ? user.role : 'reader';
+}
+
+function can(capability, user = currentUser) {
+    const role = userRole(user);
+    const needed = CAPABILITIES[capability];
+    if (!role || !needed) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+// guard for actions reached without a visible control (typed URLs, stale pages)
+function requirePermission(capability) {
+    if (can(capability)) return true;
+    if (!currentUser) {
+        openLogin();
+    } else {
+        showToast("Your account doesn't have access to that.", 'error');
+    }
+    return false;
+}
+
+function applyPermissions(root = document) {
+    root.querySelectorAll('[data-requires]').forEach(el => {
+        const allowed = el.dataset.requires.split(/\s+/).every(cap => can(cap));
+        if (el.dataset.deny === 'disable') {
+            el.disabled = !allowed;
+            el.title = allowed ? '' : 'Your role cannot do this';
+        } else {
+            el.classList.toggle('hidden', !allowed);
+        }
+    });
+    document.body.classList.toggle('can-edit', can('notes.edit'));
+}
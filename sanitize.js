@@ -0,0 +1,109 @@
+// ---------- HTML SANITISER ----------
+// Every piece of markup that reaches innerHTML (note bodies, the about page,
+// anything pasted into an editor) goes through sanitizeHtml(). It parses the
+// input into an inert DOMParser document and rebuilds it from an allow-list,
+// so anything not listed here is dropped rather than "cleaned".
+// Plain strings interpolated into templates go through escapeHtml() instead.
+
+// tag -> attributes allowed on it (on top of SANITIZE_GLOBAL_ATTRS)
+const SANITIZE_ALLOWED_TAGS = {
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    p: [], br: [], hr: [], div: [], span: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], mark: [], small: [],
+    sub: [], sup: [], abbr: ['title'],
+    blockquote: [], pre: [], code: [],
+    ul: [], ol: ['start', 'type'], li: [],
+    dl: [], dt: [], dd: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'],
+    colgroup: ['span'], col: ['span'],
+    figure: [], figcaption: [],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    a: ['href', 'title', 'target'],
+};
+
+const SANITIZE_GLOBAL_ATTRS = ['class'];
+
+// removed together with everything inside them; other unknown tags are unwrapped
+const SANITIZE_DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'template', 'svg', 'math', 'form', 'input', 'textarea', 'select',
+    'button', 'option', 'meta', 'link', 'base', 'title', 'head',
+]);
+
+const SANITIZE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const SANITIZE_IMG_PROTOCOLS = ['http:', 'https:'];
+const SANITIZE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Relative URLs and #anchors pass; absolute ones need an allowed scheme.
+// Browsers ignore whitespace and control characters inside a scheme
+// ("java\tscript:"), so the scheme is read from a copy without them; the
+// URL itself comes back as written, so "a b.html" keeps its space.
+function sanitizeUrl(value, protocols) {
+    const url = String(value ?? '').trim();
+    const bare = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!bare) return null;
+    const scheme = bare.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return bare.startsWith('//') ? null : url;
+    return protocols.includes(scheme[1].toLowerCase() + ':') ? url : null;
+}
+
+function sanitizeNode(node, doc) {
+    if (node.nodeType === Node.TEXT_NODE) return doc.createTextNode(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.nodeName.toLowerCase();
+    if (SANITIZE_DROP_WITH_CONTENT.has(tag)) return null;
+
+    const allowed = SANITIZE_ALLOWED_TAGS[tag];
+    const out = allowed ? doc.createElement(tag) : doc.createDocumentFragment();
+
+    if (allowed) {
+        for (const attr of [...node.attributes]) {
+            const name = attr.name.toLowerCase();
+            if (!allowed.includes(name) && !SANITIZE_GLOBAL_ATTRS.includes(name)) continue;
+
+            let value = attr.value;
+            if (name === 'href') {
+                value = sanitizeUrl(value, SANITIZE_LINK_PROTOCOLS);
+            } else if (name === 'src') {
+                value = SANITIZE_DATA_IMAGE.test(value.trim())
+                    ? value.trim()
+                    : sanitizeUrl(value, SANITIZE_IMG_PROTOCOLS);
+            } else if (name === 'target') {
+                value = value === '_blank' ? value : null;
+            }
+            if (value !== null) out.setAttribute(name, value);
+        }
+        if (tag === 'a' && out.getAttribute('target') === '_blank') {
+            out.setAttribute('rel', 'noopener noreferrer');
+        }
+        if (tag === 'img' && !out.hasAttribute('src')) return null;
+    }
+
+    node.childNodes.forEach(child => {
+        const clean = sanitizeNode(child, doc);
+        if (clean) out.appendChild(clean);
+    });
+    return out;
+}
+
+function sanitizeHtml(html) {
+    if (!html) return '';
+    const source = new DOMParser().parseFromString(String(html), 'text/html');
+    const container = document.createElement('div');
+    source.body.childNodes.forEach(child => {
+        const clean = sanitizeNode(child, document);
+        if (clean) container.appendChild(clean);
+    });
+    return container.innerHTML;
+}
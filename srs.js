@@ -0,0 +1,88 @@
+// ---------- SPACED REPETITION (SM-2) ----------
+// Pure scheduling functions for flashcards: no DOM, no storage, and "now"
+// is always passed in, so the algorithm can be exercised on its own.
+// A schedule is { ease, interval, repetitions, lapses, due, introduced }
+// where due/introduced are local day keys ("2024-05-31") and interval is
+// in days. A card without a schedule is new.
+
+const SRS_DEFAULT_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_NEW_PER_DAY = 20;
+
+// SM-2 answer quality (0-5) behind the four review buttons
+const SRS_GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5,
+};
+
+function srsDayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function srsAddDays(date, days) {
+    const d = new Date(date);
+    d.setHours(12, 0, 0, 0);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+function newSchedule() {
+    return { ease: SRS_DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, due: null, introduced: null };
+}
+
+function scheduleReview(schedule, quality, now = new Date()) {
+    const prev = { ...newSchedule(), ...schedule };
+    const next = { ...prev, introduced: prev.introduced || srsDayKey(now) };
+
+    if (quality < 3) {
+        // lapse: start the card over, tomorrow
+        next.repetitions = 0;
+        next.interval = 1;
+        next.lapses = prev.lapses + 1;
+    } else {
+        next.repetitions = prev.repetitions + 1;
+        if (next.repetitions === 1) next.interval = 1;
+        else if (next.repetitions === 2) next.interval = 6;
+        else next.interval = Math.round(prev.interval * prev.ease);
+    }
+    next.ease = Math.max(SRS_MIN_EASE, prev.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    next.due = srsDayKey(srsAddDays(now, next.interval));
+    return next;
+}
+
+// days until the next review for each grade, for labelling the buttons
+function previewIntervals(schedule, now = new Date()) {
+    const out = {};
+    Object.entries(SRS_GRADES).forEach(([grade, quality]) => {
+        out[grade] = scheduleReview(schedule, quality, now).interval;
+    });
+    return out;
+}
+
+function isCardDue(schedule, now = new Date()) {
+    return !!schedule && !!schedule.due && schedule.due <= srsDayKey(now);
+}
+
+// Today's queue: overdue cards first (oldest due date first), then new cards
+// up to what is left of the daily allowance. schedules maps card id -> schedule.
+function buildReviewQueue(cards, schedules, now = new Date(), newPerDay = SRS_NEW_PER_DAY) {
+    const today = srsDayKey(now);
+    const introducedToday = Object.values(schedules).filter(s => s && s.introduced === today).length;
+    const due = cards
+        .filter(c => isCardDue(schedules[c.id], now))
+        .sort((a, b) => schedules[a.id].due.localeCompare(schedules[b.id].due));
+    const fresh = cards
+        .filter(c => !schedules[c.id])
+        .slice(0, Math.max(0, newPerDay - introducedToday));
+    return { due, fresh, queue: [...due, ...fresh] };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SRS_DEFAULT_EASE, SRS_MIN_EASE, SRS_NEW_PER_DAY, SRS_GRADES,
+        srsDayKey, srsAddDays, newSchedule, scheduleReview, previewIntervals, isCardDue, buildReviewQueue,
+    };
+}
@@ -0,0 +1,92 @@
+// ---------- SERVICE WORKER ----------
+// Keeps the app shell available offline. Our own files are served from the
+// cache and refreshed in the background (stale-while-revalidate), so a new
+// deploy shows up on the next visit; bump SHELL_CACHE when the file list
+// changes. Icons and fonts from the CDN are cached the first time they
+// load. API responses are never cached here: note data lives in IndexedDB
+// (offline.js), where the app decides what is fresh.
+const SHELL_CACHE = 'shell-v5';
+const CDN_CACHE = 'cdn-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'sanitize.js',
+    'markdown.js',
+    'zip.js',
+    'toast.js',
+    'api.js',
+    'offline.js',
+    'editor.js',
+    'srs.js',
+    'permissions.js',
+    'anchoring.js',
+    'charts.js',
+    'assistant.js',
+    'main.js',
+    'mock-backend.js',
+];
+
+const CDN_HOSTS = ['cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== CDN_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function staleWhileRevalidate(cacheName, request, event) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const update = fetch(request).then(res => {
+        // opaque CDN responses report status 0 but are still usable
+        if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+        return res;
+    });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // the API may share our origin (an empty API base); its responses
+        // depend on the Authorization header, which the cache ignores
+        if (url.pathname.startsWith('/api/')) return;
+        // runtime config must be current when online
+        if (url.pathname.endsWith('/config.json')) {
+            event.respondWith(fetch(request)
+                .then(res => {
+                    if (res.ok) {
+                        const copy = res.clone();
+                        event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(request, copy)));
+                    }
+                    return res;
+                })
+                .catch(() => caches.match(request).then(cached => cached || Response.error())));
+            return;
+        }
+        if (request.mode === 'navigate') {
+            event.respondWith(staleWhileRevalidate(SHELL_CACHE, new Request('index.html'), event));
+            return;
+        }
+        event.respondWith(staleWhileRevalidate(SHELL_CACHE, request, event));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(CDN_CACHE, request, event));
+    }
+});
@@ -0,0 +1,108 @@
+// assistant.js retrieval and grounding rules with the extractive provider,
+// run in a jsdom window (passages are cut from HTML): npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+const context = dom.getInternalVMContext();
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'assistant.js'), 'utf8'), context);
+const { buildAssistantPassages, rankAssistantPassages, askAssistant, registerAssistantProvider } = dom.window;
+// top-level consts live in the script scope, not on window
+const MIN_COVERAGE = vm.runInContext('ASSISTANT_MIN_COVERAGE', context);
+
+// arrays made inside the window have its Array.prototype, which
+// deepStrictEqual tells apart from ours
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const NOTES = [
+    {
+        id: 1,
+        title: 'Asthma',
+        content: '<h2>Management</h2><p>Give salbutamol through a spacer. Add inhaled corticosteroids when symptoms persist.</p>' +
+            '<h2>Severity</h2><ul><li>Peak flow below 33% is life threatening</li><li>Silent chest</li></ul>',
+    },
+    {
+        id: 2,
+        title: 'Heart failure',
+        content: '<h2>Treatment</h2><p>Start an ACE inhibitor and a beta blocker. Furosemide relieves congestion.</p>',
+    },
+    {
+        id: 3,
+        title: 'Pneumonia',
+        content: '<p>Assess severity with the CURB-65 score. Amoxicillin treats most community cases.</p>',
+    },
+];
+const passages = buildAssistantPassages(NOTES);
+
+test('passages are cut per section and carry their note and heading', () => {
+    assert.deepEqual(plain(passages.map(p => [p.noteId, p.heading])), [
+        [1, 'Management'], [1, 'Severity'], [2, 'Treatment'], [3, ''],
+    ]);
+    assert.match(passages[1].text, /life threatening\. Silent chest\./);
+});
+
+test('rankAssistantPassages puts the best match first and drops the rest', () => {
+    const ranked = rankAssistantPassages('salbutamol spacer asthma', passages);
+    assert.equal(ranked[0].passage.heading, 'Management');
+    assert.ok(ranked.every((r, i) => i === 0 || r.score <= ranked[i - 1].score));
+    assert.ok(ranked.every(r => r.score > 0));
+    assert.ok(!ranked.some(r => r.passage.noteId === 2));
+
+    // plurals fold onto the singular, stopwords are ignored
+    assert.equal(rankAssistantPassages('what are the beta blockers', passages)[0].passage.noteId, 2);
+    assert.equal(rankAssistantPassages('what is the', passages).length, 0);
+    assert.equal(rankAssistantPassages('asthma', []).length, 0);
+});
+
+test('askAssistant answers from the notes and cites what it quoted', async () => {
+    const reply = await askAssistant('Which score assesses pneumonia severity?', passages);
+    assert.equal(reply.covered, true);
+    assert.equal(reply.provider, 'extractive');
+    assert.deepEqual(plain(reply.citations.map(c => c.noteId)), [3]);
+    assert.match(reply.text, /CURB-65 score\. \[1\]$/);
+});
+
+test('askAssistant refuses when the passages cover too little of the question', async () => {
+    let asked = false;
+    registerAssistantProvider('spy', { label: 'spy', async answer() { asked = true; return { text: '', citations: [] }; } });
+    // one term of four is in the notes: below the threshold
+    assert.ok(1 / 4 < MIN_COVERAGE);
+    const reply = await askAssistant('salbutamol dosing paediatric nebuliser', passages, { provider: 'spy' });
+    assert.equal(reply.covered, false);
+    assert.equal(reply.citations.length, 0);
+    assert.equal(asked, false);
+
+    const unrelated = await askAssistant('How is gout treated?', passages);
+    assert.equal(unrelated.covered, false);
+});
+
+test('citations outside 1..n are dropped, and an answer citing nothing is not covered', async () => {
+    registerAssistantProvider('sloppy', {
+        label: 'sloppy',
+        async answer({ passages: given }) {
+            return { text: 'see [2]', citations: [0, 2, given.length + 1, 1.5, 2, -1], covered: true };
+        },
+    });
+    const reply = await askAssistant('salbutamol asthma', passages, { provider: 'sloppy' });
+    assert.equal(reply.citations.length, 1);
+    assert.equal(reply.citations[0].n, 2);
+    assert.equal(reply.covered, true);
+
+    registerAssistantProvider('uncited', {
+        label: 'uncited',
+        async answer() {
+            return { text: 'Trust me.', citations: [7], covered: true };
+        },
+    });
+    const uncited = await askAssistant('salbutamol asthma', passages, { provider: 'uncited' });
+    assert.equal(uncited.citations.length, 0);
+    assert.equal(uncited.covered, false);
+});
+
+test('an unknown provider is an error', async () => {
+    await assert.rejects(askAssistant('salbutamol asthma', passages, { provider: 'nope' }), /Unknown assistant provider/);
+});
@@ -0,0 +1,106 @@
+// sanitize.js against known XSS payloads, run in a jsdom window:
+// npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+window.eval(fs.readFileSync(path.join(__dirname, '..', 'sanitize.js'), 'utf8'));
+const { sanitizeHtml, sanitizeUrl } = window;
+const LINK = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// nothing in the output can run script, whatever the exact markup
+function assertInert(html) {
+    const doc = new window.DOMParser().parseFromString(html, 'text/html');
+    for (const el of doc.body.querySelectorAll('*')) {
+        const tag = el.nodeName.toLowerCase();
+        assert.ok(!['script', 'svg', 'math', 'form', 'noscript', 'style', 'iframe', 'object', 'embed'].includes(tag), `<${tag}> in ${html}`);
+        for (const attr of el.attributes) {
+            assert.ok(!attr.name.startsWith('on'), `${attr.name} in ${html}`);
+            assert.ok(attr.name !== 'srcset' && attr.name !== 'style', `${attr.name} in ${html}`);
+            if (attr.name === 'href' || attr.name === 'src') {
+                assert.doesNotMatch(attr.value.replace(/[\u0000- ]/g, ''), /^(javascript|vbscript|data:text)/i, `${attr.name} in ${html}`);
+            }
+        }
+    }
+}
+
+test('event handler attributes are removed', () => {
+    assert.equal(sanitizeHtml('<img src="x.png" onerror="alert(1)">'), '<img src="x.png">');
+    assert.equal(sanitizeHtml('<p onclick="alert(1)" onmouseover=alert(1)>hi</p>'), '<p>hi</p>');
+    assert.equal(sanitizeHtml('<body onload="alert(1)">hi</body>'), 'hi');
+    assertInert(sanitizeHtml('<IMG SRC=x OnErRoR=alert(1)>'));
+});
+
+test('javascript: links are removed however they are disguised', () => {
+    [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JaVaScRiPt:alert(1)">x</a>',
+        '<a href="java\tscript:alert(1)">x</a>',
+        '<a href="java&#x09;script:alert(1)">x</a>',
+        '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;:alert(1)">x</a>',
+        '<a href=" &#14; javascript:alert(1)">x</a>',
+        '<a href="jav&#x0A;ascript:alert(1)">x</a>',
+    ].forEach(payload => assert.equal(sanitizeHtml(payload), '<a>x</a>', payload));
+});
+
+test('data:text/html is refused; data images are kept', () => {
+    assert.equal(sanitizeHtml('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">'), '');
+    assert.equal(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">'), '<img src="data:image/png;base64,iVBORw0KGgo=">');
+});
+
+test('svg and math are dropped with their content', () => {
+    assert.equal(sanitizeHtml('<svg onload="alert(1)"><script>alert(1)</script></svg>ok'), 'ok');
+    assert.equal(sanitizeHtml('<math><mi xlink:href="javascript:alert(1)">x</mi></math>ok'), 'ok');
+    assertInert(sanitizeHtml('<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>'));
+    assertInert(sanitizeHtml('<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>'));
+});
+
+test('noscript and form mutation XSS stay inert', () => {
+    [
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+        '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+        '<math><mtext><h1><a><h6></a></h6><mglyph><svg><mtext><style><a title="</style><img src onerror=alert(1)>">',
+    ].forEach(payload => {
+        const once = sanitizeHtml(payload);
+        assertInert(once);
+        // and after the browser re-parses what we produced
+        assertInert(sanitizeHtml(once));
+    });
+});
+
+test('srcset and style are not allowed', () => {
+    assert.equal(sanitizeHtml('<img src="a.png" srcset="javascript:alert(1) 1x">'), '<img src="a.png">');
+    assert.equal(sanitizeHtml('<p style="background:url(javascript:alert(1))">x</p>'), '<p>x</p>');
+});
+
+test('safe markup passes through', () => {
+    assert.equal(sanitizeHtml('<h2>Dose</h2><p><strong>300 mg</strong></p>'), '<h2>Dose</h2><p><strong>300 mg</strong></p>');
+    assert.equal(
+        sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'),
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+});
+
+test('sanitizeUrl', () => {
+    assert.equal(sanitizeUrl('https://example.com/a', LINK), 'https://example.com/a');
+    assert.equal(sanitizeUrl('  https://example.com  ', LINK), 'https://example.com');
+    assert.equal(sanitizeUrl('my file.html', LINK), 'my file.html');
+    assert.equal(sanitizeUrl('https://x.com/a b', LINK), 'https://x.com/a b');
+    assert.equal(sanitizeUrl('#top', LINK), '#top');
+    assert.equal(sanitizeUrl('mailto:a@example.com', LINK), 'mailto:a@example.com');
+    assert.equal(sanitizeUrl('javascript:alert(1)', LINK), null);
+    assert.equal(sanitizeUrl('JAVASCRIPT:alert(1)', LINK), null);
+    assert.equal(sanitizeUrl('java\tscript:alert(1)', LINK), null);
+    assert.equal(sanitizeUrl('\u0001javascript:alert(1)', LINK), null);
+    assert.equal(sanitizeUrl('data:text/html,<b>x</b>', LINK), null);
+    assert.equal(sanitizeUrl('mailto:a@example.com', ['http:', 'https:']), null);
+    assert.equal(sanitizeUrl('//evil.example.com', LINK), null);
+    assert.equal(sanitizeUrl('/\t/evil.example.com', LINK), null);
+    assert.equal(sanitizeUrl('', LINK), null);
+    assert.equal(sanitizeUrl(null, LINK), null);
+});
@@ -0,0 +1,105 @@
+// srs.js scheduling, with "now" pinned so the day keys are fixed:
+// npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SRS_GRADES, SRS_MIN_EASE, SRS_DEFAULT_EASE, srsDayKey, scheduleReview, isCardDue, buildReviewQueue,
+} = require('../srs.js');
+
+const NOW = new Date(2024, 4, 1, 10, 0);
+
+function days(n) {
+    const d = new Date(NOW);
+    d.setDate(d.getDate() + n);
+    return d;
+}
+
+// grades the card once per entry, each time on the day it falls due
+function review(grades, schedule = null) {
+    let now = NOW;
+    for (const grade of grades) {
+        schedule = scheduleReview(schedule, SRS_GRADES[grade], now);
+        now = new Date(`${schedule.due}T10:00`);
+    }
+    return schedule;
+}
+
+test('intervals go 1 day, 6 days, then interval × ease', () => {
+    const first = scheduleReview(null, SRS_GRADES.good, NOW);
+    assert.equal(first.interval, 1);
+    assert.equal(first.repetitions, 1);
+    assert.equal(first.due, srsDayKey(days(1)));
+    assert.equal(first.introduced, srsDayKey(NOW));
+
+    const second = review(['good', 'good']);
+    assert.equal(second.interval, 6);
+
+    const third = review(['good', 'good', 'good']);
+    assert.equal(third.ease, SRS_DEFAULT_EASE);
+    assert.equal(third.interval, Math.round(6 * SRS_DEFAULT_EASE));
+
+    // "easy" raises the ease, so the next interval grows faster
+    const easy = review(['easy', 'easy', 'easy']);
+    assert.ok(easy.ease > SRS_DEFAULT_EASE);
+    assert.equal(easy.interval, Math.round(6 * review(['easy', 'easy']).ease));
+});
+
+test('a lapse resets the interval and counts the lapse', () => {
+    const learned = review(['good', 'good', 'good']);
+    const lapsed = scheduleReview(learned, SRS_GRADES.again, NOW);
+    assert.equal(lapsed.interval, 1);
+    assert.equal(lapsed.repetitions, 0);
+    assert.equal(lapsed.lapses, 1);
+    assert.equal(lapsed.due, srsDayKey(days(1)));
+    assert.ok(lapsed.ease < learned.ease);
+    // the card climbs back up from the start
+    assert.equal(scheduleReview(lapsed, SRS_GRADES.good, days(1)).interval, 1);
+    // a lapsed card keeps the day it was first seen
+    assert.equal(lapsed.introduced, learned.introduced);
+});
+
+test('ease never drops below the minimum', () => {
+    const failed = review(Array(10).fill('again'));
+    assert.equal(failed.ease, SRS_MIN_EASE);
+    const hard = review(Array(10).fill('hard'));
+    assert.equal(hard.ease, SRS_MIN_EASE);
+    assert.ok(hard.interval >= 1);
+});
+
+test('isCardDue compares due dates by day', () => {
+    assert.equal(isCardDue(null, NOW), false);
+    assert.equal(isCardDue({ due: null }, NOW), false);
+    assert.equal(isCardDue({ due: srsDayKey(days(-3)) }, NOW), true);
+    assert.equal(isCardDue({ due: srsDayKey(NOW) }, new Date(2024, 4, 1, 0, 1)), true);
+    assert.equal(isCardDue({ due: srsDayKey(days(1)) }, NOW), false);
+});
+
+test('the queue puts due cards first, oldest due date first', () => {
+    const cards = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'new' }];
+    const schedules = {
+        a: { due: srsDayKey(days(-1)), introduced: '2024-04-01' },
+        b: { due: srsDayKey(days(2)), introduced: '2024-04-01' },
+        c: { due: srsDayKey(days(-5)), introduced: '2024-04-01' },
+        d: { due: srsDayKey(NOW), introduced: '2024-04-01' },
+    };
+    const { due, fresh, queue } = buildReviewQueue(cards, schedules, NOW);
+    assert.deepEqual(due.map(c => c.id), ['c', 'a', 'd']);
+    assert.deepEqual(fresh.map(c => c.id), ['new']);
+    assert.deepEqual(queue.map(c => c.id), ['c', 'a', 'd', 'new']);
+});
+
+test('new cards are capped per day, counting those already introduced today', () => {
+    const cards = Array.from({ length: 10 }, (_, i) => ({ id: `n${i}` }));
+    assert.equal(buildReviewQueue(cards, {}, NOW, 4).fresh.length, 4);
+    assert.deepEqual(buildReviewQueue(cards, {}, NOW, 4).fresh.map(c => c.id), ['n0', 'n1', 'n2', 'n3']);
+
+    const seen = {
+        n0: scheduleReview(null, SRS_GRADES.good, NOW),
+        n1: scheduleReview(null, SRS_GRADES.good, NOW),
+        n2: scheduleReview(null, SRS_GRADES.again, NOW),
+    };
+    assert.deepEqual(buildReviewQueue(cards, seen, NOW, 4).fresh.map(c => c.id), ['n3']);
+    assert.equal(buildReviewQueue(cards, seen, NOW, 2).fresh.length, 0);
+    // cards introduced on an earlier day don't use up today's allowance
+    assert.equal(buildReviewQueue(cards, seen, days(1), 4).fresh.length, 4);
+});
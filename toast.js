@@ -0,0 +1,65 @@
+// ---------- TOASTS ----------
+// Non-blocking messages stacked in the corner of the screen, replacing
+// alert(). Errors stay up longer than confirmations; every toast can be
+// dismissed early, and may carry one action button (e.g. "Retry").
+const TOAST_DURATION_MS = {
+    success: 4000,
+    info: 5000,
+    error: 8000,
+};
+
+const TOAST_ICONS = {
+    success: 'fa-circle-check',
+    info: 'fa-circle-info',
+    error: 'fa-circle-exclamation',
+};
+
+function showToast(message, type = 'info', { duration = TOAST_DURATION_MS[type], action } = {}) {
+    const container = document.getElementById('toastContainer');
+    if (!container) return () => {};
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    toast.innerHTML = `
+        <i class="fas ${TOAST_ICONS[type] || TOAST_ICONS.info}"></i>
+        <span class="toast-message"></span>
+    `;
+    toast.querySelector('.toast-message').textContent = message;
+
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+
+    if (action) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.onclick = () => {
+            dismiss();
+            action.onClick();
+        };
+        toast.appendChild(btn);
+    }
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.title = 'Dismiss';
+    close.innerHTML = '&times;';
+    close.onclick = dismiss;
+    toast.appendChild(close);
+
+    // hovering keeps a toast up long enough to read it
+    const start = () => {
+        if (duration) timer = setTimeout(dismiss, duration);
+    };
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', start);
+    start();
+
+    container.appendChild(toast);
+    return dismiss;
+}
@@ -0,0 +1,147 @@
+// ---------- ZIP ----------
+// Just enough of the ZIP format for the library import and export, with no
+// library: readZip() opens archives made by ordinary tools (stored or
+// deflated entries, using the browser's DecompressionStream), createZip()
+// writes stored entries with UTF-8 names. ZIP64, encryption and split
+// archives are not supported and are reported as errors.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+
+let zipCrcTable = null;
+
+function zipCrc32(bytes) {
+    if (!zipCrcTable) {
+        zipCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            zipCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = zipCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function zipInflate(bytes) {
+    const stream = new DecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+    writer.write(bytes);
+    writer.close();
+    return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
+
+// bytes: ArrayBuffer or Uint8Array; resolves to [{ name, data: Uint8Array }]
+// for every file (folders are left out)
+async function readZip(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder();
+
+    // the end-of-directory record is last, before a comment of up to 64 KB
+    let end = -1;
+    for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('This is not a zip file.');
+
+    const count = view.getUint16(end + 10, true);
+    let at = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (at + 46 > data.length || view.getUint32(at, true) !== ZIP_CENTRAL_HEADER) throw new Error('The zip file is damaged.');
+        const flags = view.getUint16(at + 8, true);
+        const method = view.getUint16(at + 10, true);
+        const size = view.getUint32(at + 20, true);
+        const nameLength = view.getUint16(at + 28, true);
+        const extraLength = view.getUint16(at + 30, true);
+        const commentLength = view.getUint16(at + 32, true);
+        const offset = view.getUint32(at + 42, true);
+        const name = decoder.decode(data.subarray(at + 46, at + 46 + nameLength));
+        at += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 1) throw new Error(`${name} is encrypted.`);
+        if (size === 0xffffffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported.');
+        if (view.getUint32(offset, true) !== ZIP_LOCAL_HEADER) throw new Error('The zip file is damaged.');
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const raw = data.subarray(start, start + size);
+        if (method === 0) {
+            entries.push({ name, data: raw });
+        } else if (method === 8) {
+            entries.push({ name, data: await zipInflate(raw) });
+        } else {
+            throw new Error(`${name} uses a compression method this importer can't read.`);
+        }
+    }
+    return entries;
+}
+
+function zipDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+// files: [{ name, data }] where data is a string (written as UTF-8) or a
+// Uint8Array; returns the archive as a Blob
+function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = zipDosDateTime(modified);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = zipCrc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        directory.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}